@@ -1,10 +1,13 @@
 /**
  * LLM Token Budget Planner
  * A dependency-free, single-page application for estimating LLM API costs.
+ * The calculation engine (Schema, Calculator, Optimizer, Simulation, Charts, Report) lives
+ * in engine.js, which is shared with the command-line tool.
  * * Architecture:
- * - State: Manages all user data and saves to localStorage.
- * - Calculator: Pure functions to perform all cost calculations.
+ * - State: Manages named scenarios of user data, saves them to localStorage and keeps the undo history.
+ * - Catalog: Looks up current list prices in the pricing catalog and checks plans against it.
  * - UI: Renders the HTML tables, charts, and results.
+ * - Exporter: Downloads the CSV and JSON exports and the charts as SVG or PNG.
  * - App: The main controller that wires everything together.
  */
 
@@ -14,6 +17,7 @@ const State = (() => {
 
     // Default state includes the test scenario
     const DEFAULT_STATE = {
+    schema_version: Schema.SCHEMA_VERSION,
     vendor_plans: [
     {
     id: 'plan_1',
@@ -22,9 +26,32 @@ const State = (() => {
     currency: 'EUR',
     price_prompt_per_1k: 0.002,
     price_completion_per_1k: 0.006,
+    price_cache_read_per_1k: 0.001,
+    price_cache_write_per_1k: 0.002,
+    cache_ttl_minutes: 0,
+    batch_discount: 0,
+    off_peak_discount: 0,
+    // Rate limits per API key; null = none
+    rpm_limit: null,
+    tpm_limit: null,
+    daily_token_limit: null,
+    api_keys: 1,
     monthly_commit_credit: 0,
     free_tier_tokens: 0,
     overage_multiplier: 1.0,
+    // Contract terms: annual commit, true-up, commit rollover and prepaid credit packs
+    annual_commit: 0,
+    commit_start_month: null,
+    annual_commit_drawn: 0,
+    true_up_share: 1,
+    commit_rollover_cap: 0,
+    credit_packs: [],
+    tier_mode: 'flat',
+    price_tiers: [],
+    long_context_threshold_tokens: 0,
+    long_context_multiplier: 1,
+    unit_prices: [],
+    catalog_id: null,
     },
     {
     id: 'plan_2',
@@ -33,273 +60,624 @@ const State = (() => {
     currency: 'USD',
     price_prompt_per_1k: 0.015,
     price_completion_per_1k: 0.075,
+    price_cache_read_per_1k: 0.0015,
+    price_cache_write_per_1k: 0.01875,
+    cache_ttl_minutes: 5,
+    batch_discount: 0.5,
+    off_peak_discount: 0,
+    rpm_limit: 50,
+    tpm_limit: 40000,
+    daily_token_limit: null,
+    api_keys: 1,
     monthly_commit_credit: 0,
     free_tier_tokens: 0,
     overage_multiplier: 1.0,
+    annual_commit: 0,
+    commit_start_month: null,
+    annual_commit_drawn: 0,
+    true_up_share: 1,
+    commit_rollover_cap: 0,
+    credit_packs: [],
+    tier_mode: 'flat',
+    price_tiers: [],
+    long_context_threshold_tokens: 0,
+    long_context_multiplier: 1,
+    unit_prices: [],
+    catalog_id: null,
     }
     ],
     environments: [
     {
     id: 'env_1',
     env_name: 'Production (Test Scenario)',
+    days_per_month: 30,
+    budget_currency: 'EUR',
+    monthly_budget: 20,
+    annual_budget: 240,
+    growth_rate: 0.05,
+    forecast_requests_per_day: [],
+    // The busiest hour carries three times the traffic of an average hour
+    peak_factor: 3,
+    hourly_profile: [],
+    alert_policy: null,
+    tags: [{ key: 'team', value: 'Search', share: 1 }],
+    // Each workload is a stream of traffic with its own volume and token profile
+    workloads: [
+    {
+    id: 'wl_1',
+    name: 'All traffic',
     requests_per_day: 100,
     avg_tokens_per_request: 1000,
     context_tokens: 200,
+    cacheable_prefix_tokens: 200,
     cache_hit_rate: 0.5,
-    cache_savings_factor: 0.8,
     completion_share: 0.4,
-    days_per_month: 30,
-    budget_currency: 'EUR',
-    monthly_budget: 20,
-    alert_thresholds: { warn: 0.8, critical: 1.0 }
+    batch_share: 0,
+    off_peak_share: 0,
+    unit_usage: [],
+    // Traffic and prompt size are estimates; the simulation samples between min and max
+    ranges: {
+    requests_per_day: { min: 60, max: 180, distribution: 'triangular' },
+    avg_tokens_per_request: { min: 800, max: 1500, distribution: 'triangular' },
+    }
+    }
+    ]
     },
     {
     id: 'env_2',
     env_name: 'Staging',
+    days_per_month: 22, // Work days
+    budget_currency: 'USD',
+    monthly_budget: 50,
+    annual_budget: 600,
+    growth_rate: 0,
+    forecast_requests_per_day: [],
+    peak_factor: 3,
+    hourly_profile: [],
+    // Staging also warns in absolute terms and when it would run out early in the month
+    alert_policy: {
+    ok: { name: 'GREEN', color: '#34c759' },
+    levels: [
+    { name: 'WATCH', color: '#5ac8fa', metric: 'amount', threshold: 25 },
+    { name: 'AMBER', color: '#ff9500', metric: 'percent', threshold: 0.8 },
+    { name: 'RED', color: '#ff3b30', metric: 'exceed_by_day', threshold: 20 },
+    ]
+    },
+    // Staging is shared, so its cost is charged back to both teams
+    tags: [
+    { key: 'team', value: 'Search', share: 0.5 },
+    { key: 'team', value: 'Platform', share: 0.5 },
+    ],
+    workloads: [
+    {
+    id: 'wl_1',
+    name: 'All traffic',
     requests_per_day: 50,
     avg_tokens_per_request: 2000,
     context_tokens: 1000,
+    cacheable_prefix_tokens: 800,
     cache_hit_rate: 0.1,
-    cache_savings_factor: 0.8,
     completion_share: 0.3,
-    days_per_month: 22, // Work days
-    budget_currency: 'USD',
-    monthly_budget: 50,
-    alert_thresholds: { warn: 0.8, critical: 1.0 }
+    batch_share: 0,
+    off_peak_share: 0,
+    unit_usage: [],
+    ranges: {}
+    }
+    ]
     }
     ],
+    // Each environment routes its traffic over one or more plans by weight
     plan_assignment: {
-    'env_1': 'plan_1',
-    'env_2': 'plan_2',
+    'env_1': [{ plan_id: 'plan_1', weight: 1 }],
+    'env_2': [{ plan_id: 'plan_2', weight: 1 }],
+    },
+    // Exchange rates are expressed as the value of 1 unit in the base currency
+    fx: {
+    base_currency: 'USD',
+    reporting_currency: 'USD',
+    rates: [
+    { currency: 'EUR', rate_to_base: 1.08 },
+    { currency: 'GBP', rate_to_base: 1.27 },
+    ]
+    },
+    // Month-by-month projection window
+    forecast: {
+    start_month: new Date().toISOString().slice(0, 7), // YYYY-MM
+    horizon_months: 12
+    },
+    // Default alert policy; levels escalate in order and the last triggered one wins
+    alert_policy: {
+    ok: { name: 'GREEN', color: '#34c759' },
+    levels: [
+    { name: 'AMBER', color: '#ff9500', metric: 'percent', threshold: 0.8 },
+    { name: 'RED', color: '#ff3b30', metric: 'percent', threshold: 1.0 },
+    ]
+    },
+    // Imported usage rows: { date, env_id, prompt_tokens, completion_tokens, cost }
+    actuals: [],
+    // Seat licences billed per user alongside token spend, and who holds the seats
+    licences: [],
+    seat_assignments: [],
+    // Monte Carlo settings; the same seed always gives the same distribution
+    simulation: { runs: 1000, seed: 42 }
+    };
+
+    // The workspace holds every named scenario; the rest of the app only ever sees
+    // the active scenario's config through get()/update()/replace()/reset().
+    let workspace = {};
+
+    // Undo history for this session: each entry is a workspace snapshot taken after a change.
+    // Edits to the same field within GROUP_WINDOW are merged into one step.
+    const HISTORY_LIMIT = 50;
+    const GROUP_WINDOW = 2000; // milliseconds
+    let history = [];
+    let historyIndex = 0;
+
+    function defaultConfig() {
+    return JSON.parse(JSON.stringify(DEFAULT_STATE)); // Deep copy
     }
+
+    function defaultWorkspace() {
+    return {
+    active_scenario_id: 'scenario_1',
+    scenarios: [{ id: 'scenario_1', name: 'Current Setup', config: defaultConfig() }],
+    comparison: { baseline_id: 'scenario_1', scenario_ids: [] },
+    catalog: null // A user-loaded pricing catalog; null uses the bundled one
     };
+    }
 
-    let currentState = {};
+    /**
+    * Migrates one stored scenario config. Returns null when it is unusable.
+    */
+    function loadConfig(config, scenarioName) {
+    const migrated = Schema.migrate(config);
+    if (!Schema.hasValidShape(migrated)) {
+    return null;
+    }
+    // Field-level problems (e.g. a cleared input) are left for the user to fix in the tables
+    const errors = Schema.validate(migrated);
+    if (errors.length > 0) {
+    console.warn(`Scenario "${scenarioName}" has invalid fields.`, errors);
+    }
+    return migrated;
+    }
 
     function load() {
     try {
     const stored = localStorage.getItem(STATE_KEY);
-    currentState = stored ? JSON.parse(stored) : JSON.parse(JSON.stringify(DEFAULT_STATE)); // Deep copy
-    // Ensure data integrity after loading
-    if (!currentState.vendor_plans || !currentState.environments || !currentState.plan_assignment) {
-    reset();
+    if (!stored) {
+    workspace = defaultWorkspace();
+    return;
     }
+    const parsed = JSON.parse(stored);
+    // Older versions stored a single config at the top level
+    const storedWorkspace = Array.isArray(parsed.scenarios)
+    ? parsed
+    : { active_scenario_id: 'scenario_1', scenarios: [{ id: 'scenario_1', name: 'Current Setup', config: parsed }] };
+
+    const scenarios = storedWorkspace.scenarios.map(s => ({ ...s, config: loadConfig(s.config, s.name) }));
+    if (scenarios.length === 0 || scenarios.some(s => !s.config)) {
+    // Keep the unusable data around so nothing is lost silently
+    localStorage.setItem(`${STATE_KEY}_backup`, stored);
+    console.error(`Stored state is unusable, using defaults. Original kept under "${STATE_KEY}_backup".`);
+    workspace = defaultWorkspace();
+    return;
+    }
+
+    const activeExists = scenarios.some(s => s.id === storedWorkspace.active_scenario_id);
+    workspace = {
+    active_scenario_id: activeExists ? storedWorkspace.active_scenario_id : scenarios[0].id,
+    scenarios: scenarios,
+    comparison: storedWorkspace.comparison ?? { baseline_id: scenarios[0].id, scenario_ids: [] },
+    catalog: storedWorkspace.catalog ?? null
+    };
     } catch (e) {
     console.error("Failed to load state, using defaults.", e);
-    currentState = JSON.parse(JSON.stringify(DEFAULT_STATE));
+    workspace = defaultWorkspace();
     }
     }
 
     function save() {
     try {
-    localStorage.setItem(STATE_KEY, JSON.stringify(currentState));
+    localStorage.setItem(STATE_KEY, JSON.stringify(workspace));
     } catch (e) {
     console.error("Failed to save state.", e);
     }
     }
 
+    function notify() {
+    save();
+    // Notify the app that state has changed
+    document.dispatchEvent(new Event('stateChange'));
+    }
+
+    /**
+    * Records the current workspace as a history step, then saves and notifies.
+    * @param {string} label - What the change did, shown in the change log
+    * @param {string|null} group - Changes with the same group in quick succession form one step
+    */
+    function commit(label, group = null) {
+    const now = Date.now();
+    const last = history[historyIndex];
+    const snapshot = JSON.stringify(workspace);
+    // After an undo the last step stays its own undo point, so the edit is never merged into it
+    const nothingUndone = historyIndex === history.length - 1;
+    // Anything that was undone can no longer be redone once something new happens
+    history = history.slice(0, historyIndex + 1);
+    if (group && nothingUndone && historyIndex > 0 && last.group === group && now - last.time < GROUP_WINDOW) {
+    history[historyIndex] = { ...last, label, snapshot, time: now };
+    } else {
+    history.push({ label, group, snapshot, time: now });
+    if (history.length > HISTORY_LIMIT + 1) history.shift();
+    historyIndex = history.length - 1;
+    }
+    notify();
+    }
+
+    function activeScenario() {
+    return workspace.scenarios.find(s => s.id === workspace.active_scenario_id);
+    }
+
     function get() {
-    return currentState;
+    return activeScenario().config;
     }
     
-    function update(partialState) {
+    /**
+    * @param {object} partialState - Top-level keys to replace in the active config
+    * @param {string} label - Change log description
+    * @param {string|null} group - See commit()
+    */
+    function update(partialState, label = 'Edited the scenario', group = null) {
     // Simple merge, not deep
-    currentState = { ...currentState, ...partialState };
-    save();
-    // Notify the app that state has changed
-    document.dispatchEvent(new Event('stateChange'));
+    const scenario = activeScenario();
+    scenario.config = { ...scenario.config, ...partialState };
+    commit(label, group);
+    }
+
+    /**
+    * Replaces the active scenario's config, e.g. with an imported configuration.
+    * The caller is responsible for migrating and validating it first.
+    */
+    function replace(newState, label = 'Replaced the scenario') {
+    activeScenario().config = newState;
+    commit(label);
     }
 
+    /**
+    * Resets only the active scenario to the default test scenario.
+    */
     function reset() {
-    currentState = JSON.parse(JSON.stringify(DEFAULT_STATE));
-    save();
-    document.dispatchEvent(new Event('stateChange'));
+    activeScenario().config = defaultConfig();
+    commit(`Reset "${activeScenario().name}" to defaults`);
     }
 
-    load(); // Initial load
+    // --- Scenarios ---
 
-    return { get, update, reset };
-})();
+    /**
+    * @returns {object[]} - [{ id, name, config }] for every scenario, in order
+    */
+    function getScenarios() {
+    return workspace.scenarios;
+    }
+
+    function getActiveScenarioId() {
+    return workspace.active_scenario_id;
+    }
 
+    function switchScenario(id) {
+    if (!workspace.scenarios.some(s => s.id === id)) return;
+    workspace.active_scenario_id = id;
+    commit(`Switched to scenario "${activeScenario().name}"`);
+    }
+
+    function renameScenario(id, name) {
+    const scenario = workspace.scenarios.find(s => s.id === id);
+    if (!scenario) return;
+    scenario.name = name;
+    commit(`Renamed scenario to "${name}"`, `rename:${id}`);
+    }
+
+    /**
+    * Adds a scenario and makes it active.
+    * @param {string} name - Display name
+    * @param {object} config - A migrated, validated config (copied)
+    * @returns {string} - The new scenario id
+    */
+    function createScenario(name, config) {
+    const id = `scenario_${Date.now()}`;
+    workspace.scenarios.push({ id, name, config: JSON.parse(JSON.stringify(config)) });
+    workspace.active_scenario_id = id;
+    commit(`Created scenario "${name}"`);
+    return id;
+    }
 
-// --- 2. Calculation Engine ---
-const Calculator = (() => {
+    function cloneScenario(id) {
+    const source = workspace.scenarios.find(s => s.id === id);
+    if (!source) return null;
+    return createScenario(`${source.name} (copy)`, source.config);
+    }
 
     /**
-    * Calculates all costs and stats for every environment.
-    * @param {object} state - The current application state.
-    * @returns {object} - { perEnv: [...], totals: {...} }
+    * Deletes a scenario. The last remaining scenario cannot be deleted.
+    * @returns {boolean} - Whether the scenario was deleted
     */
-    function calculateAll(state) {
-    const { environments, vendor_plans, plan_assignment } = state;
-    const resultsPerEnv = [];
-    const totals = {
-    total_tokens: 0,
-    prompt_tokens: 0,
-    completion_tokens: 0,
-    raw_cost: 0, // Note: Summing mixed currencies is indicative, not financially exact
-    final_cost: 0,
-    budget: 0,
+    function deleteScenario(id) {
+    if (workspace.scenarios.length <= 1) return false;
+    const name = workspace.scenarios.find(s => s.id === id)?.name;
+    workspace.scenarios = workspace.scenarios.filter(s => s.id !== id);
+    if (workspace.active_scenario_id === id) {
+    workspace.active_scenario_id = workspace.scenarios[0].id;
+    }
+    const { baseline_id, scenario_ids } = workspace.comparison;
+    workspace.comparison = {
+    baseline_id: baseline_id === id ? workspace.scenarios[0].id : baseline_id,
+    scenario_ids: scenario_ids.filter(sid => sid !== id)
     };
-    
-    const plansMap = new Map(vendor_plans.map(p => [p.id, p]));
+    commit(`Deleted scenario "${name}"`);
+    return true;
+    }
 
-    for (const env of environments) {
-    const planId = plan_assignment[env.id];
-    const plan = plansMap.get(planId);
-    
-    if (!plan) {
-    // Handle case where plan is not assigned or deleted
-    resultsPerEnv.push({
-    env_id: env.id,
-    env_name: env.env_name,
-    error: "No valid plan assigned.",
-    status: "N/A"
-    });
-    continue;
-    }
-
-    // 1) Effective tokens per request
-    // effective = avg + context * (1 - hit_rate * savings)
-    const cache_savings_factor = env.cache_savings_factor ?? 0.8;
-    const effective_tokens_per_request = env.avg_tokens_per_request +
-    (env.context_tokens * (1 - env.cache_hit_rate * cache_savings_factor));
-
-    // 2) Monthly tokens per env
-    const monthly_tokens = env.requests_per_day * effective_tokens_per_request * env.days_per_month;
-
-    // 3) Split into prompt vs completion
-    const completion_share = env.completion_share ?? 0.4;
-    const prompt_share = 1 - completion_share;
-    const prompt_tokens = monthly_tokens * prompt_share;
-    const completion_tokens = monthly_tokens * completion_share;
-
-    // 4) Convert to billable units (per 1K)
-    const billable_prompt_1k = prompt_tokens / 1000;
-    const billable_completion_1k = completion_tokens / 1000;
-    
-    // 5 & 6) Calculate costs, applying free tiers and commitments
-    const costResult = calculateCost(
-    prompt_tokens,
-    completion_tokens,
-    plan
-    );
-    
-    // 7) Alerts
-    const utilization = env.monthly_budget > 0 ? (costResult.final_cost / env.monthly_budget) : 0;
-    const thresholds = env.alert_thresholds ?? { warn: 0.8, critical: 1.0 };
-    
-    let status = "GREEN";
-    if (utilization >= thresholds.critical) {
-    status = "RED";
-    } else if (utilization >= thresholds.warn) {
-    status = "AMBER";
-    }
-
-    // Suggestion logic
-    let suggestion = "";
-    if (status === "RED" || status === "AMBER") {
-    const shortfall = costResult.final_cost - env.monthly_budget;
-    if (shortfall > 0) {
-    suggestion = `Budget shortfall of ${plan.currency} ${shortfall.toFixed(2)}. `;
-    }
-    const target_cost = env.monthly_budget * thresholds.warn; // Aim for just under warning
-    const percent_to_reduce = costResult.final_cost > 0 ? (costResult.final_cost - target_cost) / costResult.final_cost : 0;
-    
-    if (percent_to_reduce > 0) {
-    suggestion += `To reach safety (sub-${(thresholds.warn * 100).toFixed(0)}%), reduce token usage by ~${(percent_to_reduce * 100).toFixed(0)}% or raise budget.`;
+    /**
+    * @returns {object} - { baseline_id, scenario_ids } selected for the comparison view
+    */
+    function getComparison() {
+    return workspace.comparison;
     }
+
+    function setComparison(comparison) {
+    workspace.comparison = { ...workspace.comparison, ...comparison };
+    commit('Changed the scenario comparison');
     }
 
-    const envResult = {
-    env_id: env.id,
-    env_name: env.env_name,
-    plan_name: `${plan.vendor} - ${plan.plan}`,
-    currency: plan.currency,
-    budget: env.monthly_budget,
-    budget_currency: env.budget_currency,
-    
-    monthly_tokens: monthly_tokens,
-    prompt_tokens: prompt_tokens,
-    completion_tokens: completion_tokens,
-    
-    raw_cost: costResult.raw_cost,
-    cost_after_free_tier: costResult.cost_after_free_tier,
-    final_cost: costResult.final_cost,
-    
-    utilization: utilization,
-    status: status,
-    suggestion: suggestion,
-    };
+    // --- Pricing catalog ---
+
+    /**
+    * @returns {object|null} - The pricing catalog loaded from a file, or null for the bundled one
+    */
+    function getCatalog() {
+    return workspace.catalog;
+    }
+
+    /**
+    * Stores a validated catalog for every scenario; null switches back to the bundled one.
+    */
+    function setCatalog(catalog) {
+    workspace.catalog = catalog;
+    commit(catalog ? `Loaded pricing catalog ${catalog.catalog_version}` : 'Switched back to the bundled pricing catalog');
+    }
 
-    resultsPerEnv.push(envResult);
+    // --- Share links ---
+    // A link carries one scenario in the URL fragment, which browsers never send to a server:
+    // #share=1.<method>.<base64url data>, where method is d (deflate-raw) or j (plain JSON)
+    const SHARE_PREFIX = '#share=';
 
-    // Add to totals
-    totals.total_tokens += monthly_tokens;
-    totals.prompt_tokens += prompt_tokens;
-    totals.completion_tokens += completion_tokens;
-    // Warning: Naive currency sum
-    totals.raw_cost += costResult.raw_cost;
-    totals.final_cost += costResult.final_cost;
-    totals.budget += env.monthly_budget;
+    function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
     }
 
-    return { perEnv: resultsPerEnv, totals: totals };
+    function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
     }
 
     /**
-    * Internal helper to calculate cost considering free tiers, commits, and overages.
-    * @param {number} prompt_tokens - Total prompt tokens (not in 1k)
-    * @param {number} completion_tokens - Total completion tokens (not in 1k)
-    * @param {object} plan - The vendor plan object
-    * @returns {object} - { raw_cost, cost_after_free_tier, final_cost }
+    * Runs bytes through a CompressionStream or DecompressionStream
     */
-    function calculateCost(prompt_tokens, completion_tokens, plan) {
-    let billable_prompt_tokens = prompt_tokens;
-    let billable_completion_tokens = completion_tokens;
-    const total_tokens = prompt_tokens + completion_tokens;
+    async function transform(bytes, stream) {
+    const writer = stream.writable.getWriter();
+    // A damaged link rejects these too; the reader below is where the error surfaces
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+    const chunks = [];
+    const reader = stream.readable.getReader();
+    for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    }
+    const result = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+    let offset = 0;
+    chunks.forEach(c => { result.set(c, offset); offset += c.length; });
+    return result;
+    }
 
-    // --- Step 6.1: Apply free_tier_tokens (pro-rata) ---
-    const free_tier = plan.free_tier_tokens || 0;
-    let cost_after_free_tier = 0;
+    /**
+    * Builds a link to this page that carries the active scenario.
+    * @returns {Promise<string>}
+    */
+    async function createShareLink() {
+    const scenario = activeScenario();
+    const bytes = new TextEncoder().encode(JSON.stringify({ name: scenario.name, config: scenario.config }));
+    // Browsers without CompressionStream still get a working, longer link
+    const data = typeof CompressionStream === 'function'
+    ? `d.${toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')))}`
+    : `j.${toBase64Url(bytes)}`;
+    return `${location.href.split('#')[0]}${SHARE_PREFIX}1.${data}`;
+    }
 
-    if (free_tier > 0 && total_tokens > 0) {
-    const tokens_after_free = Math.max(0, total_tokens - free_tier);
-    const free_tier_ratio = tokens_after_free / total_tokens; // Ratio of tokens that are *not* free
+    /**
+    * Reads a share link from the current URL fragment, migrating and validating its config.
+    * @returns {Promise<object|null>} - null without a share fragment, otherwise
+    *   { name, config, errors, fromVersion }; config is null when errors is not empty
+    */
+    async function readShareLink() {
+    if (!location.hash.startsWith(SHARE_PREFIX)) return null;
+    const [version, method, data] = location.hash.slice(SHARE_PREFIX.length).split('.');
+    const failed = (message) => ({ name: null, config: null, errors: [message], fromVersion: null });
+    if (version !== '1' || !['d', 'j'].includes(method) || !data) {
+    return failed('The share link is not in a format this version of the planner can read.');
+    }
+    if (method === 'd' && typeof DecompressionStream !== 'function') {
+    return failed('This browser cannot open compressed share links. Try a current version of Chrome, Edge, Firefox or Safari.');
+    }
+    let payload;
+    try {
+    let bytes = fromBase64Url(data);
+    if (method === 'd') bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+    return failed('The share link is damaged or incomplete. Ask for it to be copied again.');
+    }
+    const { config, errors, fromVersion } = Schema.parseImport(JSON.stringify(payload?.config ?? null));
+    const name = typeof payload?.name === 'string' && payload.name.trim() ? payload.name.trim() : 'Shared Scenario';
+    return { name, config, errors, fromVersion };
+    }
 
-    billable_prompt_tokens = prompt_tokens * free_tier_ratio;
-    billable_completion_tokens = completion_tokens * free_tier_ratio;
+    /**
+    * Removes the share fragment from the address bar without reloading or adding a history entry.
+    */
+    function clearShareLink() {
+    if (location.hash.startsWith(SHARE_PREFIX)) {
+    // window.history: the module's own history is the undo stack
+    window.history.replaceState(null, '', location.href.split('#')[0]);
     }
+    }
+
+    // --- History ---
 
-    // Calculate cost based on (potentially reduced) billable tokens
-    cost_after_free_tier = (billable_prompt_tokens / 1000 * plan.price_prompt_per_1k) +
-    (billable_completion_tokens / 1000 * plan.price_completion_per_1k);
+    function restore(index) {
+    historyIndex = index;
+    workspace = JSON.parse(history[index].snapshot);
+    notify();
+    }
 
-    // Raw cost is calculated *without* the free tier
-    const raw_cost = (prompt_tokens / 1000 * plan.price_prompt_per_1k) +
-    (completion_tokens / 1000 * plan.price_completion_per_1k);
+    /**
+    * Steps back one change.
+    * @returns {string|null} - The label of the undone change, or null when there is nothing to undo
+    */
+    function undo() {
+    if (historyIndex === 0) return null;
+    const label = history[historyIndex].label;
+    restore(historyIndex - 1);
+    return label;
+    }
 
-    // --- Step 6.2: Apply monthly_commit_credit and overage ---
-    const commit = plan.monthly_commit_credit || 0;
-    let final_cost = cost_after_free_tier;
+    /**
+    * Re-applies the last undone change.
+    * @returns {string|null} - The label of the redone change, or null when there is nothing to redo
+    */
+    function redo() {
+    if (historyIndex >= history.length - 1) return null;
+    restore(historyIndex + 1);
+    return history[historyIndex].label;
+    }
 
-    if (commit > 0) {
-    const overage_amount = Math.max(0, cost_after_free_tier - commit);
-    const overage_multiplier = plan.overage_multiplier || 1.0;
-    const overage_cost = overage_amount * overage_multiplier;
-    
-    // Final cost is the committed amount (up to the cost) + any overage cost
-    final_cost = Math.min(cost_after_free_tier, commit) + overage_cost;
+    /**
+    * @returns {object} - { steps: [{ label, time, undone }] oldest first, canUndo, canRedo }
+    */
+    function getHistory() {
+    return {
+    // The first entry is the state the session started from, not a change
+    steps: history.slice(1).map((entry, i) => ({ label: entry.label, time: entry.time, undone: i + 1 > historyIndex })),
+    canUndo: historyIndex > 0,
+    canRedo: historyIndex < history.length - 1,
+    };
     }
 
+    load(); // Initial load
+    history = [{ label: 'Opened the planner', group: null, snapshot: JSON.stringify(workspace), time: Date.now() }];
+
     return {
-    raw_cost: raw_cost,
-    cost_after_free_tier: cost_after_free_tier,
-    final_cost: final_cost
+    get, update, replace, reset,
+    getScenarios, getActiveScenarioId, switchScenario, renameScenario,
+    createScenario, cloneScenario, deleteScenario, getComparison, setComparison,
+    getCatalog, setCatalog,
+    createShareLink, readShareLink, clearShareLink,
+    undo, redo, getHistory
     };
+})();
+
+
+// --- 2. Pricing Catalog ---
+const Catalog = (() => {
+    // Plan fields that come from a catalog entry
+    const PRICE_KEYS = [
+    'currency', 'price_prompt_per_1k', 'price_completion_per_1k',
+    'price_cache_read_per_1k', 'price_cache_write_per_1k', 'cache_ttl_minutes'
+    ];
+
+    function today() {
+    return new Date().toISOString().slice(0, 10);
+    }
+
+    /**
+    * The catalog in use: one loaded from a file, or the bundled PRICING_CATALOG.
+    * @returns {object} - { catalog, source: 'file' | 'bundled' }
+    */
+    function active() {
+    const loaded = State.getCatalog();
+    return loaded ? { catalog: loaded, source: 'file' } : { catalog: PRICING_CATALOG, source: 'bundled' };
+    }
+
+    /**
+    * The current entry of every model: its latest entry that is already in effect.
+    * @param {object} catalog - { catalog_version, entries }
+    * @param {string} date - YYYY-MM-DD; defaults to today
+    * @returns {object[]} - Entries sorted by vendor and model
+    */
+    function currentEntries(catalog, date = today()) {
+    const current = new Map();
+    catalog.entries.forEach(entry => {
+    if (entry.effective_date > date) return;
+    const existing = current.get(entry.id);
+    if (!existing || entry.effective_date > existing.effective_date) current.set(entry.id, entry);
+    });
+    return [...current.values()].sort((a, b) => a.vendor.localeCompare(b.vendor) || a.model.localeCompare(b.model));
+    }
+
+    /**
+    * Finds a plan's current catalog entry: by its catalog_id, or else by vendor and plan name.
+    */
+    function findEntry(plan, entries) {
+    if (plan.catalog_id) {
+    return entries.find(entry => entry.id === plan.catalog_id) ?? null;
+    }
+    const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    return entries.find(entry => same(entry.vendor, plan.vendor) && same(entry.model, plan.plan)) ?? null;
+    }
+
+    /**
+    * Builds a new flat-priced vendor plan from a catalog entry.
+    */
+    function planFromEntry(entry) {
+    return Schema.newPlan({ vendor: entry.vendor, plan: entry.model, ...pricesOf(entry), catalog_id: entry.id });
+    }
+
+    function pricesOf(entry) {
+    return Object.fromEntries(PRICE_KEYS.map(key => [key, entry[key]]));
+    }
+
+    /**
+    * Updates a plan's list prices to a catalog entry and links it to that entry.
+    * Commits, free tiers and price tiers are left as they are.
+    */
+    function applyEntry(plan, entry) {
+    return { ...plan, ...pricesOf(entry), catalog_id: entry.id };
+    }
+
+    /**
+    * Compares every plan with its current catalog entry.
+    * @param {object[]} plans - Vendor plans of the active scenario
+    * @param {object} catalog - The catalog to check against
+    * @returns {object[]} - [{ plan_index, plan_name, entry, differences: [{ key, plan_value, catalog_value }] }]
+    *   entry is null when the plan has no catalog match
+    */
+    function checkPlans(plans, catalog, date = today()) {
+    const entries = currentEntries(catalog, date);
+    return plans.map((plan, index) => {
+    const entry = findEntry(plan, entries);
+    const differences = entry
+    ? PRICE_KEYS
+    .filter(key => key === 'currency' ? plan[key] !== entry[key] : Math.abs(plan[key] - entry[key]) > 1e-12)
+    .map(key => ({ key, plan_value: plan[key], catalog_value: entry[key] }))
+    : [];
+    return { plan_index: index, plan_name: `${plan.vendor} - ${plan.plan}`, entry, differences };
+    });
     }
 
-    return { calculateAll };
+    return { active, currentEntries, planFromEntry, applyEntry, checkPlans };
 })();
 
 
@@ -308,15 +686,149 @@ const UI = (() => {
 
     // Helper for number formatting
     const formatNum = (n, frac = 0) => n.toLocaleString(undefined, { minimumFractionDigits: frac, maximumFractionDigits: frac });
-    const formatCurrency = (n, currency = "USD") => n.toLocaleString(undefined, { style: 'currency', currency: currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    // Requests or tokens per minute; low rates keep a decimal
+    const formatRate = (n) => formatNum(n, n < 10 ? 1 : 0);
+    // Codes that Intl does not know (e.g. while one is being typed) fall back to "12.00 XYZ"
+    const formatCurrencyText = (n, currency = "USD") => {
+    try {
+    return n.toLocaleString(undefined, { style: 'currency', currency: currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    } catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+    return `${formatNum(n, 2)} ${currency}`;
+    }
+    };
+    const formatCurrency = (n, currency = "USD") => escapeHtml(formatCurrencyText(n, currency));
+    // Every user-entered or imported string goes through this before it reaches innerHTML
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+    const formatDelta = (n, currency) => `${n >= 0 ? '+' : '−'}${formatCurrency(Math.abs(n), currency)}`;
     
     // Getters for DOM elements
     const getEl = (id) => document.getElementById(id);
+    const scenarioBar = getEl('scenario-bar');
+    const comparisonTable = getEl('comparison-table');
     const plansTable = getEl('vendor-plans-table');
+    const catalogBar = getEl('catalog-bar');
+    const currencyTable = getEl('currency-table');
     const envsTable = getEl('environments-table');
+    const licencesTable = getEl('licences-table');
+    const alertPolicyTable = getEl('alert-policy-table');
     const resultsTable = getEl('results-table');
+    const allocationTable = getEl('allocation-table');
+    const forecastTable = getEl('forecast-table');
+    const optimizerTable = getEl('optimizer-table');
+    const uncertaintyTable = getEl('uncertainty-table');
     const costChart = getEl('cost-chart');
+    const compositionChart = getEl('composition-chart');
     const tokenChart = getEl('token-chart');
+    const workloadChart = getEl('workload-chart');
+    const importStatus = getEl('import-status');
+    const undoBtn = getEl('undo-btn');
+    const redoBtn = getEl('redo-btn');
+    const historyLog = getEl('history-log');
+    const shareBanner = getEl('share-banner');
+    const sharePreview = getEl('share-preview');
+    // Input data-* attributes that locate a field, in the names Schema.inspect uses
+    const FIELD_LOCATION = ['table', 'index', 'key', 'workloadIndex', 'unitIndex', 'tierIndex', 'tagIndex', 'packIndex', 'field', 'scope', 'levelIndex', 'envId', 'routeIndex'];
+
+    /**
+    * Renders the scenario switcher and name editor
+    */
+    function renderScenarios(scenarios, activeId) {
+    const active = scenarios.find(s => s.id === activeId);
+    const options = scenarios.map(s =>
+    `<option value="${s.id}" ${s.id === activeId ? 'selected' : ''}>${escapeHtml(s.name)}</option>`
+    ).join('');
+
+    scenarioBar.innerHTML = `<div class="fx-settings">
+    <label>Active Scenario
+    <select data-table="workspace" data-key="active_scenario_id">${options}</select>
+    </label>
+    <label>Name
+    <input type="text" value="${escapeHtml(active.name)}" data-table="scenario" data-key="name">
+    </label>
+    </div>`;
+    }
+
+    /**
+    * Renders the scenario picker and side-by-side comparison with deltas against the baseline
+    */
+    function renderComparison(scenarios, selection, comparison) {
+    const baselineOptions = scenarios.map(s =>
+    `<option value="${s.id}" ${s.id === selection.baseline_id ? 'selected' : ''}>${escapeHtml(s.name)}</option>`
+    ).join('');
+    const checkboxes = scenarios.filter(s => s.id !== selection.baseline_id).map(s => `
+    <label class="compare-option">
+    <input type="checkbox" data-table="comparison" data-scenario-id="${s.id}" ${selection.scenario_ids.includes(s.id) ? 'checked' : ''}>
+    ${escapeHtml(s.name)}
+    </label>`).join('');
+
+    let html = `<div class="fx-settings">
+    <label>Baseline
+    <select data-table="comparison" data-key="baseline_id">${baselineOptions}</select>
+    </label>
+    <div>Compare with: ${checkboxes || '<span class="suggestion">Clone a scenario to compare it.</span>'}</div>
+    </div>`;
+
+    if (!comparison) {
+    comparisonTable.innerHTML = html + '<p class="suggestion">Select at least one scenario to compare with the baseline.</p>';
+    return;
+    }
+
+    const [baseline, ...others] = comparison.scenarios;
+    html += `<div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Environment</th>
+    <th>${escapeHtml(baseline.name)} (Baseline)</th>
+    ${others.map(s => `<th>${escapeHtml(s.name)}</th>`).join('')}
+    </tr>
+    </thead>
+    <tbody>`;
+
+    comparison.rows.forEach(row => {
+    const cells = row.cells.map((cell, i) => {
+    if (cell.missing) return `<td><span class="suggestion">Not in scenario</span></td>`;
+    if (cell.error) return `<td><span class="status-RED">${escapeHtml(cell.error)}</span></td>`;
+
+    let deltas = '';
+    if (i > 0 && cell.utilization_delta !== undefined) {
+    const costDelta = cell.cost_delta === null ? 'n/a (currency changed)' : formatDelta(cell.cost_delta, cell.currency);
+    const utilDelta = `${cell.utilization_delta >= 0 ? '+' : '−'}${Math.abs(cell.utilization_delta * 100).toFixed(1)} pp`;
+    const statusChange = cell.status_changed ? ` &middot; ${escapeHtml(cell.baseline_status)} → ${escapeHtml(cell.status)}` : '';
+    deltas = `<div class="suggestion">${costDelta} &middot; ${utilDelta}${statusChange}</div>`;
+    }
+    return `<td>
+    <strong>${formatCurrency(cell.final_cost, cell.currency)}</strong>
+    ${statusBadge(cell.status, cell.status_color)}
+    <div class="suggestion">${(cell.utilization * 100).toFixed(1)}% of budget</div>
+    ${deltas}
+    </td>`;
+    }).join('');
+    html += `<tr><td><strong>${escapeHtml(row.env_name)}</strong></td>${cells}</tr>`;
+    });
+
+    // Totals Row
+    html += `
+    <tr style="background-color: var(--color-bg); font-weight: bold;">
+    <td>Total</td>
+    ${comparison.totals.map((total, i) => `<td>
+    ${formatCurrency(total.final_cost, total.currency)}
+    ${i > 0 && total.cost_delta !== null ? `<div class="suggestion">${formatDelta(total.cost_delta, total.currency)}</div>` : ''}
+    </td>`).join('')}
+    </tr>`;
+    html += `</tbody></table></div>`;
+
+    // Changed inputs per compared scenario
+    others.forEach(s => {
+    const changes = comparison.changes[s.id];
+    html += `<h3 class="comparison-heading">Changed inputs: ${escapeHtml(s.name)}</h3>`;
+    html += changes.length > 0
+    ? `<ul class="change-list">${changes.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>`
+    : '<p class="suggestion">No input differences from the baseline.</p>';
+    });
+
+    comparisonTable.innerHTML = html;
+    }
 
     /**
     * Renders the Vendor Plans table
@@ -330,26 +842,76 @@ const UI = (() => {
     <th>Currency</th>
     <th>Prompt / 1K</th>
     <th>Completion / 1K</th>
+    <th>Cache Read / 1K</th>
+    <th>Cache Write / 1K</th>
+    <th>Cache TTL (Min)</th>
+    <th>Batch Disc.</th>
+    <th>Off-Peak Disc.</th>
+    <th>Pricing</th>
     <th>Free Tokens</th>
-    <th>Commit ($)</th>
+    <th>Monthly Commit</th>
+    <th>Annual Commit</th>
     <th>Overage (x)</th>
+    <th>Long Ctx Above</th>
+    <th>Long Ctx (x)</th>
     <th>Action</th>
     </tr>
     </thead>
     <tbody>`;
     
     plans.forEach((plan, index) => {
+    const modes = [['flat', 'Flat'], ['graduated', 'Graduated tiers'], ['all_units', 'All-units tiers']];
+    const modeOptions = modes.map(([value, label]) =>
+    `<option value="${value}" ${value === plan.tier_mode ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
     html += `
     <tr>
-    <td><input type="text" value="${plan.vendor}" data-table="plans" data-index="${index}" data-key="vendor"></td>
-    <td><input type="text" value="${plan.plan}" data-table="plans" data-index="${index}" data-key="plan"></td>
-    <td><input type="text" value="${plan.currency}" data-table="plans" data-index="${index}" data-key="currency" style="width: 60px;"></td>
+    <td><input type="text" value="${escapeHtml(plan.vendor)}" data-table="plans" data-index="${index}" data-key="vendor"></td>
+    <td><input type="text" value="${escapeHtml(plan.plan)}" data-table="plans" data-index="${index}" data-key="plan"></td>
+    <td><input type="text" value="${escapeHtml(plan.currency)}" data-table="plans" data-index="${index}" data-key="currency" data-format="currency" style="width: 60px;"></td>
     <td><input type="number" step="0.0001" min="0" value="${plan.price_prompt_per_1k}" data-table="plans" data-index="${index}" data-key="price_prompt_per_1k"></td>
     <td><input type="number" step="0.0001" min="0" value="${plan.price_completion_per_1k}" data-table="plans" data-index="${index}" data-key="price_completion_per_1k"></td>
+    <td><input type="number" step="0.0001" min="0" value="${plan.price_cache_read_per_1k}" data-table="plans" data-index="${index}" data-key="price_cache_read_per_1k"></td>
+    <td><input type="number" step="0.0001" min="0" value="${plan.price_cache_write_per_1k}" data-table="plans" data-index="${index}" data-key="price_cache_write_per_1k"></td>
+    <td><input type="number" step="1" min="0" value="${plan.cache_ttl_minutes}" title="0 = assume the cache never expires between requests" data-table="plans" data-index="${index}" data-key="cache_ttl_minutes"></td>
+    <td><input type="number" step="0.05" min="0" max="1" value="${plan.batch_discount}" title="Share taken off the token and cache price of batch requests (0.5 = half price)" data-table="plans" data-index="${index}" data-key="batch_discount"></td>
+    <td><input type="number" step="0.05" min="0" max="1" value="${plan.off_peak_discount}" title="Share taken off the token and cache price of off-peak requests" data-table="plans" data-index="${index}" data-key="off_peak_discount"></td>
+    <td><select data-table="plans" data-index="${index}" data-key="tier_mode">${modeOptions}</select></td>
     <td><input type="number" step="1000" min="0" value="${plan.free_tier_tokens}" data-table="plans" data-index="${index}" data-key="free_tier_tokens"></td>
     <td><input type="number" step="1" min="0" value="${plan.monthly_commit_credit}" data-table="plans" data-index="${index}" data-key="monthly_commit_credit"></td>
+    <td><input type="number" step="100" min="0" value="${plan.annual_commit}" title="Committed spend for the contract year, drawn down month by month" data-table="plans" data-index="${index}" data-key="annual_commit"></td>
     <td><input type="number" step="0.1" min="0" value="${plan.overage_multiplier}" data-table="plans" data-index="${index}" data-key="overage_multiplier"></td>
-    <td><button class="btn-delete" data-action="delete-plan" data-index="${index}">Delete</button></td>
+    <td><input type="number" step="1000" min="0" value="${plan.long_context_threshold_tokens}" title="Prompt tokens per request above which the surcharge applies (0 = off)" data-table="plans" data-index="${index}" data-key="long_context_threshold_tokens"></td>
+    <td><input type="number" step="0.1" min="1" value="${plan.long_context_multiplier}" data-table="plans" data-index="${index}" data-key="long_context_multiplier"></td>
+    <td>
+    <button class="btn-delete" data-action="delete-plan" data-index="${index}">Delete</button>
+    <button class="btn-delete btn-add-route" data-action="add-unit-price" data-index="${index}">+ Unit Price</button>
+    <button class="btn-delete btn-add-route" data-action="add-credit-pack" data-index="${index}" title="Prepaid credits with an expiry month">+ Credit Pack</button>
+    </td>
+    </tr>`;
+
+    if (plan.tier_mode !== 'flat') {
+    html += `
+    <tr class="tier-row">
+    <td colspan="18">${renderTierEditor(plan, index)}</td>
+    </tr>`;
+    }
+    if (plan.unit_prices.length > 0) {
+    html += `
+    <tr class="tier-row">
+    <td colspan="18">${renderUnitPriceEditor(plan, index)}</td>
+    </tr>`;
+    }
+    if (plan.monthly_commit_credit > 0 || plan.annual_commit > 0 || plan.credit_packs.length > 0) {
+    html += `
+    <tr class="tier-row">
+    <td colspan="18">${renderContractEditor(plan, index)}</td>
+    </tr>`;
+    }
+    html += `
+    <tr class="slice-row">
+    <td colspan="18">${renderRateLimitEditor(plan, index)}</td>
     </tr>`;
     });
     
@@ -358,70 +920,582 @@ const UI = (() => {
     }
 
     /**
-    * Renders the Environments table and Plan Assignment
+    * Renders the pricing catalog picker and, after "Check Against Catalog", the check results
+    * @param {object} view - { catalog, source, entries, check } (check is null until requested)
     */
-    function renderEnvironments(envs, plans, planAssignment) {
-    // Create <option> HTML for the plan selector
-    const planOptions = plans.map(p => 
-    `<option value="${p.id}">${p.vendor} - ${p.plan} (${p.currency})</option>`
-    ).join('');
+    function renderCatalog(view) {
+    const { catalog, source, entries, check } = view;
+    const vendors = [...new Set(entries.map(entry => entry.vendor))];
+    const options = vendors.map(vendor => `<optgroup label="${escapeHtml(vendor)}">
+    ${entries.filter(entry => entry.vendor === vendor).map(entry =>
+    `<option value="${escapeHtml(entry.id)}">${escapeHtml(entry.model)} (${escapeHtml(entry.currency)} ${entry.price_prompt_per_1k} / ${entry.price_completion_per_1k})</option>`
+    ).join('')}
+    </optgroup>`).join('');
+
+    let html = `<div class="fx-settings">
+    <label>Pricing Catalog
+    <select id="catalog-picker">${options}</select>
+    </label>
+    <button id="add-from-catalog-btn" class="btn">+ Add from Catalog</button>
+    <button id="check-catalog-btn" class="btn">Check Against Catalog</button>
+    <button id="load-catalog-btn" class="btn">Load Catalog File</button>
+    ${source === 'file' ? '<button id="reset-catalog-btn" class="btn">Use Bundled Catalog</button>' : ''}
+    </div>
+    <p class="suggestion">Catalog ${escapeHtml(catalog.catalog_version)}${catalog.published ? ` (published ${escapeHtml(catalog.published)})` : ''},
+    ${source === 'file' ? 'loaded from a file' : 'bundled'} &middot; ${entries.length} model(s) with current prices.</p>`;
 
-    let html = `<div class="table-wrapper"><table>
+    if (check) {
+    const labels = {
+    currency: 'Currency', price_prompt_per_1k: 'Prompt / 1K', price_completion_per_1k: 'Completion / 1K',
+    price_cache_read_per_1k: 'Cache Read / 1K', price_cache_write_per_1k: 'Cache Write / 1K', cache_ttl_minutes: 'Cache TTL (Min)'
+    };
+    const rows = check.map(result => {
+    let outcome;
+    if (!result.entry) {
+    outcome = '<td colspan="2"><span class="suggestion">No catalog match (link by vendor and model name, or add the plan from the catalog)</span></td>';
+    } else if (result.differences.length === 0) {
+    outcome = `<td>${statusBadge('Matches', '#34c759')}</td><td></td>`;
+    } else {
+    const list = result.differences.map(d => `<li>${labels[d.key]}: ${escapeHtml(d.plan_value)} → ${escapeHtml(d.catalog_value)}</li>`).join('');
+    outcome = `<td>${statusBadge('Differs', '#ff9500')}<ul class="change-list">${list}</ul></td>
+    <td><button class="btn-delete btn-add-route" data-action="apply-catalog" data-index="${result.plan_index}">Apply Catalog Rates</button></td>`;
+    }
+    return `
+    <tr>
+    <td><strong>${escapeHtml(result.plan_name)}</strong></td>
+    <td>${result.entry ? `${escapeHtml(result.entry.vendor)} - ${escapeHtml(result.entry.model)}<div class="suggestion">effective ${escapeHtml(result.entry.effective_date)}</div>` : '&mdash;'}</td>
+    ${outcome}
+    </tr>`;
+    }).join('');
+
+    html += `<h3 class="comparison-heading">Catalog Check <button id="hide-catalog-check-btn" class="btn-delete">Hide</button></h3>
+    <div class="table-wrapper"><table>
     <thead>
     <tr>
-    <th>Environment</th>
-    <th>Assigned Plan</th>
-    <th>Reqs / Day</th>
-    <th>Avg Tokens / Req</th>
-    <th>Context Tokens</th>
-    <th>Cache Hit (%)</th>
-    <th>Cache Save (%)</th>
-    <th>Completion (%)</th>
-    <th>Days / Month</th>
-    <th>Budget</th>
-    <th>Budget Currency</th>
+    <th>Plan</th>
+    <th>Catalog Entry</th>
+    <th>Result</th>
     <th>Action</th>
     </tr>
     </thead>
-    <tbody>`;
-    
-    envs.forEach((env, index) => {
-    const assignedPlanId = planAssignment[env.id];
-    
-    // Build the <select> element with the correct plan selected
-    let selectHtml = `<select data-table="assignment" data-env-id="${env.id}">`;
-    selectHtml += `<option value="">-- Select a Plan --</option>`;
-    plans.forEach(p => {
-    selectHtml += `<option value="${p.id}" ${p.id === assignedPlanId ? 'selected' : ''}>${p.vendor} - ${p.plan}</option>`;
-    });
-    selectHtml += `</select>`;
+    <tbody>${rows || '<tr><td colspan="4"><span class="suggestion">No vendor plans to check.</span></td></tr>'}</tbody>
+    </table></div>`;
+    }
+
+    catalogBar.innerHTML = html;
+    }
 
+    /**
+    * Renders the price tier editor shown under a tiered plan.
+    * Tier limits are cumulative monthly tokens (prompt + completion); a blank limit is unlimited.
+    */
+    function renderTierEditor(plan, planIndex) {
+    let html = `<div class="tier-editor">
+    <div class="suggestion">${plan.tier_mode === 'graduated'
+    ? 'Graduated: each tier price applies to the tokens inside that tier.'
+    : 'All-units: the tier reached by the monthly volume prices every token.'}
+    ${plan.price_tiers.length === 0 ? ' Add a tier; the flat prices apply until then.' : ''}</div>`;
+
+    plan.price_tiers.forEach((tier, tierIndex) => {
     html += `
-    <tr>
-    <td><input type="text" value="${env.env_name}" data-table="envs" data-index="${index}" data-key="env_name"></td>
-    <td>${selectHtml}</td>
-    <td><input type="number" min="0" value="${env.requests_per_day}" data-table="envs" data-index="${index}" data-key="requests_per_day"></td>
-    <td><input type="number" min="0" value="${env.avg_tokens_per_request}" data-table="envs" data-index="${index}" data-key="avg_tokens_per_request"></td>
-    <td><input type="number" min="0" value="${env.context_tokens}" data-table="envs" data-index="${index}" data-key="context_tokens"></td>
-    <td><input type="number" step="0.01" min="0" max="1" value="${env.cache_hit_rate}" data-table="envs" data-index="${index}" data-key="cache_hit_rate"></td>
-    <td><input type="number" step="0.01" min="0" max="1" value="${env.cache_savings_factor}" data-table="envs" data-index="${index}" data-key="cache_savings_factor"></td>
-    <td><input type="number" step="0.01" min="0" max="1" value="${env.completion_share}" data-table="envs" data-index="${index}" data-key="completion_share"></td>
-    <td><input type="number" step="1" min="1" max="31" value="${env.days_per_month}" data-table="envs" data-index="${index}" data-key="days_per_month"></td>
-    <td><input type="number" min="0" value="${env.monthly_budget}" data-table="envs" data-index="${index}" data-key="monthly_budget"></td>
-    <td><input type="text" value="${env.budget_currency}" data-table="envs" data-index="${index}" data-key="budget_currency" style="width: 60px;"></td>
+    <div class="route-row">
+    <span class="route-share">Tier ${tierIndex + 1}</span>
+    <label>Up to <input type="number" step="1000000" min="0" value="${tier.up_to_tokens ?? ''}" placeholder="Unlimited" data-table="tiers" data-index="${planIndex}" data-tier-index="${tierIndex}" data-key="up_to_tokens" data-allow-empty="true"></label>
+    <label>Prompt / 1K <input type="number" step="0.0001" min="0" value="${tier.price_prompt_per_1k}" data-table="tiers" data-index="${planIndex}" data-tier-index="${tierIndex}" data-key="price_prompt_per_1k"></label>
+    <label>Completion / 1K <input type="number" step="0.0001" min="0" value="${tier.price_completion_per_1k}" data-table="tiers" data-index="${planIndex}" data-tier-index="${tierIndex}" data-key="price_completion_per_1k"></label>
+    <button class="btn-delete" data-action="delete-tier" data-index="${planIndex}" data-tier-index="${tierIndex}">&times;</button>
+    </div>`;
+    });
+    html += `<button class="btn-delete btn-add-route" data-action="add-tier" data-index="${planIndex}">+ Tier</button></div>`;
+    return html;
+    }
+
+    /**
+    * Renders the select for a billing unit (embeddings, images, audio, calls)
+    */
+    function unitSelect(selected, attrs) {
+    const options = Object.entries(Schema.BILLING_UNITS).map(([unit, { label }]) =>
+    `<option value="${unit}" ${unit === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    return `<select ${attrs}>${options}</select>`;
+    }
+
+    /**
+    * Renders the editor for a plan's non-token unit prices. Only images have a size.
+    */
+    function renderUnitPriceEditor(plan, planIndex) {
+    const attrs = (unitIndex, key) => `data-table="unit-prices" data-index="${planIndex}" data-unit-index="${unitIndex}" data-key="${key}"`;
+    let html = `<div class="tier-editor">
+    <div class="suggestion">Non-token prices, in ${escapeHtml(plan.currency)}. They are not covered by free tokens or the long-context surcharge, but count towards the commit.</div>`;
+
+    plan.unit_prices.forEach((price, unitIndex) => {
+    html += `
+    <div class="route-row">
+    ${unitSelect(price.unit, attrs(unitIndex, 'unit'))}
+    ${price.unit === 'image' ? `<label>Size <input type="text" value="${escapeHtml(price.size)}" placeholder="1024x1024" ${attrs(unitIndex, 'size')}></label>` : ''}
+    <label>Price <input type="number" step="0.0001" min="0" value="${price.price}" ${attrs(unitIndex, 'price')}></label>
+    <button class="btn-delete" data-action="delete-unit-price" data-index="${planIndex}" data-unit-index="${unitIndex}">&times;</button>
+    </div>`;
+    });
+    return `${html}</div>`;
+    }
+
+    /**
+    * Renders a plan's contract terms: how the commit is drawn down and its prepaid credit packs
+    */
+    function renderContractEditor(plan, planIndex) {
+    const attrs = (key) => `data-table="plans" data-index="${planIndex}" data-key="${key}"`;
+    const packAttrs = (packIndex, key) => `data-table="credit-packs" data-index="${planIndex}" data-pack-index="${packIndex}" data-key="${key}"`;
+    let html = `<div class="tier-editor">
+    <div class="suggestion">Contract terms, in ${escapeHtml(plan.currency)}. Credit packs pay first, then the commit is drawn down; spend beyond it is billed at the overage multiple.</div>`;
+
+    if (plan.annual_commit > 0) {
+    html += `
+    <div class="route-row">
+    <label>Contract year from <input type="month" value="${escapeHtml(plan.commit_start_month ?? '')}" title="Blank = the forecast start month" ${attrs('commit_start_month')}></label>
+    <label>Already drawn <input type="number" step="100" min="0" value="${plan.annual_commit_drawn}" title="Part of this contract year's commit used before the forecast start month" ${attrs('annual_commit_drawn')}></label>
+    <label>True-up share <input type="number" step="0.05" min="0" max="1" value="${plan.true_up_share}" title="Share of the unused commit billed at the end of the contract year" ${attrs('true_up_share')}></label>
+    </div>`;
+    } else if (plan.monthly_commit_credit > 0) {
+    html += `
+    <div class="route-row">
+    <label>Rollover cap <input type="number" step="1" min="0" value="${plan.commit_rollover_cap}" title="Most unused commit that carries into the next month (0 = none)" ${attrs('commit_rollover_cap')}></label>
+    </div>`;
+    }
+
+    plan.credit_packs.forEach((pack, packIndex) => {
+    html += `
+    <div class="route-row">
+    <span class="route-share">Credits ${packIndex + 1}</span>
+    <label>Balance <input type="number" step="10" min="0" value="${pack.amount}" ${packAttrs(packIndex, 'amount')}></label>
+    <label>Expires after <input type="month" value="${escapeHtml(pack.expires_month)}" ${packAttrs(packIndex, 'expires_month')}></label>
+    <button class="btn-delete" data-action="delete-credit-pack" data-index="${planIndex}" data-pack-index="${packIndex}">&times;</button>
+    </div>`;
+    });
+    return `${html}</div>`;
+    }
+
+    /**
+    * Renders a plan's rate limits per API key (blank = no limit) and the number of keys in use
+    */
+    function renderRateLimitEditor(plan, planIndex) {
+    const attrs = (key) => `data-table="plans" data-index="${planIndex}" data-key="${key}"`;
+    return `<div class="tier-editor"><div class="route-row">
+    <span class="route-share">Rate limits</span>
+    <label>RPM <input type="number" step="10" min="0" value="${plan.rpm_limit ?? ''}" placeholder="None" title="Requests per minute allowed per API key" ${attrs('rpm_limit')} data-allow-empty="true"></label>
+    <label>TPM <input type="number" step="1000" min="0" value="${plan.tpm_limit ?? ''}" placeholder="None" title="Tokens (prompt and completion) per minute allowed per API key" ${attrs('tpm_limit')} data-allow-empty="true"></label>
+    <label>Tokens / day <input type="number" step="100000" min="0" value="${plan.daily_token_limit ?? ''}" placeholder="None" title="Tokens per day allowed per API key" ${attrs('daily_token_limit')} data-allow-empty="true"></label>
+    <label>API keys <input type="number" step="1" min="1" value="${plan.api_keys}" title="Keys the traffic is spread over; each has the limits above" ${attrs('api_keys')}></label>
+    </div></div>`;
+    }
+
+    /**
+    * Renders the editor for a workload's non-token usage, in units per day
+    */
+    function renderUnitUsageEditor(workload, envIndex, workloadIndex) {
+    const attrs = (unitIndex, key) => `data-table="unit-usage" data-index="${envIndex}" data-workload-index="${workloadIndex}" data-unit-index="${unitIndex}" data-key="${key}"`;
+    let html = `<div class="tier-editor">`;
+
+    workload.unit_usage.forEach((usage, unitIndex) => {
+    html += `
+    <div class="route-row">
+    ${unitSelect(usage.unit, attrs(unitIndex, 'unit'))}
+    ${usage.unit === 'image' ? `<label>Size <input type="text" value="${escapeHtml(usage.size)}" placeholder="1024x1024" ${attrs(unitIndex, 'size')}></label>` : ''}
+    <label>Per day <input type="number" min="0" value="${usage.quantity_per_day}" title="${Schema.BILLING_UNITS[usage.unit]?.noun ?? ''} per day" ${attrs(unitIndex, 'quantity_per_day')}></label>
+    <button class="btn-delete" data-action="delete-unit-usage" data-index="${envIndex}" data-workload-index="${workloadIndex}" data-unit-index="${unitIndex}">&times;</button>
+    </div>`;
+    });
+    return `${html}</div>`;
+    }
+
+    /**
+    * Renders the tags of one environment: key, value and the share of its cost charged to the value
+    */
+    function renderTagEditor(env, envIndex) {
+    const attrs = (tagIndex, key) => `data-table="tags" data-index="${envIndex}" data-tag-index="${tagIndex}" data-key="${key}"`;
+    let html = `<div class="route-row tag-list">`;
+
+    env.tags.forEach((tag, tagIndex) => {
+    html += `
+    <span class="route-row">
+    <input type="text" value="${escapeHtml(tag.key)}" list="tag-key-options" placeholder="Key" title="Tag key, e.g. team" ${attrs(tagIndex, 'key')}>
+    <input type="text" value="${escapeHtml(tag.value)}" placeholder="Value" title="Tag value, e.g. the team's name" ${attrs(tagIndex, 'value')}>
+    <input type="number" step="0.05" min="0" max="1" value="${tag.share}" title="Share of the environment's cost charged to this value" ${attrs(tagIndex, 'share')}>
+    <button class="btn-delete" data-action="delete-tag" data-index="${envIndex}" data-tag-index="${tagIndex}">&times;</button>
+    </span>`;
+    });
+    html += `<button class="btn-delete btn-add-route" data-action="add-tag" data-index="${envIndex}" title="Team, product or cost centre, for cost allocation">+ Tag</button></div>`;
+    return html;
+    }
+
+    /**
+    * Renders the routing editor for one environment: a plan selector and weight per route
+    */
+    function renderRouteEditor(envId, routes, plans) {
+    const totalWeight = routes.reduce((sum, r) => sum + (r.weight > 0 ? r.weight : 0), 0);
+
+    let html = `<div class="route-list">`;
+    routes.forEach((route, routeIndex) => {
+    const share = totalWeight > 0 && route.weight > 0 ? (route.weight / totalWeight) * 100 : 0;
+
+    // Build the <select> element with the correct plan selected
+    let selectHtml = `<select data-table="assignment" data-env-id="${escapeHtml(envId)}" data-route-index="${routeIndex}" data-key="plan_id">`;
+    selectHtml += `<option value="">-- Select a Plan --</option>`;
+    plans.forEach(p => {
+    selectHtml += `<option value="${escapeHtml(p.id)}" ${p.id === route.plan_id ? 'selected' : ''}>${escapeHtml(p.vendor)} - ${escapeHtml(p.plan)}</option>`;
+    });
+    selectHtml += `</select>`;
+
+    html += `
+    <div class="route-row">
+    ${selectHtml}
+    <input type="number" step="1" min="0" value="${route.weight}" title="Routing weight" data-table="assignment" data-env-id="${escapeHtml(envId)}" data-route-index="${routeIndex}" data-key="weight">
+    <span class="route-share">${share.toFixed(0)}%</span>
+    <button class="btn-delete" data-action="delete-route" data-env-id="${escapeHtml(envId)}" data-route-index="${routeIndex}">&times;</button>
+    </div>`;
+    });
+    html += `<button class="btn-delete btn-add-route" data-action="add-route" data-env-id="${escapeHtml(envId)}">+ Route</button></div>`;
+    return html;
+    }
+
+    /**
+    * Renders the Environments table and Plan Assignment
+    */
+    function renderEnvironments(envs, plans, planAssignment) {
+    let html = `<div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Environment / Workload</th>
+    <th>Plan Routing (Weight)</th>
+    <th>Reqs / Day</th>
+    <th>Avg Tokens / Req</th>
+    <th>Context Tokens</th>
+    <th>Cache Hit Rate</th>
+    <th>Cacheable Prefix</th>
+    <th>Completion (%)</th>
+    <th>Batch Share</th>
+    <th>Off-Peak Share</th>
+    <th>Days / Month</th>
+    <th>Budget</th>
+    <th>Budget Currency</th>
+    <th>Action</th>
+    </tr>
+    </thead>
+    <tbody>`;
+    
+    envs.forEach((env, index) => {
+    const routes = planAssignment[env.id] ?? [];
+    const attrs = (workloadIndex, key) => `data-table="workloads" data-index="${index}" data-workload-index="${workloadIndex}" data-key="${key}"`;
+    const totalRequests = env.workloads.reduce((sum, w) => sum + (w.requests_per_day ?? 0), 0);
+
+    html += `
+    <tr>
+    <td><input type="text" value="${escapeHtml(env.env_name)}" data-table="envs" data-index="${index}" data-key="env_name"></td>
+    <td>${renderRouteEditor(env.id, routes, plans)}</td>
+    <td colspan="8"><span class="suggestion">${env.workloads.length} workload(s), ${formatNum(totalRequests)} requests / day in total</span></td>
+    <td><input type="number" step="1" min="1" max="31" value="${env.days_per_month}" data-table="envs" data-index="${index}" data-key="days_per_month"></td>
+    <td><input type="number" min="0" value="${env.monthly_budget}" data-table="envs" data-index="${index}" data-key="monthly_budget"></td>
+    <td><input type="text" value="${escapeHtml(env.budget_currency)}" data-table="envs" data-index="${index}" data-key="budget_currency" data-format="currency" style="width: 60px;"></td>
     <td><button class="btn-delete" data-action="delete-env" data-index="${index}">Delete</button></td>
     </tr>`;
+
+    // Each workload has its own volume and token profile; all of them share the environment's routing
+    env.workloads.forEach((workload, workloadIndex) => {
+    html += `
+    <tr class="slice-row">
+    <td><div class="route-row"><span class="route-share">↳</span><input type="text" value="${escapeHtml(workload.name)}" ${attrs(workloadIndex, 'name')}></div></td>
+    <td></td>
+    <td><input type="number" min="0" value="${workload.requests_per_day}" ${attrs(workloadIndex, 'requests_per_day')}></td>
+    <td><input type="number" min="0" value="${workload.avg_tokens_per_request}" ${attrs(workloadIndex, 'avg_tokens_per_request')}></td>
+    <td><input type="number" min="0" value="${workload.context_tokens}" ${attrs(workloadIndex, 'context_tokens')}></td>
+    <td><input type="number" step="0.01" min="0" max="1" value="${workload.cache_hit_rate}" ${attrs(workloadIndex, 'cache_hit_rate')}></td>
+    <td><input type="number" min="0" value="${workload.cacheable_prefix_tokens}" title="Tokens at the start of the context that the vendor can cache" ${attrs(workloadIndex, 'cacheable_prefix_tokens')}></td>
+    <td><input type="number" step="0.01" min="0" max="1" value="${workload.completion_share}" ${attrs(workloadIndex, 'completion_share')}></td>
+    <td><input type="number" step="0.05" min="0" max="1" value="${workload.batch_share}" title="Share of requests that can wait for the batch API" ${attrs(workloadIndex, 'batch_share')}></td>
+    <td><input type="number" step="0.05" min="0" max="1" value="${workload.off_peak_share}" title="Share of requests that can run off-peak" ${attrs(workloadIndex, 'off_peak_share')}></td>
+    <td colspan="3"></td>
+    <td>
+    <button class="btn-delete btn-add-route" data-action="add-unit-usage" data-index="${index}" data-workload-index="${workloadIndex}" title="Embeddings, images, audio or per-call fees">+ Units</button>
+    ${env.workloads.length > 1 ? `<button class="btn-delete" data-action="delete-workload" data-index="${index}" data-workload-index="${workloadIndex}">&times;</button>` : ''}
+    </td>
+    </tr>`;
+
+    if (workload.unit_usage.length > 0) {
+    html += `
+    <tr class="slice-row">
+    <td></td>
+    <td colspan="13">${renderUnitUsageEditor(workload, index, workloadIndex)}</td>
+    </tr>`;
+    }
+    });
+
+    html += `
+    <tr class="slice-row">
+    <td><span class="route-share">Peak hour</span></td>
+    <td colspan="13"><div class="tier-editor"><div class="route-row">
+    <label>Peak factor <input type="number" step="0.5" min="1" max="24" value="${env.peak_factor}" title="Traffic in the busiest hour relative to an average hour; used when there is no hourly profile" data-table="envs" data-index="${index}" data-key="peak_factor"></label>
+    <label>Hourly profile <input type="text" value="${env.hourly_profile.join(', ')}" placeholder="24 weights from midnight, e.g. 1, 1, 1, ..." title="Relative traffic in each hour of the day, from midnight; blank = use the peak factor" style="min-width: 320px;" data-table="envs" data-index="${index}" data-key="hourly_profile" data-format="list"></label>
+    </div></div></td>
+    </tr>
+    <tr class="slice-row">
+    <td><span class="route-share">Tags</span></td>
+    <td colspan="13">${renderTagEditor(env, index)}</td>
+    </tr>
+    <tr class="slice-row">
+    <td colspan="14"><button class="btn-delete btn-add-route" data-action="add-workload" data-index="${index}">+ Workload</button></td>
+    </tr>`;
     });
     
-    html += `</tbody></table></div>`;
+    // Tag keys offered while typing: the usual ones plus any already in use
+    const tagKeys = new Set([...Schema.TAG_KEYS, ...envs.flatMap(env => env.tags.map(tag => tag.key))]);
+    html += `</tbody></table></div>
+    <datalist id="tag-key-options">${[...tagKeys].filter(Boolean).map(key => `<option value="${escapeHtml(key)}">`).join('')}</datalist>`;
     envsTable.innerHTML = html;
     }
 
+    /**
+    * Renders the seat licences and the table of who holds their seats
+    */
+    function renderLicences(state) {
+    const { licences, seat_assignments: seats, environments } = state;
+    let html = `<div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Vendor</th>
+    <th>Product</th>
+    <th>Currency</th>
+    <th>Billing Term</th>
+    <th>Price / Seat</th>
+    <th>Min Seats</th>
+    <th>Action</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    licences.forEach((licence, index) => {
+    const attrs = (key) => `data-table="licences" data-index="${index}" data-key="${key}"`;
+    // Only the price for the chosen term is used
+    const priceKey = licence.billing_term === 'annual' ? 'price_per_seat_year' : 'price_per_seat_month';
+    html += `
+    <tr>
+    <td><input type="text" value="${escapeHtml(licence.vendor)}" ${attrs('vendor')}></td>
+    <td><input type="text" value="${escapeHtml(licence.product)}" ${attrs('product')}></td>
+    <td><input type="text" value="${escapeHtml(licence.currency)}" ${attrs('currency')} data-format="currency" style="width: 60px;"></td>
+    <td><select ${attrs('billing_term')}>
+    <option value="monthly" ${licence.billing_term === 'monthly' ? 'selected' : ''}>Monthly</option>
+    <option value="annual" ${licence.billing_term === 'annual' ? 'selected' : ''}>Annual</option>
+    </select></td>
+    <td><div class="route-row"><input type="number" step="0.01" min="0" value="${licence[priceKey]}" ${attrs(priceKey)}><span class="route-share">/ ${licence.billing_term === 'annual' ? 'year' : 'month'}</span></div></td>
+    <td><input type="number" step="1" min="0" value="${licence.min_seats}" title="Seats billed even when fewer are assigned" ${attrs('min_seats')}></td>
+    <td><button class="btn-delete" data-action="delete-licence" data-index="${index}">Delete</button></td>
+    </tr>`;
+    });
+    if (licences.length === 0) {
+    html += `<tr><td colspan="7"><span class="suggestion">No seat licences.</span></td></tr>`;
+    }
+    html += `</tbody></table></div>`;
+
+    if (seats.length > 0) {
+    html += `<h3 class="comparison-heading">Seat Assignments</h3>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Licence</th>
+    <th>Held By</th>
+    <th>Team</th>
+    <th>Seats</th>
+    <th>Action</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    seats.forEach((row, index) => {
+    const attrs = (key) => `data-table="seats" data-index="${index}" data-key="${key}"`;
+    const licenceOptions = licences.map(l =>
+    `<option value="${escapeHtml(l.id)}" ${l.id === row.licence_id ? 'selected' : ''}>${escapeHtml(l.vendor)} - ${escapeHtml(l.product)}</option>`
+    ).join('');
+    // Seats held by a team count towards the totals but no environment's budget
+    const holderOptions = environments.map(env =>
+    `<option value="${escapeHtml(env.id)}" ${env.id === row.env_id ? 'selected' : ''}>${escapeHtml(env.env_name)}</option>`
+    ).join('');
+    html += `
+    <tr>
+    <td><select ${attrs('licence_id')}>${licenceOptions}</select></td>
+    <td><select ${attrs('env_id')}>${holderOptions}<option value="" ${row.env_id === null ? 'selected' : ''}>A team (no environment)</option></select></td>
+    <td>${row.env_id === null ? `<input type="text" value="${escapeHtml(row.team)}" placeholder="Team name" ${attrs('team')}>` : '<span class="suggestion">Environment budget</span>'}</td>
+    <td><input type="number" step="1" min="0" value="${row.seats}" ${attrs('seats')}></td>
+    <td><button class="btn-delete" data-action="delete-seats" data-index="${index}">Delete</button></td>
+    </tr>`;
+    });
+    html += `</tbody></table></div>`;
+    }
+    licencesTable.innerHTML = html;
+    }
+
+    /**
+    * Renders the seat licences held by an environment, one line per licence
+    */
+    function licenceCostDisplay(r, currency) {
+    if (r.licences.length === 0) return '<span class="suggestion">None</span>';
+    return `${formatCurrency(r.licence_cost, currency)}
+    ${r.licences.map(l => `<div class="suggestion">${formatNum(l.seats)} × ${escapeHtml(l.name)} &middot; ${formatCurrency(l.cost, currency)}</div>`).join('')}`;
+    }
+
+    /**
+    * Renders the cost of non-token units (embeddings, images, audio, call fees), one line per unit
+    */
+    function unitCostDisplay(r, currency) {
+    if (r.units.length === 0) return '<span class="suggestion">None</span>';
+    return `${formatCurrency(r.unit_cost, currency)}
+    ${r.units.map(u => `<div class="suggestion">${formatNum(u.quantity)} ${escapeHtml(u.name)} &middot; ${formatCurrency(u.cost, currency)}</div>`).join('')}`;
+    }
+
+    /**
+    * Renders a status badge in the colour of its alert level
+    */
+    function statusBadge(name, color) {
+    return `<span class="status" style="--status-color: ${escapeHtml(color)};">${escapeHtml(name)}</span>`;
+    }
+
+    /**
+    * Renders the editor for one alert policy. scope is 'default' or an environment index.
+    */
+    function renderPolicyEditor(policy, scope) {
+    const metrics = [['percent', '× budget'], ['amount', 'amount'], ['exceed_by_day', 'over budget by day']];
+    const attrs = (levelIndex, key) => `data-table="policy" data-scope="${scope}" data-level-index="${levelIndex}" data-key="${key}"`;
+
+    let html = `<div class="tier-editor">
+    <div class="route-row">
+    <span class="route-share">Otherwise</span>
+    <input type="text" value="${escapeHtml(policy.ok.name)}" ${attrs('ok', 'name')}>
+    <input type="color" value="${escapeHtml(policy.ok.color)}" ${attrs('ok', 'color')}>
+    </div>`;
+
+    policy.levels.forEach((level, levelIndex) => {
+    const metricOptions = metrics.map(([value, label]) =>
+    `<option value="${value}" ${value === level.metric ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    const step = level.metric === 'percent' ? 0.05 : 1;
+
+    html += `
+    <div class="route-row">
+    <span class="route-share">Level ${levelIndex + 1}</span>
+    <input type="text" value="${escapeHtml(level.name)}" ${attrs(levelIndex, 'name')}>
+    <input type="color" value="${escapeHtml(level.color)}" ${attrs(levelIndex, 'color')}>
+    <label>when cost reaches <input type="number" step="${step}" min="0" value="${level.threshold}" ${attrs(levelIndex, 'threshold')}></label>
+    <select ${attrs(levelIndex, 'metric')}>${metricOptions}</select>
+    <button class="btn-delete" data-action="delete-level" data-scope="${scope}" data-level-index="${levelIndex}">&times;</button>
+    </div>`;
+    });
+    html += `<button class="btn-delete btn-add-route" data-action="add-level" data-scope="${scope}">+ Level</button></div>`;
+    return html;
+    }
+
+    /**
+    * Renders the default alert policy and each environment's choice of policy
+    */
+    function renderAlertPolicies(state) {
+    let html = `<h3 class="comparison-heading">Default Policy</h3>
+    <p class="suggestion">Levels escalate from top to bottom; the last level whose rule is met sets the status.
+    Amounts are in each environment's budget currency. "Over budget by day" assumes spending is spread evenly over the month.</p>
+    ${renderPolicyEditor(state.alert_policy, 'default')}
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Environment</th>
+    <th>Policy</th>
+    <th>Levels</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    state.environments.forEach((env, index) => {
+    const isCustom = env.alert_policy !== null;
+    const levels = isCustom
+    ? renderPolicyEditor(env.alert_policy, index)
+    : `<span class="suggestion">${escapeHtml(state.alert_policy.levels.map(level => level.name).join(' → ')) || 'No levels'} (default)</span>`;
+
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(env.env_name)}</strong></td>
+    <td><select data-table="policy-mode" data-index="${index}">
+    <option value="default" ${isCustom ? '' : 'selected'}>Default policy</option>
+    <option value="custom" ${isCustom ? 'selected' : ''}>Custom policy</option>
+    </select></td>
+    <td>${levels}</td>
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>`;
+    alertPolicyTable.innerHTML = html;
+    }
+
+    /**
+    * Renders the base/reporting currency controls and the exchange-rate table
+    */
+    function renderCurrencies(fx) {
+    const currencies = [fx.base_currency, ...fx.rates.map(r => r.currency)];
+    const reportingOptions = currencies.map(c =>
+    `<option value="${escapeHtml(c)}" ${c === fx.reporting_currency ? 'selected' : ''}>${escapeHtml(c)}</option>`
+    ).join('');
+
+    let html = `<div class="fx-settings">
+    <label>Base Currency
+    <input type="text" value="${escapeHtml(fx.base_currency)}" data-table="fx" data-key="base_currency" data-format="currency" style="width: 60px;">
+    </label>
+    <label>Reporting Currency
+    <select data-table="fx" data-key="reporting_currency">${reportingOptions}</select>
+    </label>
+    </div>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Currency</th>
+    <th>Value of 1 Unit in ${escapeHtml(fx.base_currency)}</th>
+    <th>Action</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    fx.rates.forEach((rate, index) => {
+    html += `
+    <tr>
+    <td><input type="text" value="${escapeHtml(rate.currency)}" data-table="fx-rates" data-index="${index}" data-key="currency" data-format="currency" style="width: 60px;"></td>
+    <td><input type="number" step="0.0001" min="0" value="${rate.rate_to_base}" data-table="fx-rates" data-index="${index}" data-key="rate_to_base"></td>
+    <td><button class="btn-delete" data-action="delete-rate" data-index="${index}">Delete</button></td>
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>`;
+    currencyTable.innerHTML = html;
+    }
+
     /**
     * Renders the Results table
     */
-    function renderResults(results) {
+    function renderResults(results, simulation) {
     const { perEnv, totals } = results;
+    // P50 / P90 / P99 from the Monte Carlo runs, when any environment has a range
+    const rangeDisplay = (dist, currency) => dist && dist.p50 !== null
+    ? `<strong>${formatCurrency(dist.p50, currency)}</strong>
+    <div class="suggestion">P90 ${formatCurrency(dist.p90, currency)} &middot; P99 ${formatCurrency(dist.p99, currency)}</div>`
+    : '<span class="suggestion">Point estimate</span>';
+    const breachDisplay = (dist) => dist
+    ? dist.level_probabilities.map(p => `<div class="suggestion">${escapeHtml(p.level)}: ${(p.probability * 100).toFixed(1)}%</div>`).join('')
+    : '';
+    // Prompt tokens split into normal input, cache reads and cache writes
+    const promptDisplay = (r) => `${formatNum(r.prompt_tokens)}
+    ${r.cache_read_tokens + r.cache_write_tokens > 0 ? `<div class="suggestion">${formatNum(r.uncached_prompt_tokens)} uncached &middot; ${formatNum(r.cache_read_tokens)} cache read &middot; ${formatNum(r.cache_write_tokens)} cache write</div>` : ''}`;
+    const cacheCostDisplay = (r, currency) => `${formatCurrency(r.cache_read_cost + r.cache_write_cost, currency)}
+    <div class="suggestion">read ${formatCurrency(r.cache_read_cost, currency)} &middot; write ${formatCurrency(r.cache_write_cost, currency)}</div>`;
+    // Batch and off-peak traffic: the same usage at normal prices, and the saving
+    const discountDisplay = (r, currency) => r.discount_savings > 0
+    ? `<div class="suggestion">${formatCurrency(r.final_cost_without_discount, currency)} without discounts &middot; saves ${formatCurrency(r.discount_savings, currency)}</div>`
+    : '';
+    // Rate limits of the routed plans, next to the budget status
+    const capacityDisplay = ({ capacity }) => `<div class="suggestion">Capacity: ${statusBadge(capacity.status, capacity.status_color)}</div>
+    <div class="suggestion">Peak ${formatRate(capacity.peak_rpm)} RPM &middot; ${formatRate(capacity.peak_tpm)} TPM</div>
+    ${capacity.suggestion ? `<div class="suggestion">${escapeHtml(capacity.suggestion)}</div>` : ''}`;
 
     let html = `<div class="table-wrapper"><table>
     <thead>
@@ -429,11 +1503,16 @@ const UI = (() => {
     <th>Environment</th>
     <th>Status</th>
     <th>Final Cost / Month</th>
+    <th>Actual Run-Rate</th>
+    <th>Cost Range (P50)</th>
     <th>Budget</th>
     <th>Utilization</th>
     <th>Total Tokens / Month</th>
     <th>Prompt Tokens</th>
     <th>Completion Tokens</th>
+    <th>Cache Cost</th>
+    <th>Other Units</th>
+    <th>Seat Licences</th>
     <th>Raw Cost</th>
     </tr>
     </thead>
@@ -442,35 +1521,122 @@ const UI = (() => {
     perEnv.forEach(res => {
     if (res.error) {
     html += `<tr>
-    <td>${res.env_name}</td>
-    <td colspan="8"><span class="status-RED">${res.error}</span></td>
+    <td>${escapeHtml(res.env_name)}</td>
+    <td colspan="13"><span class="status-RED">${escapeHtml(res.error)}</span></td>
     </tr>`;
     return;
     }
 
-    // Check for currency mismatch
-    const budgetMismatch = res.currency !== res.budget_currency;
-    const budgetDisplay = `${formatCurrency(res.budget, res.budget_currency)} ${budgetMismatch ? `(${res.budget_currency})` : ''}`;
+    // Environment costs are in the budget currency; slices below keep their plan currency
+    const budgetDisplay = `${formatCurrency(res.budget, res.budget_currency)}`;
     const costDisplay = `${formatCurrency(res.final_cost, res.currency)}`;
+    const dist = simulation?.perEnv.find(d => d.env_id === res.env_id);
+    const actualDisplay = res.actual ? `<strong>${formatCurrency(res.actual.run_rate_cost, res.currency)}</strong>
+    <div class="suggestion">MTD ${formatCurrency(res.actual.mtd_cost, res.currency)} over ${res.actual.days_with_data} day(s)${res.actual.estimated_rows > 0 ? ' (partly estimated)' : ''}</div>
+    <div class="suggestion">${formatDelta(res.actual.variance, res.currency)}${res.actual.variance_pct !== null ? ` (${res.actual.variance_pct >= 0 ? '+' : '−'}${Math.abs(res.actual.variance_pct * 100).toFixed(1)}%)` : ''} vs. projection</div>`
+    : '<span class="suggestion">No actuals</span>';
+    // With actuals the status comes from the run-rate; show what the projection alone would say
+    const projectedStatus = res.actual && res.projected_status !== res.status
+    ? `<div class="suggestion">Projection: ${statusBadge(res.projected_status, res.projected_status_color)}</div>`
+    : '';
 
     html += `
     <tr>
     <td>
-    <strong>${res.env_name}</strong>
-    <div class="suggestion">${res.plan_name}</div>
+    <strong>${escapeHtml(res.env_name)}</strong>
+    <div class="suggestion">${escapeHtml(res.plan_name)}</div>
     </td>
     <td>
-    <span class="status status-${res.status}">${res.status}</span>
-    ${res.suggestion ? `<div class="suggestion">${res.suggestion}</div>` : ''}
+    ${statusBadge(res.status, res.status_color)}
+    ${projectedStatus}
+    ${res.suggestion ? `<div class="suggestion">${escapeHtml(res.suggestion)}</div>` : ''}
+    ${capacityDisplay(res)}
     </td>
-    <td><strong>${costDisplay}</strong></td>
-    <td>${budgetDisplay} ${budgetMismatch ? `<div class="suggestion" style="color: var(--color-red);">Warning: Plan/Budget currency mismatch.</div>` : ''}</td>
+    <td><strong>${costDisplay}</strong>${discountDisplay(res, res.currency)}</td>
+    <td>${actualDisplay}</td>
+    <td>${rangeDisplay(dist, res.currency)}${breachDisplay(dist)}</td>
+    <td>${budgetDisplay}</td>
     <td><strong>${(res.utilization * 100).toFixed(1)}%</strong></td>
     <td>${formatNum(res.monthly_tokens)}</td>
-    <td>${formatNum(res.prompt_tokens)}</td>
+    <td>${promptDisplay(res)}</td>
     <td>${formatNum(res.completion_tokens)}</td>
+    <td>${cacheCostDisplay(res, res.currency)}</td>
+    <td>${unitCostDisplay(res, res.currency)}</td>
+    <td>${licenceCostDisplay(res, res.currency)}</td>
     <td>${formatCurrency(res.raw_cost, res.currency)}</td>
     </tr>`;
+
+    // Per-plan breakdown for routed environments
+    if (res.slices.length > 1) {
+    res.slices.forEach(slice => {
+    const converted = slice.currency !== res.currency
+    ? `<div class="suggestion">≈ ${formatCurrency(slice.final_cost_budget, res.currency)}</div>`
+    : '';
+    html += `
+    <tr class="slice-row">
+    <td><div class="suggestion">↳ ${escapeHtml(slice.plan_name)} (${(slice.share * 100).toFixed(0)}%)</div></td>
+    <td></td>
+    <td>${formatCurrency(slice.final_cost, slice.currency)}${converted}${discountDisplay(slice, slice.currency)}</td>
+    <td></td>
+    <td></td>
+    <td></td>
+    <td></td>
+    <td>${formatNum(slice.monthly_tokens)}</td>
+    <td>${promptDisplay(slice)}</td>
+    <td>${formatNum(slice.completion_tokens)}</td>
+    <td>${cacheCostDisplay(slice, slice.currency)}</td>
+    <td>${unitCostDisplay(slice, slice.currency)}</td>
+    <td></td>
+    <td>${formatCurrency(slice.raw_cost, slice.currency)}</td>
+    </tr>`;
+    });
+    }
+
+    // Per-workload breakdown, in the environment's budget currency
+    if (res.workloads.length > 1) {
+    res.workloads.forEach(workload => {
+    html += `
+    <tr class="slice-row">
+    <td><div class="suggestion">↳ ${escapeHtml(workload.name)} (${(workload.cost_share * 100).toFixed(0)}% of cost)</div></td>
+    <td></td>
+    <td>${formatCurrency(workload.final_cost, res.currency)}${discountDisplay(workload, res.currency)}</td>
+    <td></td>
+    <td></td>
+    <td></td>
+    <td></td>
+    <td>${formatNum(workload.monthly_tokens)}</td>
+    <td>${promptDisplay(workload)}</td>
+    <td>${formatNum(workload.completion_tokens)}</td>
+    <td>${cacheCostDisplay(workload, res.currency)}</td>
+    <td>${unitCostDisplay(workload, res.currency)}</td>
+    <td></td>
+    <td>${formatCurrency(workload.raw_cost, res.currency)}</td>
+    </tr>`;
+    });
+    }
+    });
+
+    // Seats held by teams, and minimum seats nobody holds: in the totals but no environment's budget
+    const unassigned = results.perLicence.filter(l => !l.error && l.unassigned_cost > 0);
+    const seatRows = [
+    ...results.perTeam.map(team => ({ name: `Team: ${team.team}`, lines: team.licences, cost: team.cost_reporting })),
+    ...(unassigned.length > 0 ? [{
+    name: 'Unassigned seats',
+    lines: unassigned.map(l => ({ name: l.name, seats: l.billed_seats, cost_reporting: l.cost_reporting })),
+    cost: unassigned.reduce((sum, l) => sum + l.cost_reporting, 0),
+    }] : []),
+    ];
+    seatRows.forEach(row => {
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(row.name)}</strong><div class="suggestion">Seat licences only</div></td>
+    <td></td>
+    <td><strong>${formatCurrency(row.cost, totals.currency)}</strong>*</td>
+    <td colspan="9"></td>
+    <td>${formatCurrency(row.cost, totals.currency)}*
+    ${row.lines.map(l => `<div class="suggestion">${formatNum(l.seats)} × ${escapeHtml(l.name)} &middot; ${formatCurrency(l.cost_reporting, totals.currency)}</div>`).join('')}</td>
+    <td></td>
+    </tr>`;
     });
     
     // Totals Row
@@ -478,83 +1644,761 @@ const UI = (() => {
     <tr style="background-color: var(--color-bg); font-weight: bold;">
     <td>Total</td>
     <td></td>
-    <td>${formatNum(totals.final_cost, 2)}*</td>
-    <td>${formatNum(totals.budget, 2)}*</td>
+    <td>${formatCurrency(totals.final_cost, totals.currency)}*${discountDisplay(totals, totals.currency)}</td>
+    <td></td>
+    <td>${simulation ? rangeDisplay(simulation.totals, totals.currency) : ''}</td>
+    <td>${formatCurrency(totals.budget, totals.currency)}*</td>
     <td></td>
     <td>${formatNum(totals.total_tokens)}</td>
-    <td>${formatNum(totals.prompt_tokens)}</td>
+    <td>${promptDisplay(totals)}</td>
     <td>${formatNum(totals.completion_tokens)}</td>
-    <td>${formatNum(totals.raw_cost, 2)}*</td>
+    <td></td>
+    <td>${formatCurrency(totals.unit_cost, totals.currency)}*</td>
+    <td>${formatCurrency(totals.licence_cost, totals.currency)}*</td>
+    <td>${formatCurrency(totals.raw_cost, totals.currency)}*</td>
     </tr>`;
 
     html += `</tbody></table></div>
     <p class="suggestion" style="text-align: right; margin-top: 8px;">
-    *Total costs are a naive sum and may include mixed currencies.
+    *Totals are converted into ${escapeHtml(totals.currency)} (reporting currency) using the exchange-rate table.
+    ${simulation ? `<br>Cost ranges come from ${formatNum(simulation.runs)} Monte Carlo runs (seed ${simulation.seed}); percentages are the chance of reaching each alert level.` : ''}
+    ${totals.true_up_cost > 0 ? `<br>The total includes ${formatCurrency(totals.true_up_cost, totals.currency)} of contract true-ups billed this month; they are not part of any environment's cost.` : ''}
+    ${totals.licence_cost > 0 ? '<br>Seat licences are a fixed monthly cost: annual terms are spread over 12 months, and seats held by an environment count towards its budget and run-rate.' : ''}
+    ${totals.discount_savings > 0 ? '<br>Costs assume the batch and off-peak shares of each workload use the plan\'s discounted prices.' : ''}
+    ${totals.actuals_month ? `<br>Actuals are month-to-date for ${escapeHtml(totals.actuals_month)}; the run-rate extends them to each environment's days per month and sets the status.` : ''}
     </p>`;
+    html += renderPlanBilling(results.perPlan);
+    html += renderCapacity(results.perPlan);
+    html += renderContracts(results.perContract);
+    html += renderLicenceBilling(results.perLicence, totals.currency);
     resultsTable.innerHTML = html;
     }
     
     /**
-    * Renders the simple CSS bar charts
+    * Renders the cost allocation: tokens, cost and budget rolled up per value of the chosen tag key
+    * @param {object} view - { keys, key, groups, totals } from the App; groups from Calculator.allocateByTag
     */
-    function renderCharts(results) {
-    const { perEnv, totals } = results;
-    
-    // 1. Cost Chart
-    let costHtml = '';
-    const maxCost = Math.max(...perEnv.map(r => r.final_cost || 0), 1); // Avoid div by zero
-    
-    perEnv.forEach(res => {
-    if (res.error) return;
-    const width = (res.final_cost / maxCost) * 100;
-    const costDisplay = `${formatCurrency(res.final_cost, res.currency)}`;
-    costHtml += `
-    <div class="chart-bar-group">
-    <div class="chart-label">${res.env_name} (${costDisplay})</div>
-    <div class="chart-bar-container">
-    <div class="chart-bar bar-cost" style="width: ${width}%;">
-    ${width > 20 ? costDisplay : ''}
-    </div>
-    </div>
-    </div>
-    `;
-    });
-    costChart.innerHTML = costHtml || '<p class="suggestion">No data to display.</p>';
+    function renderAllocation(view) {
+    const { keys, key, groups, totals } = view;
+    if (keys.length === 0) {
+    allocationTable.innerHTML = '<p class="suggestion">No environment has tags yet. Add a team, product or cost centre tag to an environment to allocate its cost.</p>';
+    return;
+    }
 
-    // 2. Token Chart
-    let tokenHtml = '';
-    if (totals.total_tokens > 0) {
-    const promptShare = (totals.prompt_tokens / totals.total_tokens) * 100;
-    const completionShare = (totals.completion_tokens / totals.total_tokens) * 100;
-    
-    tokenHtml = `
-    <div class="chart-bar-group">
-    <div class="chart-label">Total Token Distribution</div>
-    <div class="chart-bar-container">
-    <div class="chart-bar bar-prompt" style="width: ${promptShare}%;">
-    Prompt: ${formatNum(totals.prompt_tokens)} (${promptShare.toFixed(1)}%)
-    </div>
-    <div class="chart-bar bar-completion" style="width: ${completionShare}%;">
-    Completion: ${formatNum(totals.completion_tokens)} (${completionShare.toFixed(1)}%)
-    </div>
-    </div>
+    let html = `<div class="fx-settings">
+    <label>Group by
+    <select data-table="allocation" data-key="key">
+    ${keys.map(k => `<option value="${escapeHtml(k)}" ${k === key ? 'selected' : ''}>${escapeHtml(k)}</option>`).join('')}
+    </select>
+    </label>
     </div>
-    `;
-    }
-    tokenChart.innerHTML = tokenHtml || '<p class="suggestion">No data to display.</p>';
-    }
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>${escapeHtml(key)}</th>
+    <th>Environments</th>
+    <th>Total Tokens</th>
+    <th>Cost / Month</th>
+    <th>Budget</th>
+    <th>Utilization</th>
+    <th>Share of Total Cost</th>
+    </tr>
+    </thead>
+    <tbody>`;
 
-    /**
-    * Main render function
-    */
-    function renderAll(state, results) {
+    groups.forEach(group => {
+    const members = [
+    ...group.environments.map(env => `${escapeHtml(env.env_name)}${env.share < 1 ? ` (${(env.share * 100).toFixed(0)}%)` : ''}`),
+    ...group.teams.map(team => `${escapeHtml(team)} seats`),
+    ];
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(group.value)}</strong></td>
+    <td>${members.join('<br>')}</td>
+    <td>${formatNum(Math.round(group.monthly_tokens))}</td>
+    <td><strong>${formatCurrency(group.cost_reporting, totals.currency)}</strong></td>
+    <td>${formatCurrency(group.budget_reporting, totals.currency)}</td>
+    <td>${group.budget_reporting > 0 ? `${(group.utilization * 100).toFixed(1)}%` : '-'}</td>
+    <td>${(group.cost_share * 100).toFixed(1)}%</td>
+    </tr>`;
+    });
+
+    html += `
+    <tr style="font-weight: bold; background-color: #fafafa;">
+    <td>Total</td>
+    <td></td>
+    <td>${formatNum(totals.total_tokens)}</td>
+    <td>${formatCurrency(totals.final_cost, totals.currency)}</td>
+    <td>${formatCurrency(totals.budget, totals.currency)}</td>
+    <td>${totals.budget > 0 ? `${(totals.final_cost / totals.budget * 100).toFixed(1)}%` : '-'}</td>
+    <td></td>
+    </tr>
+    </tbody></table></div>
+    <p class="suggestion" style="text-align: right; margin-top: 8px;">
+    Amounts are in ${escapeHtml(totals.currency)} (reporting currency). An environment with several ${escapeHtml(key)} values is split by their shares.
+    ${key === 'team' ? 'Seats held by a team are charged to that team.' : 'Seats held by teams are listed as untagged.'}
+    </p>`;
+    allocationTable.innerHTML = html;
+    }
+
+    /**
+    * Renders how each plan's commit and credits are drawn down over the forecast, in the plan currency
+    */
+    function renderContractDrawdown(forecast) {
+    if (forecast.contracts.length === 0 || forecast.months.length === 0) return '';
+
+    let html = `<h3 class="comparison-heading">Commit & Credit Drawdown</h3>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Plan</th>
+    ${forecast.months.map(label => `<th>${label}</th>`).join('')}
+    <th>Overage</th>
+    <th>Credits Expired</th>
+    <th>True-ups</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    forecast.contracts.forEach(contract => {
+    const money = (amount) => formatCurrency(amount, contract.currency);
+    const cells = contract.series.map(point => {
+    if (point.error) return `<td><span class="suggestion">&mdash;</span></td>`;
+    const lines = [
+    point.commit_type ? `<div>${money(point.commit_drawn)} drawn</div><div class="suggestion">${money(point.commit_unused)} left</div>` : '',
+    point.credits_applied > 0 ? `<div class="suggestion">${money(point.credits_applied)} credits</div>` : '',
+    point.credits_expired > 0 ? `<div class="suggestion">${money(point.credits_expired)} credits expire</div>` : '',
+    point.true_up > 0 ? `<div class="status-RED">True-up ${money(point.true_up)}</div>` : '',
+    ];
+    return `<td>${lines.join('') || money(0)}</td>`;
+    }).join('');
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(contract.plan_name)}</strong></td>
+    ${cells}
+    <td>${money(contract.overage_cost)}</td>
+    <td>${money(contract.credits_expired)}</td>
+    <td><strong>${money(contract.true_up)}</strong></td>
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>`;
+    return html;
+    }
+
+    /**
+    * Renders the forecast settings, per-environment growth inputs and the month-by-month table
+    */
+    function renderForecast(state, forecast) {
+    const { environments, forecast: settings } = state;
+    const orNone = (label) => label ?? '&mdash;';
+
+    let html = `<div class="fx-settings">
+    <label>Start Month
+    <input type="month" value="${escapeHtml(settings.start_month)}" data-table="forecast" data-key="start_month">
+    </label>
+    <label>Horizon (Months)
+    <input type="number" step="1" min="1" max="60" value="${settings.horizon_months}" data-table="forecast" data-key="horizon_months">
+    </label>
+    </div>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Environment</th>
+    <th>Growth / Month</th>
+    <th>Explicit Reqs / Day</th>
+    <th>Annual Budget</th>
+    ${forecast.months.map(label => `<th>${label}</th>`).join('')}
+    <th>Cumulative</th>
+    <th>Annual Utilization</th>
+    <th>First Alerts</th>
+    <th>Annual Budget Exceeded</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    forecast.perEnv.forEach((envForecast, index) => {
+    const env = environments[index];
+    const monthCells = envForecast.series.map(point => {
+    if (point.error) return `<td><span class="suggestion">&mdash;</span></td>`;
+    return `<td>
+    <span class="forecast-cell" style="--status-color: ${escapeHtml(point.status_color)};" title="${escapeHtml(point.status)}">${formatCurrency(point.final_cost, envForecast.currency)}</span>
+    <div class="suggestion">&Sigma; ${formatCurrency(point.cumulative_cost, envForecast.currency)}</div>
+    </td>`;
+    }).join('');
+    const firstAlerts = envForecast.first_alert_months
+    .filter(entry => entry.month)
+    .map(entry => `<div>${statusBadge(entry.level, entry.color)} ${entry.month}</div>`)
+    .join('');
+
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(envForecast.env_name)}</strong></td>
+    <td><input type="number" step="0.01" min="-0.99" value="${env.growth_rate}" title="Month-over-month growth, e.g. 0.05 = +5%" data-table="envs" data-index="${index}" data-key="growth_rate"></td>
+    <td><input type="text" value="${env.forecast_requests_per_day.join(', ')}" placeholder="e.g. 100, 120, 150" title="Requests per day for the first months; growth continues from the last value" data-table="envs" data-index="${index}" data-key="forecast_requests_per_day" data-format="list"></td>
+    <td><input type="number" min="0" value="${env.annual_budget}" data-table="envs" data-index="${index}" data-key="annual_budget"></td>
+    ${monthCells}
+    <td><strong>${formatCurrency(envForecast.cumulative_cost, envForecast.currency)}</strong></td>
+    <td><strong>${(envForecast.annual_utilization * 100).toFixed(1)}%</strong></td>
+    <td>${firstAlerts || orNone(null)}</td>
+    <td>${orNone(envForecast.annual_budget_exceeded_month)}</td>
+    </tr>`;
+    });
+
+    // Totals Row
+    html += `
+    <tr style="background-color: var(--color-bg); font-weight: bold;">
+    <td>Total*</td>
+    <td></td>
+    <td></td>
+    <td></td>
+    ${forecast.totals.map(point => `<td>${formatCurrency(point.final_cost, forecast.currency)}</td>`).join('')}
+    <td>${formatCurrency(forecast.totals.length > 0 ? forecast.totals[forecast.totals.length - 1].cumulative_cost : 0, forecast.currency)}</td>
+    <td colspan="3"></td>
+    </tr>`;
+
+    html += `</tbody></table></div>
+    <p class="suggestion" style="text-align: right; margin-top: 8px;">
+    *Totals are converted into ${escapeHtml(forecast.currency)} (reporting currency) and include contract true-ups. Month cells are coloured by that month's alert level.
+    </p>`;
+    html += renderContractDrawdown(forecast);
+    forecastTable.innerHTML = html;
+    }
+
+    /**
+    * Renders the optimizer's recommendations: plans ranked by cost and the input limits that
+    * keep each environment below its first alert level, each with a one-click apply.
+    * optimization is null until the recommendations are requested.
+    */
+    function renderOptimizer(optimization) {
+    if (!optimization) {
+    optimizerTable.innerHTML = '<button id="show-optimizer-btn" class="btn">Show Recommendations</button>';
+    return;
+    }
+    const applyButton = (envId, key, value, label) =>
+    `<button class="btn-delete btn-add-route" data-action="apply-recommendation" data-env-id="${escapeHtml(envId)}" data-key="${key}" data-value="${escapeHtml(value)}">${label}</button>`;
+
+    // limit: a number, Infinity (never alerts), null (cannot be reached) or undefined (not applicable)
+    const limitCell = (envId, key, { current, limit }, format, unreachable) => {
+    if (limit === undefined) return `<td><span class="suggestion">No cacheable prefix</span></td>`;
+    if (limit === null) return `<td><span class="status-RED">${unreachable}</span></td>`;
+    if (limit === Infinity) return `<td>No limit<div class="suggestion">current ${format(current)}</div></td>`;
+    return `<td>
+    <strong>${format(limit)}</strong>
+    <div class="suggestion">current ${format(current)}</div>
+    ${limit !== current ? applyButton(envId, key, limit, 'Apply') : ''}
+    </td>`;
+    };
+
+    let html = `<button id="hide-optimizer-btn" class="btn-delete">Hide</button>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Environment</th>
+    <th>Recommendation</th>
+    <th>Plans by Cost / Month</th>
+    <th>Max Reqs / Day</th>
+    <th>Max Avg Tokens / Req</th>
+    <th>Min Cache Hit Rate</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    optimization.forEach(opt => {
+    if (opt.error) {
+    html += `<tr>
+    <td>${escapeHtml(opt.env_name)}</td>
+    <td colspan="5"><span class="status-RED">${escapeHtml(opt.error)}</span></td>
+    </tr>`;
+    return;
+    }
+
+    const [cheapest] = opt.plans;
+    let recommendation = '<span class="suggestion">No plan can be priced.</span>';
+    if (cheapest && cheapest.final_cost !== null) {
+    const saving = opt.current_cost - cheapest.final_cost;
+    recommendation = saving > 0.005
+    ? `Route to <strong>${escapeHtml(cheapest.plan_name)}</strong>
+    <div class="suggestion">saves ${formatCurrency(saving, opt.currency)} / month (${(saving / opt.current_cost * 100).toFixed(0)}%)</div>
+    ${applyButton(opt.env_id, 'plan_id', cheapest.plan_id, 'Apply')}`
+    : '<span class="suggestion">The current routing is already the cheapest.</span>';
+    }
+
+    const ranking = opt.plans.map(plan => `<div class="route-row">
+    ${plan.error
+    ? `<span class="suggestion">${escapeHtml(plan.plan_name)}: ${escapeHtml(plan.error)}</span>`
+    : `${statusBadge(plan.status, plan.status_color)} ${escapeHtml(plan.plan_name)}: ${formatCurrency(plan.final_cost, opt.currency)}
+    ${plan.is_current ? '<span class="suggestion">(current)</span>' : applyButton(opt.env_id, 'plan_id', plan.plan_id, 'Use')}`}
+    </div>`).join('');
+
+    html += `
+    <tr>
+    <td>
+    <strong>${escapeHtml(opt.env_name)}</strong>
+    <div>${statusBadge(opt.status, opt.status_color)} ${formatCurrency(opt.current_cost, opt.currency)}</div>
+    </td>
+    <td>${recommendation}</td>
+    <td>${ranking}</td>
+    ${limitCell(opt.env_id, 'requests_per_day', opt.limits.requests_per_day, n => formatNum(n), 'Over the first level even with no traffic')}
+    ${limitCell(opt.env_id, 'avg_tokens_per_request', opt.limits.avg_tokens_per_request, n => formatNum(n), 'Over the first level even with no tokens')}
+    ${limitCell(opt.env_id, 'cache_hit_rate', opt.limits.cache_hit_rate, n => `${(n * 100).toFixed(0)}%`, 'Not enough even at 100%')}
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>
+    <p class="suggestion" style="text-align: right; margin-top: 8px;">
+    Limits keep each environment below the first level of its alert policy, with the other inputs unchanged. With several workloads, volume and token limits scale every workload in proportion and the cache hit rate applies to each workload with a cacheable prefix. Plans are costed on the projection, including free tiers and commits shared with other environments.
+    </p>`;
+    optimizerTable.innerHTML = html;
+    }
+
+    /**
+    * Renders the Monte Carlo settings and the min/max range editor for each workload.
+    * The workload's own value is the most likely one; a blank range keeps it fixed.
+    * @param {object} view - { simulation, stale } from the App
+    */
+    function renderUncertainty(state, view) {
+    const fields = [
+    ['requests_per_day', 'Reqs / Day', 1],
+    ['avg_tokens_per_request', 'Avg Tokens / Req', 1],
+    ['context_tokens', 'Context Tokens', 1],
+    ['cache_hit_rate', 'Cache Hit Rate', 0.01],
+    ['completion_share', 'Completion (%)', 0.01],
+    ];
+
+    let html = `<div class="fx-settings">
+    <label>Runs
+    <input type="number" step="100" min="100" max="20000" value="${state.simulation.runs}" data-table="simulation" data-key="runs">
+    </label>
+    <label>Seed
+    <input type="number" step="1" value="${state.simulation.seed}" data-table="simulation" data-key="seed">
+    </label>
+    <button id="run-simulation-btn" class="btn">Run Simulation</button>
+    </div>
+    <div class="suggestion">${view.simulation
+    ? `Cost ranges from ${formatNum(view.simulation.runs)} runs are shown in the projection.`
+    : view.stale
+    ? 'The inputs changed since the last run; run the simulation again to update the cost ranges.'
+    : 'Run the simulation to add cost ranges to the projection.'}</div>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Environment / Workload</th>
+    ${fields.map(([, label]) => `<th>${label}</th>`).join('')}
+    </tr>
+    </thead>
+    <tbody>`;
+
+    state.environments.forEach((env, index) => env.workloads.forEach((workload, workloadIndex) => {
+    const cells = fields.map(([field, , step]) => {
+    const range = workload.ranges[field];
+    const attrs = (key) => `data-table="ranges" data-index="${index}" data-workload-index="${workloadIndex}" data-field="${field}" data-key="${key}"`;
+    return `<td>
+    <div class="range-inputs">
+    <input type="number" step="${step}" min="0" value="${range?.min ?? ''}" placeholder="min" ${attrs('min')} data-allow-empty="true">
+    <input type="number" step="${step}" min="0" value="${range?.max ?? ''}" placeholder="max" ${attrs('max')} data-allow-empty="true">
+    </div>
+    <div class="suggestion">likely ${workload[field]}</div>
+    ${range ? `<select ${attrs('distribution')}>
+    <option value="triangular" ${range.distribution === 'triangular' ? 'selected' : ''}>Triangular</option>
+    <option value="uniform" ${range.distribution === 'uniform' ? 'selected' : ''}>Uniform</option>
+    </select>` : ''}
+    </td>`;
+    }).join('');
+
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(env.env_name)}</strong> / ${escapeHtml(workload.name)}</td>
+    ${cells}
+    </tr>`;
+    }));
+
+    html += `</tbody></table></div>`;
+    uncertaintyTable.innerHTML = html;
+    }
+
+    /**
+    * Renders how each plan is billed on the combined usage of its environments,
+    * including the tier breakdown and long-context surcharge
+    */
+    function renderPlanBilling(perPlan) {
+    if (perPlan.length === 0) return '';
+
+    let html = `<h3 class="comparison-heading">Billing by Plan</h3>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Plan</th>
+    <th>Environments</th>
+    <th>Tokens / Month</th>
+    <th>Tier Breakdown (Billable Tokens)</th>
+    <th>List Cost</th>
+    <th>Cache Read / Write</th>
+    <th>Other Units</th>
+    <th>Batch / Off-Peak Disc.</th>
+    <th>Long Ctx Surcharge</th>
+    <th>After Free Tier</th>
+    <th>Final Cost</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    perPlan.forEach(plan => {
+    const tiers = plan.tier_breakdown.map(band => `<div class="suggestion">
+    Tier ${band.tier}: ${formatNum(band.tokens)} @ ${band.price_prompt_per_1k} / ${band.price_completion_per_1k} = ${formatCurrency(band.cost, plan.currency)}
+    </div>`).join('');
+
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(plan.plan_name)}</strong></td>
+    <td>${plan.env_count}</td>
+    <td>${formatNum(plan.prompt_tokens + plan.completion_tokens)}</td>
+    <td>${tiers || '<span class="suggestion">All free</span>'}</td>
+    <td>${formatCurrency(plan.raw_cost, plan.currency)}</td>
+    <td>${formatCurrency(plan.cache_read_cost, plan.currency)} / ${formatCurrency(plan.cache_write_cost, plan.currency)}</td>
+    <td>${unitCostDisplay(plan, plan.currency)}</td>
+    <td>${plan.discount > 0 ? `−${formatCurrency(plan.discount, plan.currency)}` : formatCurrency(0, plan.currency)}</td>
+    <td>${formatCurrency(plan.long_context_surcharge, plan.currency)}</td>
+    <td>${formatCurrency(plan.cost_after_free_tier, plan.currency)}</td>
+    <td><strong>${formatCurrency(plan.final_cost, plan.currency)}</strong></td>
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>`;
+    return html;
+    }
+
+    /**
+    * Renders each plan's peak traffic against its rate limits, with the keys or tier it needs
+    */
+    function renderCapacity(perPlan) {
+    if (perPlan.length === 0) return '';
+    const quotaDisplay = (capacity, metric) => {
+    const quota = capacity.quotas.find(q => q.metric === metric);
+    const peak = { rpm: capacity.peak_rpm, tpm: capacity.peak_tpm, daily_tokens: capacity.daily_tokens }[metric];
+    return quota
+    ? `${formatRate(peak)} / ${formatRate(quota.capacity)}<div class="suggestion">${(quota.utilization * 100).toFixed(1)}%</div>`
+    : `${formatRate(peak)}<div class="suggestion">No limit</div>`;
+    };
+
+    let html = `<h3 class="comparison-heading">Rate Limits by Plan</h3>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Plan</th>
+    <th>Capacity</th>
+    <th>Peak RPM</th>
+    <th>Peak TPM</th>
+    <th>Tokens / Day</th>
+    <th>API Keys</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    perPlan.forEach(plan => {
+    const { capacity } = plan;
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(plan.plan_name)}</strong><div class="suggestion">${plan.env_count} environment(s)</div></td>
+    <td>${statusBadge(capacity.status, capacity.status_color)}${capacity.suggestion ? `<div class="suggestion">${escapeHtml(capacity.suggestion)}</div>` : ''}</td>
+    <td>${quotaDisplay(capacity, 'rpm')}</td>
+    <td>${quotaDisplay(capacity, 'tpm')}</td>
+    <td>${quotaDisplay(capacity, 'daily_tokens')}</td>
+    <td>${capacity.api_keys}${capacity.keys_needed > capacity.api_keys ? `<div class="suggestion">${capacity.keys_needed} needed</div>` : ''}</td>
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>
+    <p class="suggestion" style="text-align: right; margin-top: 8px;">
+    Peaks are the busiest minute of the busiest hour, with every environment on a plan added up; environments without an hourly profile are assumed to peak together. Batch traffic is left out, and off-peak traffic only counts per day. Quotas from ${(Calculator.CAPACITY_HEADROOM * 100).toFixed(0)}% are flagged as near the limit.
+    </p>`;
+    return html;
+    }
+
+    /**
+    * Renders each plan's commit and credit drawdown this month, and what is projected to go unused
+    */
+    function renderContracts(perContract) {
+    if (perContract.length === 0) return '';
+
+    let html = `<h3 class="comparison-heading">Commits & Credits</h3>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Plan</th>
+    <th>Commit</th>
+    <th>Available</th>
+    <th>Drawn</th>
+    <th>Overage</th>
+    <th>Credits Used</th>
+    <th>Credits Left</th>
+    <th>Projected Unused</th>
+    <th>True-up Exposure</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    perContract.forEach(contract => {
+    if (contract.error) {
+    html += `<tr>
+    <td>${escapeHtml(contract.plan_name)}</td>
+    <td colspan="8"><span class="status-RED">${escapeHtml(contract.error)}</span></td>
+    </tr>`;
+    return;
+    }
+    const money = (amount) => formatCurrency(amount, contract.currency);
+    const { projection } = contract;
+    const term = {
+    annual: `Annual<div class="suggestion">Month ${contract.contract_month} of 12</div>`,
+    monthly: 'Monthly',
+    }[contract.commit_type] ?? '<span class="suggestion">Credits only</span>';
+    const unused = [
+    projection.shortfall > 0 ? `<div>${money(projection.shortfall)} of commit</div>` : '',
+    projection.credits_lost > 0 ? `<div>${money(projection.credits_lost)} of credits</div>` : '',
+    ].join('');
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(contract.plan_name)}</strong></td>
+    <td>${term}</td>
+    <td>${contract.commit_type ? money(contract.commit_available) : '&mdash;'}</td>
+    <td>${contract.commit_type ? money(contract.commit_drawn) : '&mdash;'}</td>
+    <td>${money(contract.overage_cost)}</td>
+    <td>${money(contract.credits_applied)}</td>
+    <td>${money(contract.credits_remaining)}${contract.credits_expired > 0 ? `<div class="suggestion">${money(contract.credits_expired)} expire this month</div>` : ''}</td>
+    <td>${unused ? `${unused}<div class="suggestion">by ${escapeHtml(projection.through_month)}</div>` : money(0)}</td>
+    <td><strong>${money(projection.true_up)}</strong>${contract.true_up > 0 ? '<div class="suggestion">Billed this month</div>' : ''}</td>
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>
+    <p class="suggestion" style="text-align: right; margin-top: 8px;">
+    Projections assume this month's spend on each plan continues. Credit packs pay first; true-ups are billed at the end of each contract year.
+    </p>`;
+    return html;
+    }
+
+    /**
+    * Renders what each seat licence bills: seats held against the minimum, and the price per seat
+    */
+    function renderLicenceBilling(perLicence, reportingCurrency) {
+    if (perLicence.length === 0) return '';
+
+    let html = `<h3 class="comparison-heading">Billing by Licence</h3>
+    <div class="table-wrapper"><table>
+    <thead>
+    <tr>
+    <th>Licence</th>
+    <th>Term</th>
+    <th>Seats Held</th>
+    <th>Seats Billed</th>
+    <th>Price / Seat / Month</th>
+    <th>Cost / Month</th>
+    </tr>
+    </thead>
+    <tbody>`;
+
+    perLicence.forEach(licence => {
+    if (licence.error) {
+    html += `<tr>
+    <td>${escapeHtml(licence.name)}</td>
+    <td colspan="5"><span class="status-RED">${escapeHtml(licence.error)}</span></td>
+    </tr>`;
+    return;
+    }
+    const converted = licence.currency !== reportingCurrency
+    ? `<div class="suggestion">≈ ${formatCurrency(licence.cost_reporting, reportingCurrency)}</div>`
+    : '';
+    html += `
+    <tr>
+    <td><strong>${escapeHtml(licence.name)}</strong></td>
+    <td>${licence.billing_term === 'annual' ? 'Annual' : 'Monthly'}</td>
+    <td>${formatNum(licence.seats)}</td>
+    <td>${formatNum(licence.billed_seats)}${licence.billed_seats > licence.seats ? '<div class="suggestion">Minimum seats</div>' : ''}</td>
+    <td>${formatCurrency(licence.seat_price, licence.currency)}</td>
+    <td><strong>${formatCurrency(licence.cost, licence.currency)}</strong>${converted}</td>
+    </tr>`;
+    });
+
+    html += `</tbody></table></div>`;
+    return html;
+    }
+
+    /**
+    * Renders the SVG charts (see Charts.budgetCharts; the budget reports embed the same ones).
+    */
+    function renderCharts(results, simulation) {
+    const charts = Charts.budgetCharts(results, simulation);
+    const show = (el, chart) => {
+    el.innerHTML = chart.svg || '<p class="suggestion">No data to display.</p>';
+    };
+    show(costChart, charts.cost);
+    show(compositionChart, charts.composition);
+    show(tokenChart, charts.tokens);
+    show(workloadChart, charts.workloads);
+    }
+
+    /**
+    * Renders the undo/redo buttons and the change log, newest change first.
+    * Labels echo plan and environment names, so they are set as text, not HTML.
+    */
+    function renderHistory(history) {
+    undoBtn.disabled = !history.canUndo;
+    redoBtn.disabled = !history.canRedo;
+    historyLog.innerHTML = '';
+    if (history.steps.length === 0) {
+    historyLog.innerHTML = '<p class="suggestion">No changes yet in this session.</p>';
+    return;
+    }
+    const list = document.createElement('ol');
+    list.className = 'history-log';
+    [...history.steps].reverse().forEach(step => {
+    const item = document.createElement('li');
+    if (step.undone) item.className = 'history-undone';
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = new Date(step.time).toLocaleTimeString();
+    item.append(time, step.undone ? `${step.label} (undone)` : step.label);
+    list.appendChild(item);
+    });
+    historyLog.appendChild(list);
+    }
+
+    /**
+    * Shows what a share link would load, or why it cannot be opened; null hides the banner.
+    * Everything in the link comes from someone else, so it is set as text, not HTML.
+    * @param {object|null} preview - { name, config, errors, fromVersion, results }
+    */
+    function renderSharePreview(preview) {
+    shareBanner.hidden = !preview;
+    sharePreview.innerHTML = '';
+    if (!preview) return;
+
+    const canOpen = preview.errors.length === 0;
+    getEl('open-shared-btn').hidden = !canOpen;
+    getEl('replace-shared-btn').hidden = !canOpen;
+    const summary = document.createElement('p');
+    sharePreview.appendChild(summary);
+    if (!canOpen) {
+    summary.className = 'status-RED';
+    summary.textContent = `This share link cannot be opened: ${preview.errors.length} problem(s) found.`;
+    const list = document.createElement('ul');
+    list.className = 'import-errors';
+    preview.errors.forEach(err => {
+    const item = document.createElement('li');
+    item.textContent = err;
+    list.appendChild(item);
+    });
+    sharePreview.appendChild(list);
+    return;
+    }
+
+    const { config, results } = preview;
+    const migrationNote = preview.fromVersion < Schema.SCHEMA_VERSION ? ` It was made with an older version and has been migrated.` : '';
+    summary.textContent = `"${preview.name}" has ${config.vendor_plans.length} vendor plan(s) and ${config.environments.length} environment(s), `
+    + `projected at ${formatCurrency(results.totals.final_cost, results.totals.currency)} per month. Nothing is loaded until you choose below.${migrationNote}`;
+
+    const table = document.createElement('table');
+    const header = table.createTHead().insertRow();
+    ['Environment', 'Plan', 'Cost / Month', 'Status'].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    header.appendChild(th);
+    });
+    const body = table.createTBody();
+    results.perEnv.forEach(res => {
+    const row = body.insertRow();
+    row.insertCell().textContent = res.env_name;
+    row.insertCell().textContent = res.error ? res.error : res.plan_name;
+    row.insertCell().textContent = res.error ? '' : formatCurrency(res.final_cost, res.currency);
+    const badge = document.createElement('span');
+    badge.className = res.error ? 'status status-RED' : 'status';
+    badge.textContent = res.error ? 'ERROR' : res.status;
+    if (!res.error) badge.style.setProperty('--status-color', res.status_color);
+    row.insertCell().appendChild(badge);
+    });
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-wrapper';
+    wrapper.appendChild(table);
+    sharePreview.appendChild(wrapper);
+    }
+
+    /**
+    * Shows the outcome of a JSON import below the action buttons.
+    * Messages may echo names from the file, so they are set as text, not HTML.
+    * @param {string} message - Summary line
+    * @param {string[]} errors - Individual validation errors (empty on success)
+    */
+    function renderImportStatus(message, errors = []) {
+    importStatus.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.className = errors.length > 0 ? 'status-RED' : 'suggestion';
+    summary.textContent = message;
+    importStatus.appendChild(summary);
+
+    if (errors.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'import-errors';
+    errors.forEach(err => {
+    const item = document.createElement('li');
+    item.textContent = err;
+    list.appendChild(item);
+    });
+    importStatus.appendChild(list);
+    }
+    }
+
+    /**
+    * Marks every input that has a validation issue and puts the problem next to it.
+    * An input's data-* location attributes match the issue's at (see Schema.inspect).
+    */
+    function renderFieldErrors(issues) {
+    const byField = new Map();
+    issues.filter(issue => issue.at).forEach(issue => {
+    const key = Schema.fieldKey(issue.at);
+    if (!byField.has(key)) byField.set(key, issue);
+    });
+    if (byField.size === 0) return;
+
+    document.querySelectorAll('#app [data-table][data-key]').forEach(el => {
+    const at = {};
+    FIELD_LOCATION.forEach(name => {
+    if (el.dataset[name] !== undefined) at[name] = el.dataset[name];
+    });
+    const issue = byField.get(Schema.fieldKey(at));
+    if (!issue) return;
+    el.classList.add('invalid');
+    el.setAttribute('aria-invalid', 'true');
+    const note = document.createElement('div');
+    note.className = 'field-error';
+    note.textContent = issue.text.charAt(0).toUpperCase() + issue.text.slice(1);
+    el.after(note);
+    });
+    }
+
+    /**
+    * Main render function
+    */
+    function renderAll(state, results, forecast, workspace, catalogView, optimization, simulationView, history, issues, allocation) {
+    const { simulation } = simulationView;
+    renderScenarios(workspace.scenarios, workspace.activeId);
+    renderHistory(history);
     renderVendorPlans(state.vendor_plans);
+    renderCatalog(catalogView);
     renderEnvironments(state.environments, state.vendor_plans, state.plan_assignment);
-    renderResults(results);
-    renderCharts(results);
+    renderLicences(state);
+    renderAlertPolicies(state);
+    renderCurrencies(state.fx);
+    renderUncertainty(state, simulationView);
+    renderResults(results, simulation);
+    renderAllocation(allocation);
+    renderOptimizer(optimization);
+    renderForecast(state, forecast);
+    renderComparison(workspace.scenarios, workspace.selection, workspace.comparison);
+    renderCharts(results, simulation);
+    renderFieldErrors(issues);
     }
 
-    return { renderAll };
+    return { renderAll, renderImportStatus, renderSharePreview };
 })();
 
 
@@ -571,55 +2415,89 @@ const Exporter = (() => {
     document.body.removeChild(element);
     }
 
-    function exportCSV(results) {
-    const { perEnv } = results;
-    if (perEnv.length === 0) return;
+    function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const element = document.createElement('a');
+    element.setAttribute('href', url);
+    element.setAttribute('download', filename);
+    element.style.display = 'none';
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+    setTimeout(() => URL.revokeObjectURL(url));
+    }
 
-    const headers = [
-    "Environment", "Status", "Plan", 
-    "Final Cost", "Currency", "Budget", "Budget Currency", "Utilization %",
-    "Total Tokens", "Prompt Tokens", "Completion Tokens", "Raw Cost",
-    "Suggestion"
-    ];
-    
-    let csvContent = headers.join(',') + '\r\n';
+    // PNGs are drawn at twice the SVG size so they stay sharp on slides
+    const PNG_SCALE = 2;
 
-    perEnv.forEach(res => {
-    if (res.error) return;
-    const row = [
-    `"${res.env_name}"`,
-    res.status,
-    `"${res.plan_name}"`,
-    res.final_cost.toFixed(2),
-    res.currency,
-    res.budget.toFixed(2),
-    res.budget_currency,
-    (res.utilization * 100).toFixed(2),
-    Math.round(res.monthly_tokens),
-    Math.round(res.prompt_tokens),
-    Math.round(res.completion_tokens),
-    res.raw_cost.toFixed(2),
-    `"${res.suggestion.replace(/"/g, '""')}"` // Escape quotes
-    ];
-    csvContent += row.join(',') + '\r\n';
+    /**
+    * Downloads a chart as an SVG file, or rasterized on a canvas as a PNG.
+    * @param {string} svg - The chart's standalone SVG markup
+    * @param {string} name - File name without extension
+    * @param {string} format - 'svg' or 'png'
+    * @returns {Promise} - Resolves once the download has started
+    */
+    function exportChart(svg, name, format) {
+    if (format === 'svg') {
+    downloadBlob(`${name}.svg`, new Blob([svg], { type: 'image/svg+xml' }));
+    return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width * PNG_SCALE;
+    canvas.height = image.height * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.scale(PNG_SCALE, PNG_SCALE);
+    context.drawImage(image, 0, 0);
+    canvas.toBlob(blob => {
+    if (!blob) {
+    reject(new Error('The browser could not create the PNG.'));
+    return;
+    }
+    downloadBlob(`${name}.png`, blob);
+    resolve();
+    }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('The browser could not draw the chart.'));
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
     });
-    
-    download('llm-budget-results.csv', csvContent);
     }
 
-    function exportJSON(state, results) {
-    const data = {
-    metadata: {
-    exported_at: new Date().toISOString(),
-    tool: "LLM Budget Planner"
-    },
-    config: state,
-    results: results
-    };
+    function exportCSV(results, simulation) {
+    if (results.perEnv.length === 0) return;
+    download('llm-budget-results.csv', Report.resultsCSV(results, simulation));
+    }
+
+    function exportForecastCSV(forecast) {
+    if (forecast.perEnv.length === 0) return;
+    download('llm-budget-forecast.csv', Report.forecastCSV(forecast));
+    }
+
+    function exportAllocationCSV(state, results) {
+    if (Calculator.tagKeys(state).length === 0) return;
+    download('llm-budget-allocation.csv', Report.allocationCSV(state, results));
+    }
+
+    /**
+    * Downloads the budget report, with the charts, as a standalone HTML page or as Markdown.
+    * @param {object|null} simulation - From Simulation.run; adds the simulated range to the cost chart
+    */
+    function exportReport(format, state, results, title, simulation) {
+    if (format === 'html') {
+    downloadBlob('llm-budget-report.html', new Blob([Report.htmlReport(state, results, { title, simulation })], { type: 'text/html' }));
+    } else {
+    download('llm-budget-report.md', Report.markdownReport(state, results, { title, simulation }));
+    }
+    }
+
+    function exportJSON(state, results, forecast) {
+    const data = Report.exportData(state, results, forecast);
     download('llm-budget-config.json', JSON.stringify(data, null, 2));
     }
     
-    return { exportCSV, exportJSON };
+    return { exportCSV, exportForecastCSV, exportAllocationCSV, exportJSON, exportChart, exportReport };
 })();
 
 
@@ -628,7 +2506,14 @@ const App = (() => {
     
     // Debounce timer for input changes
     let debounceTimer = null;
+    let pendingInput = null; // { el, table } waiting for the debounce timer
     const DEBOUNCE_DELAY = 300; // milliseconds
+    let showCatalogCheck = false; // Set by "Check Against Catalog" until hidden
+    let sharedScenario = null; // { name, config } from a share link, until opened or dismissed
+    let allocationKey = null; // Tag key the cost allocation is grouped by; the first key in use when unset
+    let showOptimizer = false; // Set by "Show Recommendations" until hidden
+    let optimizerRun = null; // { key, optimization } for the config it was worked out on
+    let simulationRun = null; // { key, simulation } from the last "Run Simulation"
 
     function init() {
     // Initial render
@@ -644,50 +2529,460 @@ const App = (() => {
     
     // Listen for clicks (delegated)
     document.getElementById('app').addEventListener('click', handleButtonClick);
+
+    // Undo/redo shortcuts work everywhere, including inside inputs
+    document.addEventListener('keydown', handleKeyDown);
+
+    // File pickers behind the "Import JSON", "Import Usage CSV" and "Load Catalog File" buttons
+    document.getElementById('import-json-input').addEventListener('change', handleImportFile);
+    document.getElementById('import-actuals-input').addEventListener('change', handleActualsFile);
+    document.getElementById('load-catalog-input').addEventListener('change', handleCatalogFile);
+
+    // A share link can arrive on startup or be pasted into the address bar later
+    window.addEventListener('hashchange', checkShareLink);
+    checkShareLink();
+    }
+
+    /**
+    * Previews the scenario in a share link, if the URL has one
+    */
+    function checkShareLink() {
+    State.readShareLink().then(shared => {
+    if (!shared) return;
+    sharedScenario = shared.errors.length === 0 ? { name: shared.name, config: shared.config } : null;
+    const results = sharedScenario ? Calculator.calculateAll(shared.config) : null;
+    UI.renderSharePreview({ ...shared, results });
+    }).catch(err => {
+    console.error('Error while reading the share link:', err);
+    UI.renderSharePreview({ errors: [err.message] });
+    });
+    }
+
+    function closeShareLink() {
+    sharedScenario = null;
+    State.clearShareLink();
+    UI.renderSharePreview(null);
+    }
+
+    /**
+    * The main loop: Get state, calculate, and render.
+    */
+    function mainRenderLoop() {
+    const state = State.get();
+    const results = Calculator.calculateAll(state);
+    const forecast = Calculator.calculateForecast(state);
+    const optimization = getOptimization(state);
+    UI.renderAll(state, results, forecast, getWorkspaceView(), getCatalogView(state), optimization, getSimulationView(state), State.getHistory(), Schema.inspect(state), getAllocationView(state, results));
+    }
+
+    const configKey = (state) => JSON.stringify(state);
+    const planName = (plan) => `${plan.vendor} - ${plan.plan}`;
+    const workloadName = (state, index, workloadIndex) => `${state.environments[index].env_name} / ${state.environments[index].workloads[workloadIndex].name}`;
+    const newWorkload = (name) => ({
+    id: `wl_${Date.now()}`, name: name,
+    requests_per_day: 10, avg_tokens_per_request: 1000, context_tokens: 500,
+    cacheable_prefix_tokens: 0, cache_hit_rate: 0, completion_share: 0.4, batch_share: 0, off_peak_share: 0,
+    unit_usage: [], ranges: {}
+    });
+    const licenceName = (licence) => `${licence.vendor} - ${licence.product}`;
+    const envName = (state, envId) => state.environments.find(env => env.id === envId)?.env_name ?? envId;
+    const policyName = (state, scope) => scope === 'default' ? 'the default policy' : `the ${state.environments[parseInt(scope, 10)].env_name} policy`;
+
+    /**
+    * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes
+    */
+    function handleKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+    }
+    }
+
+    function undo() {
+    // Typing that is still waiting for the debounce timer becomes the step being undone
+    flushPendingInput();
+    State.undo();
+    }
+
+    function redo() {
+    flushPendingInput();
+    State.redo();
+    }
+
+    /**
+    * The active pricing catalog, its current entries and (when requested) the plan check
+    */
+    function getCatalogView(state) {
+    const { catalog, source } = Catalog.active();
+    return {
+    catalog: catalog,
+    source: source,
+    entries: Catalog.currentEntries(catalog),
+    check: showCatalogCheck ? Catalog.checkPlans(state.vendor_plans, catalog) : null,
+    };
+    }
+
+    /**
+    * The optimizer's recommendations while they are shown. They take many calculations per
+    * environment, so they are only worked out again when the config has changed.
+    */
+    function getOptimization(state) {
+    if (!showOptimizer) return null;
+    const key = configKey(state);
+    if (optimizerRun?.key !== key) {
+    optimizerRun = { key: key, optimization: Optimizer.optimize(state) };
+    }
+    return optimizerRun.optimization;
+    }
+
+    /**
+    * The last simulation, while the config is still the one it ran on. Runs can take seconds,
+    * so the simulation only runs on request.
+    * @returns {object} - { simulation (null when not run for this config), stale (run on an older config) }
+    */
+    function getSimulationView(state) {
+    const current = simulationRun?.key === configKey(state);
+    return {
+    simulation: current ? simulationRun.simulation : null,
+    stale: simulationRun !== null && !current,
+    };
+    }
+
+    /**
+    * Tag keys in use and the cost allocation for the selected one
+    */
+    function getAllocationView(state, results) {
+    const keys = Calculator.tagKeys(state);
+    const key = keys.includes(allocationKey) ? allocationKey : keys[0] ?? null;
+    return {
+    keys: keys,
+    key: key,
+    groups: key ? Calculator.allocateByTag(state, results, key) : [],
+    totals: results.totals,
+    };
+    }
+
+    /**
+    * Scenario list plus the comparison selected in the workspace (if any)
+    */
+    function getWorkspaceView() {
+    const scenarios = State.getScenarios();
+    const selection = State.getComparison();
+    const baseline = scenarios.find(s => s.id === selection.baseline_id) ?? scenarios[0];
+    const compared = scenarios.filter(s => s.id !== baseline.id && selection.scenario_ids.includes(s.id));
+
+    return {
+    scenarios: scenarios,
+    activeId: State.getActiveScenarioId(),
+    selection: { ...selection, baseline_id: baseline.id },
+    comparison: compared.length > 0 ? Calculator.compareScenarios([baseline, ...compared]) : null,
+    };
+    }
+
+    /**
+    * The alert policy edited under a scope: 'default' or an environment index
+    */
+    function getPolicy(state, scope) {
+    return scope === 'default' ? state.alert_policy : state.environments[parseInt(scope, 10)].alert_policy;
+    }
+
+    /**
+    * Builds the partial state that stores a policy under a scope
+    */
+    function setPolicy(state, scope, policy) {
+    if (scope === 'default') {
+    return { alert_policy: policy };
+    }
+    const index = parseInt(scope, 10);
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...newEnvs[index], alert_policy: policy };
+    return { environments: newEnvs };
+    }
+
+    /**
+    * Handle all clicks on buttons
+    */
+    function handleButtonClick(e) {
+    const target = e.target;
+    const action = target.dataset?.action;
+    const index = parseInt(target.dataset?.index, 10);
+    const state = State.get();
+
+    if (action === 'download-chart') {
+    e.preventDefault();
+    const chart = target.dataset.chart;
+    const svg = document.querySelector(`#${chart}-chart svg`);
+    if (!svg) return;
+    Exporter.exportChart(svg.outerHTML, `llm-budget-${chart}-chart`, target.dataset.image).catch(err => {
+    UI.renderImportStatus(`Could not download the chart: ${err.message}`);
+    });
+    return;
+    }
+
+    if (action === 'delete-plan') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    
+    // Remove this plan from every environment's routing
+    const newAssignment = {};
+    let unassigned = 0;
+    Object.keys(state.plan_assignment).forEach(envId => {
+    const routes = state.plan_assignment[envId];
+    newAssignment[envId] = routes.filter(r => r.plan_id !== plan.id);
+    if (newAssignment[envId].length < routes.length) unassigned++;
+    });
+    
+    const note = unassigned > 0 ? `, unassigned from ${unassigned} environment(s)` : '';
+    State.update({
+    vendor_plans: state.vendor_plans.filter((_, i) => i !== index),
+    plan_assignment: newAssignment
+    }, `Deleted plan ${planName(plan)}${note}`);
+    return;
+    }
+    
+    if (action === 'add-tier') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    const tiers = [...plan.price_tiers];
+    // Close the previous open-ended tier so the new one can follow it
+    const last = tiers[tiers.length - 1];
+    if (last && last.up_to_tokens === null) {
+    const previousLimit = tiers.length > 1 ? tiers[tiers.length - 2].up_to_tokens : 0;
+    tiers[tiers.length - 1] = { ...last, up_to_tokens: previousLimit > 0 ? previousLimit * 10 : 10000000 };
+    }
+    tiers.push({ up_to_tokens: null, price_prompt_per_1k: last?.price_prompt_per_1k ?? plan.price_prompt_per_1k, price_completion_per_1k: last?.price_completion_per_1k ?? plan.price_completion_per_1k });
+    const newPlans = [...state.vendor_plans];
+    newPlans[index] = { ...plan, price_tiers: tiers };
+    State.update({ vendor_plans: newPlans }, `Added a price tier to ${planName(plan)}`);
+    return;
+    }
+
+    if (action === 'delete-tier') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    const tierIndex = parseInt(target.dataset.tierIndex, 10);
+    const tiers = plan.price_tiers.filter((_, i) => i !== tierIndex);
+    const newPlans = [...state.vendor_plans];
+    newPlans[index] = { ...plan, price_tiers: tiers };
+    State.update({ vendor_plans: newPlans }, `Deleted price tier ${tierIndex + 1} of ${planName(plan)}`);
+    return;
+    }
+
+    if (action === 'add-unit-price') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    const newPlans = [...state.vendor_plans];
+    newPlans[index] = { ...plan, unit_prices: [...plan.unit_prices, { unit: 'request', size: '', price: 0 }] };
+    State.update({ vendor_plans: newPlans }, `Added a unit price to ${planName(plan)}`);
+    return;
+    }
+
+    if (action === 'delete-unit-price') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    const unitIndex = parseInt(target.dataset.unitIndex, 10);
+    const newPlans = [...state.vendor_plans];
+    newPlans[index] = { ...plan, unit_prices: plan.unit_prices.filter((_, i) => i !== unitIndex) };
+    State.update({ vendor_plans: newPlans }, `Deleted unit price ${unitIndex + 1} of ${planName(plan)}`);
+    return;
+    }
+
+    if (action === 'add-credit-pack') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    // A new pack runs for a year from the forecast start; both can be changed in the table
+    const [year, month] = String(state.forecast.start_month).split('-');
+    const newPlans = [...state.vendor_plans];
+    newPlans[index] = { ...plan, credit_packs: [...plan.credit_packs, { amount: 100, expires_month: `${Number(year) + 1}-${month}` }] };
+    State.update({ vendor_plans: newPlans }, `Added a credit pack to ${planName(plan)}`);
+    return;
+    }
+
+    if (action === 'delete-credit-pack') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    const packIndex = parseInt(target.dataset.packIndex, 10);
+    const newPlans = [...state.vendor_plans];
+    newPlans[index] = { ...plan, credit_packs: plan.credit_packs.filter((_, i) => i !== packIndex) };
+    State.update({ vendor_plans: newPlans }, `Deleted credit pack ${packIndex + 1} of ${planName(plan)}`);
+    return;
+    }
+
+    if (action === 'add-unit-usage' || action === 'delete-unit-usage') {
+    e.preventDefault();
+    const env = state.environments[index];
+    const workloadIndex = parseInt(target.dataset.workloadIndex, 10);
+    const workload = env.workloads[workloadIndex];
+    const unitIndex = parseInt(target.dataset.unitIndex, 10);
+    const unitUsage = action === 'add-unit-usage'
+    ? [...workload.unit_usage, { unit: 'request', size: '', quantity_per_day: 0 }]
+    : workload.unit_usage.filter((_, i) => i !== unitIndex);
+    const newWorkloads = [...env.workloads];
+    newWorkloads[workloadIndex] = { ...workload, unit_usage: unitUsage };
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...env, workloads: newWorkloads };
+    State.update({ environments: newEnvs }, action === 'add-unit-usage'
+    ? `Added unit usage to ${workloadName(state, index, workloadIndex)}`
+    : `Deleted unit usage ${unitIndex + 1} of ${workloadName(state, index, workloadIndex)}`);
+    return;
+    }
+
+    if (action === 'add-tag') {
+    e.preventDefault();
+    const env = state.environments[index];
+    // Suggest the first usual key the environment does not have yet
+    const used = new Set(env.tags.map(tag => tag.key));
+    const key = Schema.TAG_KEYS.find(k => !used.has(k)) ?? Schema.TAG_KEYS[0];
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...env, tags: [...env.tags, { key: key, value: '', share: used.has(key) ? 0 : 1 }] };
+    State.update({ environments: newEnvs }, `Added a ${key.replace(/_/g, ' ')} tag to ${env.env_name}`);
+    return;
+    }
+
+    if (action === 'delete-tag') {
+    e.preventDefault();
+    const env = state.environments[index];
+    const tagIndex = parseInt(target.dataset.tagIndex, 10);
+    const tag = env.tags[tagIndex];
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...env, tags: env.tags.filter((_, i) => i !== tagIndex) };
+    State.update({ environments: newEnvs }, `Removed tag ${tag.key}: ${tag.value || 'blank'} from ${env.env_name}`);
+    return;
+    }
+
+    if (action === 'add-workload') {
+    e.preventDefault();
+    const env = state.environments[index];
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...env, workloads: [...env.workloads, newWorkload(`Workload ${env.workloads.length + 1}`)] };
+    State.update({ environments: newEnvs }, `Added a workload to ${env.env_name}`);
+    return;
+    }
+
+    if (action === 'delete-workload') {
+    e.preventDefault();
+    const env = state.environments[index];
+    const workloadIndex = parseInt(target.dataset.workloadIndex, 10);
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...env, workloads: env.workloads.filter((_, i) => i !== workloadIndex) };
+    State.update({ environments: newEnvs }, `Deleted workload ${workloadName(state, index, workloadIndex)}`);
+    return;
+    }
+
+    if (action === 'add-route') {
+    e.preventDefault();
+    const envId = target.dataset.envId;
+    const routes = state.plan_assignment[envId] ?? [];
+    const newRoute = { plan_id: '', weight: 1 };
+    State.update({ plan_assignment: { ...state.plan_assignment, [envId]: [...routes, newRoute] } }, `Added a plan route to ${envName(state, envId)}`);
+    return;
+    }
+
+    if (action === 'delete-route') {
+    e.preventDefault();
+    const envId = target.dataset.envId;
+    const routeIndex = parseInt(target.dataset.routeIndex, 10);
+    const routes = [...(state.plan_assignment[envId] ?? [])];
+    routes.splice(routeIndex, 1);
+    State.update({ plan_assignment: { ...state.plan_assignment, [envId]: routes } }, `Removed route ${routeIndex + 1} from ${envName(state, envId)}`);
+    return;
     }
 
-    /**
-    * The main loop: Get state, calculate, and render.
-    */
-    function mainRenderLoop() {
-    const state = State.get();
-    const results = Calculator.calculateAll(state);
-    UI.renderAll(state, results);
+    if (action === 'apply-catalog') {
+    e.preventDefault();
+    const plan = state.vendor_plans[index];
+    const { entry } = Catalog.checkPlans([plan], Catalog.active().catalog)[0];
+    if (!entry) return;
+    const newPlans = [...state.vendor_plans];
+    newPlans[index] = Catalog.applyEntry(plan, entry);
+    State.update({ vendor_plans: newPlans }, `Applied catalog prices to ${planName(plan)}`);
+    return;
     }
 
-    /**
-    * Handle all clicks on buttons
-    */
-    function handleButtonClick(e) {
-    const target = e.target;
-    const action = target.dataset?.action;
-    const index = parseInt(target.dataset?.index, 10);
-    const state = State.get();
+    if (action === 'apply-recommendation') {
+    e.preventDefault();
+    const { envId, key, value } = target.dataset;
+    if (key === 'plan_id') {
+    const plan = state.vendor_plans.find(p => p.id === value);
+    State.update({ plan_assignment: { ...state.plan_assignment, [envId]: [{ plan_id: value, weight: 1 }] } }, `Moved ${envName(state, envId)} to ${planName(plan)}`);
+    } else {
+    State.update({ environments: state.environments.map(env => env.id === envId ? Optimizer.applyLimit(env, key, parseFloat(value)) : env) }, `Applied the optimizer's ${key} limit to ${envName(state, envId)}`);
+    }
+    return;
+    }
 
-    if (action === 'delete-plan') {
+    if (action === 'add-level') {
     e.preventDefault();
-    const planId = state.vendor_plans[index].id;
-    const newState = { ...state };
-    newState.vendor_plans.splice(index, 1);
-    
-    // Un-assign this plan from any envs
-    Object.keys(newState.plan_assignment).forEach(envId => {
-    if (newState.plan_assignment[envId] === planId) {
-    newState.plan_assignment[envId] = "";
+    const policy = getPolicy(state, target.dataset.scope);
+    const last = policy.levels[policy.levels.length - 1];
+    const newLevel = {
+    name: `LEVEL ${policy.levels.length + 1}`, color: '#af52de', metric: 'percent',
+    threshold: last?.metric === 'percent' ? Math.round((last.threshold + 0.2) * 100) / 100 : 1.0
+    };
+    State.update(setPolicy(state, target.dataset.scope, { ...policy, levels: [...policy.levels, newLevel] }), `Added level ${newLevel.name} to ${policyName(state, target.dataset.scope)}`);
+    return;
     }
-    });
-    
-    State.update(newState);
+
+    if (action === 'delete-level') {
+    e.preventDefault();
+    const policy = getPolicy(state, target.dataset.scope);
+    const levelIndex = parseInt(target.dataset.levelIndex, 10);
+    const levels = policy.levels.filter((_, i) => i !== levelIndex);
+    State.update(setPolicy(state, target.dataset.scope, { ...policy, levels }), `Deleted level ${policy.levels[levelIndex].name} from ${policyName(state, target.dataset.scope)}`);
+    return;
+    }
+
+    if (action === 'delete-rate') {
+    e.preventDefault();
+    const newRates = state.fx.rates.filter((_, i) => i !== index);
+    State.update({ fx: { ...state.fx, rates: newRates } }, `Deleted currency ${state.fx.rates[index].currency}`);
     return;
     }
     
     if (action === 'delete-env') {
     e.preventDefault();
-    const envId = state.environments[index].id;
-    const newState = { ...state };
-    newState.environments.splice(index, 1);
-    delete newState.plan_assignment[envId]; // Remove assignment
-    State.update(newState);
+    const env = state.environments[index];
+    const newAssignment = { ...state.plan_assignment };
+    delete newAssignment[env.id]; // Remove assignment
+    const actuals = state.actuals.filter(row => row.env_id !== env.id);
+    const removedRows = state.actuals.length - actuals.length;
+    const seats = state.seat_assignments.filter(row => row.env_id !== env.id);
+    const removedSeats = state.seat_assignments.length - seats.length;
+    const notes = [
+    removedRows > 0 ? `its ${removedRows} usage row(s)` : null,
+    removedSeats > 0 ? `${removedSeats} seat assignment(s)` : null,
+    ].filter(Boolean);
+    const note = notes.length > 0 ? ` and ${notes.join(' and ')}` : '';
+    State.update({
+    environments: state.environments.filter((_, i) => i !== index),
+    plan_assignment: newAssignment,
+    actuals: actuals,
+    seat_assignments: seats
+    }, `Deleted environment ${env.env_name}${note}`);
+    return;
+    }
+
+    if (action === 'delete-licence') {
+    e.preventDefault();
+    const licence = state.licences[index];
+    const seats = state.seat_assignments.filter(row => row.licence_id !== licence.id);
+    const removedSeats = state.seat_assignments.length - seats.length;
+    const note = removedSeats > 0 ? ` and its ${removedSeats} seat assignment(s)` : '';
+    State.update({
+    licences: state.licences.filter((_, i) => i !== index),
+    seat_assignments: seats
+    }, `Deleted licence ${licenceName(licence)}${note}`);
+    return;
+    }
+
+    if (action === 'delete-seats') {
+    e.preventDefault();
+    State.update({ seat_assignments: state.seat_assignments.filter((_, i) => i !== index) }, `Deleted seat assignment ${index + 1}`);
     return;
     }
     
@@ -695,13 +2990,61 @@ const App = (() => {
     switch (target.id) {
     case 'add-plan-btn': {
     e.preventDefault();
-    const newPlan = {
-    id: `plan_${Date.now()}`,
-    vendor: 'Other', plan: 'New Plan', currency: 'USD',
-    price_prompt_per_1k: 0.01, price_completion_per_1k: 0.03,
-    monthly_commit_credit: 0, free_tier_tokens: 0, overage_multiplier: 1.0,
-    };
-    State.update({ vendor_plans: [...state.vendor_plans, newPlan] });
+    State.update({ vendor_plans: [...state.vendor_plans, Schema.newPlan()] }, 'Added a vendor plan');
+    break;
+    }
+    case 'add-from-catalog-btn': {
+    e.preventDefault();
+    const entryId = document.getElementById('catalog-picker').value;
+    const entry = Catalog.currentEntries(Catalog.active().catalog).find(en => en.id === entryId);
+    if (!entry) break;
+    const plan = Catalog.planFromEntry(entry);
+    State.update({ vendor_plans: [...state.vendor_plans, plan] }, `Added plan ${planName(plan)} from the catalog`);
+    break;
+    }
+    case 'check-catalog-btn': {
+    e.preventDefault();
+    showCatalogCheck = true;
+    mainRenderLoop();
+    break;
+    }
+    case 'hide-catalog-check-btn': {
+    e.preventDefault();
+    showCatalogCheck = false;
+    mainRenderLoop();
+    break;
+    }
+    case 'run-simulation-btn': {
+    e.preventDefault();
+    // Run on the latest inputs, including typing still waiting for the debounce timer
+    flushPendingInput();
+    const latest = State.get();
+    simulationRun = { key: configKey(latest), simulation: Simulation.run(latest) };
+    mainRenderLoop();
+    break;
+    }
+    case 'show-optimizer-btn': {
+    e.preventDefault();
+    showOptimizer = true;
+    mainRenderLoop();
+    break;
+    }
+    case 'hide-optimizer-btn': {
+    e.preventDefault();
+    showOptimizer = false;
+    optimizerRun = null;
+    mainRenderLoop();
+    break;
+    }
+    case 'load-catalog-btn': {
+    e.preventDefault();
+    document.getElementById('load-catalog-input').click();
+    break;
+    }
+    case 'reset-catalog-btn': {
+    e.preventDefault();
+    State.setCatalog(null);
+    UI.renderImportStatus(`Switched back to the bundled pricing catalog (${PRICING_CATALOG.catalog_version}).`);
     break;
     }
     case 'add-env-btn': {
@@ -709,32 +3052,156 @@ const App = (() => {
     const newEnv = {
     id: `env_${Date.now()}`,
     env_name: 'New Environment',
-    requests_per_day: 10, avg_tokens_per_request: 1000, context_tokens: 500,
-    cache_hit_rate: 0, cache_savings_factor: 0.8, completion_share: 0.4,
     days_per_month: 30, monthly_budget: 10, budget_currency: 'USD',
-    alert_thresholds: { warn: 0.8, critical: 1.0 }
+    annual_budget: 120, growth_rate: 0, forecast_requests_per_day: [],
+    peak_factor: 1, hourly_profile: [],
+    alert_policy: null, tags: [], workloads: [newWorkload('All traffic')]
+    };
+    State.update({ environments: [...state.environments, newEnv] }, 'Added an environment');
+    break;
+    }
+    case 'add-licence-btn': {
+    e.preventDefault();
+    const newLicence = {
+    id: `lic_${Date.now()}`,
+    vendor: 'Other', product: 'New Licence', currency: 'USD',
+    billing_term: 'monthly', price_per_seat_month: 20, price_per_seat_year: 240, min_seats: 0
     };
-    State.update({ environments: [...state.environments, newEnv] });
+    State.update({ licences: [...state.licences, newLicence] }, 'Added a licence');
+    break;
+    }
+    case 'add-seats-btn': {
+    e.preventDefault();
+    // Start from the first licence and environment; both can be changed in the table
+    const newRow = { licence_id: state.licences[0]?.id ?? '', env_id: state.environments[0]?.id ?? null, team: '', seats: 1 };
+    State.update({ seat_assignments: [...state.seat_assignments, newRow] }, 'Assigned seats');
+    break;
+    }
+    case 'add-rate-btn': {
+    e.preventDefault();
+    const newRate = { currency: 'XXX', rate_to_base: 1 };
+    State.update({ fx: { ...state.fx, rates: [...state.fx.rates, newRate] } }, 'Added a currency');
     break;
     }
     case 'export-csv-btn': {
     e.preventDefault();
     const results = Calculator.calculateAll(state);
-    Exporter.exportCSV(results);
+    Exporter.exportCSV(results, Simulation.run(state));
+    break;
+    }
+    case 'export-forecast-csv-btn': {
+    e.preventDefault();
+    const forecast = Calculator.calculateForecast(state);
+    Exporter.exportForecastCSV(forecast);
+    break;
+    }
+    case 'export-allocation-csv-btn': {
+    e.preventDefault();
+    Exporter.exportAllocationCSV(state, Calculator.calculateAll(state));
+    break;
+    }
+    case 'export-report-html-btn':
+    case 'export-report-md-btn': {
+    e.preventDefault();
+    // The same results and charts as on screen
+    const results = Calculator.calculateAll(state);
+    const scenario = State.getScenarios().find(sc => sc.id === State.getActiveScenarioId());
+    Exporter.exportReport(target.id === 'export-report-html-btn' ? 'html' : 'md', state, results, `LLM Budget Report: ${scenario.name}`, getSimulationView(state).simulation);
     break;
     }
     case 'export-json-btn': {
     e.preventDefault();
     const results = Calculator.calculateAll(state);
-    Exporter.exportJSON(state, results);
+    const forecast = Calculator.calculateForecast(state);
+    Exporter.exportJSON(state, results, forecast);
+    break;
+    }
+    case 'import-json-btn': {
+    e.preventDefault();
+    document.getElementById('import-json-input').click();
+    break;
+    }
+    case 'import-actuals-btn': {
+    e.preventDefault();
+    document.getElementById('import-actuals-input').click();
+    break;
+    }
+    case 'clear-actuals-btn': {
+    e.preventDefault();
+    if (state.actuals.length > 0 && confirm(`Remove all ${state.actuals.length} imported usage row(s) from the active scenario?`)) {
+    State.update({ actuals: [] }, `Cleared ${state.actuals.length} usage row(s)`);
+    }
+    break;
+    }
+    case 'clone-scenario-btn': {
+    e.preventDefault();
+    State.cloneScenario(State.getActiveScenarioId());
+    break;
+    }
+    case 'delete-scenario-btn': {
+    e.preventDefault();
+    if (State.getScenarios().length <= 1) {
+    alert('The last scenario cannot be deleted. Use Reset to Defaults instead.');
+    break;
+    }
+    if (confirm('Delete the active scenario? You can bring it back with Undo.')) {
+    State.deleteScenario(State.getActiveScenarioId());
+    }
+    break;
+    }
+    case 'open-shared-btn': {
+    e.preventDefault();
+    if (!sharedScenario) break;
+    State.createScenario(sharedScenario.name, sharedScenario.config);
+    closeShareLink();
+    break;
+    }
+    case 'replace-shared-btn': {
+    e.preventDefault();
+    if (!sharedScenario) break;
+    if (confirm(`Replace the active scenario with "${sharedScenario.name}"? You can bring it back with Undo.`)) {
+    State.replace(sharedScenario.config, `Replaced the scenario with shared "${sharedScenario.name}"`);
+    closeShareLink();
+    }
+    break;
+    }
+    case 'dismiss-shared-btn': {
+    e.preventDefault();
+    closeShareLink();
+    break;
+    }
+    case 'share-link-btn': {
+    e.preventDefault();
+    State.createShareLink().then(link => {
+    // The clipboard API needs a secure context; otherwise show the link for manual copying
+    if (!navigator.clipboard) {
+    UI.renderImportStatus(`Copy this share link: ${link}`);
+    return;
+    }
+    return navigator.clipboard.writeText(link).then(() => {
+    UI.renderImportStatus(`Share link for "${State.getScenarios().find(sc => sc.id === State.getActiveScenarioId()).name}" copied (${link.length} characters). Anyone with the link can see this scenario.`);
+    });
+    }).catch(err => {
+    console.error('Error while creating the share link:', err);
+    UI.renderImportStatus('Could not create the share link.', [err.message]);
+    });
+    break;
+    }
+    case 'undo-btn': {
+    e.preventDefault();
+    undo();
+    break;
+    }
+    case 'redo-btn': {
+    e.preventDefault();
+    redo();
     break;
     }
     case 'reset-btn': {
     e.preventDefault();
-    if (confirm('Are you sure you want to reset all data to the default test scenario? This cannot be undone.')) {
+    if (confirm('Are you sure you want to reset the active scenario to the default test scenario? You can bring it back with Undo.')) {
     try {
-    // Clear localStorage and reset state
-    localStorage.removeItem('llmBudgetPlannerState');
+    // Other scenarios are left untouched
     State.reset();
     console.log('Successfully reset to defaults');
     } catch (err) {
@@ -747,6 +3214,89 @@ const App = (() => {
     }
     }
 
+    /**
+    * Read, migrate and validate an exported JSON file, then load it into State
+    */
+    function handleImportFile(e) {
+    const input = e.target;
+    const file = input.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+    const { config, errors, fromVersion } = Schema.parseImport(text);
+    if (errors.length > 0) {
+    UI.renderImportStatus(`Could not import "${file.name}": ${errors.length} problem(s) found.`, errors);
+    return;
+    }
+    if (!confirm('Importing will replace the vendor plans and environments of the active scenario. Continue?')) {
+    return;
+    }
+    State.replace(config, `Imported "${file.name}"`);
+    const migrationNote = fromVersion < Schema.SCHEMA_VERSION ? ` (migrated from schema v${fromVersion})` : '';
+    UI.renderImportStatus(`Imported ${config.vendor_plans.length} vendor plan(s) and ${config.environments.length} environment(s) from "${file.name}"${migrationNote}.`);
+    }).catch(err => {
+    console.error('Error during import:', err);
+    UI.renderImportStatus(`Could not read "${file.name}".`, [err.message]);
+    }).finally(() => {
+    input.value = ''; // Allow re-importing the same file
+    });
+    }
+
+    /**
+    * Read a pricing catalog file and use it instead of the bundled catalog
+    */
+    function handleCatalogFile(e) {
+    const input = e.target;
+    const file = input.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+    const { catalog, errors } = Schema.parseCatalog(text);
+    if (errors.length > 0) {
+    UI.renderImportStatus(`Could not load the pricing catalog "${file.name}": ${errors.length} problem(s) found.`, errors);
+    return;
+    }
+    State.setCatalog(catalog);
+    UI.renderImportStatus(`Loaded pricing catalog ${catalog.catalog_version} with ${catalog.entries.length} entries from "${file.name}".`);
+    }).catch(err => {
+    console.error('Error during catalog load:', err);
+    UI.renderImportStatus(`Could not read "${file.name}".`, [err.message]);
+    }).finally(() => {
+    input.value = ''; // Allow re-loading the same file
+    });
+    }
+
+    /**
+    * Read a usage CSV and merge its rows into the active scenario's actuals.
+    * Imported days replace any rows already stored for the same environment and date.
+    */
+    function handleActualsFile(e) {
+    const input = e.target;
+    const file = input.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+    const state = State.get();
+    const { rows, errors } = Schema.parseActualsCSV(text, state.environments);
+    if (rows.length === 0) {
+    UI.renderImportStatus(`Could not import usage from "${file.name}": no usable rows.`, errors);
+    return;
+    }
+    const key = (row) => `${row.env_id}|${row.date}`;
+    const imported = new Set(rows.map(key));
+    State.update({ actuals: [...state.actuals.filter(row => !imported.has(key(row))), ...rows] }, `Imported ${rows.length} usage row(s) from "${file.name}"`);
+
+    const envCount = new Set(rows.map(row => row.env_id)).size;
+    const skipped = errors.length > 0 ? ` ${errors.length} problem(s) found; those rows were skipped.` : '';
+    UI.renderImportStatus(`Imported ${rows.length} usage row(s) for ${envCount} environment(s) from "${file.name}".${skipped}`, errors);
+    }).catch(err => {
+    console.error('Error during usage import:', err);
+    UI.renderImportStatus(`Could not read "${file.name}".`, [err.message]);
+    }).finally(() => {
+    input.value = ''; // Allow re-importing the same file
+    });
+    }
+
     /**
     * Handle all changes to <input> and <select> fields with debouncing
     */
@@ -756,15 +3306,72 @@ const App = (() => {
     
     if (!table) return; // Not an input we care about
     
+    // Typing moved to another field: apply the previous one straight away
+    if (pendingInput && pendingInput.el !== el) {
+    flushPendingInput();
+    }
+
     // Clear any existing debounce timer
     if (debounceTimer) {
     clearTimeout(debounceTimer);
     }
     
     // Set a new debounce timer
-    debounceTimer = setTimeout(() => {
+    pendingInput = { el, table };
+    debounceTimer = setTimeout(flushPendingInput, DEBOUNCE_DELAY);
+    }
+
+    /**
+    * Applies the input waiting for the debounce timer, if any
+    */
+    function flushPendingInput() {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    if (!pendingInput) return;
+    const { el, table } = pendingInput;
+    pendingInput = null;
     updateStateFromInput(el, table);
-    }, DEBOUNCE_DELAY);
+    }
+
+    /**
+    * Describes an input change for the change log, e.g. "Staging: requests per day set to 60"
+    */
+    function describeInput(el, table, state, value) {
+    const field = (el.dataset.field ? `${el.dataset.field} range ${el.dataset.key}` : el.dataset.key ?? '').replace(/_/g, ' ');
+    const index = parseInt(el.dataset.index, 10);
+    let subject;
+    switch (table) {
+    case 'plans': subject = planName(state.vendor_plans[index]); break;
+    case 'tiers': subject = `${planName(state.vendor_plans[index])} tier ${parseInt(el.dataset.tierIndex, 10) + 1}`; break;
+    case 'envs': subject = state.environments[index].env_name; break;
+    case 'workloads': case 'ranges': subject = workloadName(state, index, parseInt(el.dataset.workloadIndex, 10)); break;
+    case 'unit-prices': subject = `${planName(state.vendor_plans[index])} unit price ${parseInt(el.dataset.unitIndex, 10) + 1}`; break;
+    case 'credit-packs': subject = `${planName(state.vendor_plans[index])} credit pack ${parseInt(el.dataset.packIndex, 10) + 1}`; break;
+    case 'unit-usage': subject = `${workloadName(state, index, parseInt(el.dataset.workloadIndex, 10))} unit usage ${parseInt(el.dataset.unitIndex, 10) + 1}`; break;
+    case 'policy': subject = `${policyName(state, el.dataset.scope)} ${el.dataset.levelIndex === 'ok' ? 'OK level' : `level ${parseInt(el.dataset.levelIndex, 10) + 1}`}`; break;
+    case 'policy-mode': return `${state.environments[index].env_name}: alert policy set to ${value}`;
+    case 'fx-rates': subject = `Currency ${state.fx.rates[index].currency}`; break;
+    case 'assignment': subject = `${envName(state, el.dataset.envId)} route ${parseInt(el.dataset.routeIndex, 10) + 1}`; break;
+    case 'licences': subject = `Licence ${licenceName(state.licences[index])}`; break;
+    case 'seats': subject = `Seat assignment ${index + 1}`; break;
+    case 'tags': subject = `${state.environments[index].env_name} tag ${parseInt(el.dataset.tagIndex, 10) + 1}`; break;
+    default: subject = { fx: 'Currencies', forecast: 'Forecast', simulation: 'Simulation' }[table] ?? table;
+    }
+    let shown = value;
+    if (el.dataset.key === 'plan_id') {
+    const plan = state.vendor_plans.find(p => p.id === value);
+    shown = plan ? planName(plan) : 'none';
+    } else if (el.dataset.key === 'licence_id') {
+    const licence = state.licences.find(l => l.id === value);
+    shown = licence ? licenceName(licence) : 'none';
+    } else if (table === 'seats' && el.dataset.key === 'env_id') {
+    return `${subject}: now held by ${value ? envName(state, value) : 'a team'}`;
+    } else if (Array.isArray(value)) {
+    shown = value.join(', ') || 'none';
+    } else if (value === null || value === '') {
+    shown = 'blank';
+    }
+    return `${subject}: ${field} set to ${shown}`;
     }
     
     /**
@@ -774,16 +3381,43 @@ const App = (() => {
     const state = State.get();
     let newState = { ...state };
 
-    // Parse value (numbers or text)
-    let value = el.value;
+    // Parse value (numbers, checkboxes or text). Out-of-range or missing values are kept as
+    // typed (blank is null) so validation can point at them instead of guessing a number.
+    let value = el.type === 'checkbox' ? el.checked : el.value;
     if (el.type === 'number') {
     value = parseFloat(value);
-    if (isNaN(value)) value = 0; // Default to 0 if invalid
-    // Enforce min/max constraints
-    const min = parseFloat(el.min);
-    const max = parseFloat(el.max);
-    if (!isNaN(min) && value < min) value = min;
-    if (!isNaN(max) && value > max) value = max;
+    if (isNaN(value)) value = null; // Where data-allow-empty is set, null means "none"
+    } else if (el.dataset.format === 'list') {
+    // Comma-separated numbers, e.g. explicit monthly volumes
+    value = value.split(',').map(v => v.trim()).filter(Boolean).map(v => isNaN(parseFloat(v)) ? null : parseFloat(v));
+    } else if (el.dataset.format === 'currency') {
+    value = value.trim().toUpperCase();
+    }
+
+    // Workspace-level fields live outside the active scenario's config
+    if (table === 'workspace') {
+    State.switchScenario(value);
+    return;
+    }
+    if (table === 'scenario') {
+    State.renameScenario(State.getActiveScenarioId(), value);
+    return;
+    }
+    if (table === 'allocation') {
+    allocationKey = value;
+    mainRenderLoop();
+    return;
+    }
+    if (table === 'comparison') {
+    const selection = State.getComparison();
+    if (el.dataset.key === 'baseline_id') {
+    State.setComparison({ baseline_id: value, scenario_ids: selection.scenario_ids.filter(id => id !== value) });
+    } else {
+    const scenarioId = el.dataset.scenarioId;
+    const ids = selection.scenario_ids.filter(id => id !== scenarioId);
+    State.setComparison({ scenario_ids: value ? [...ids, scenarioId] : ids });
+    }
+    return;
     }
 
     if (table === 'plans') {
@@ -791,7 +3425,8 @@ const App = (() => {
     const key = el.dataset.key;
     // Create a new array and update the specific item
     const newPlans = [...state.vendor_plans];
-    newPlans[index] = { ...newPlans[index], [key]: value };
+    // A blank contract start means the contract year starts with the forecast
+    newPlans[index] = { ...newPlans[index], [key]: key === 'commit_start_month' && value === '' ? null : value };
     newState.vendor_plans = newPlans;
     } 
     
@@ -803,15 +3438,173 @@ const App = (() => {
     newState.environments = newEnvs;
     } 
     
+    else if (table === 'workloads') {
+    const index = parseInt(el.dataset.index, 10);
+    const workloadIndex = parseInt(el.dataset.workloadIndex, 10);
+    const key = el.dataset.key;
+    const newEnvs = [...state.environments];
+    const newWorkloads = [...newEnvs[index].workloads];
+    newWorkloads[workloadIndex] = { ...newWorkloads[workloadIndex], [key]: value };
+    newEnvs[index] = { ...newEnvs[index], workloads: newWorkloads };
+    newState.environments = newEnvs;
+    }
+
+    else if (table === 'unit-prices') {
+    const index = parseInt(el.dataset.index, 10);
+    const unitIndex = parseInt(el.dataset.unitIndex, 10);
+    const key = el.dataset.key;
+    const newPlans = [...state.vendor_plans];
+    const newPrices = [...newPlans[index].unit_prices];
+    newPrices[unitIndex] = { ...newPrices[unitIndex], [key]: value };
+    newPlans[index] = { ...newPlans[index], unit_prices: newPrices };
+    newState.vendor_plans = newPlans;
+    }
+
+    else if (table === 'credit-packs') {
+    const index = parseInt(el.dataset.index, 10);
+    const packIndex = parseInt(el.dataset.packIndex, 10);
+    const key = el.dataset.key;
+    const newPlans = [...state.vendor_plans];
+    const newPacks = [...newPlans[index].credit_packs];
+    newPacks[packIndex] = { ...newPacks[packIndex], [key]: value };
+    newPlans[index] = { ...newPlans[index], credit_packs: newPacks };
+    newState.vendor_plans = newPlans;
+    }
+
+    else if (table === 'unit-usage') {
+    const index = parseInt(el.dataset.index, 10);
+    const workloadIndex = parseInt(el.dataset.workloadIndex, 10);
+    const unitIndex = parseInt(el.dataset.unitIndex, 10);
+    const key = el.dataset.key;
+    const env = state.environments[index];
+    const newWorkloads = [...env.workloads];
+    const newUsage = [...newWorkloads[workloadIndex].unit_usage];
+    newUsage[unitIndex] = { ...newUsage[unitIndex], [key]: value };
+    newWorkloads[workloadIndex] = { ...newWorkloads[workloadIndex], unit_usage: newUsage };
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...env, workloads: newWorkloads };
+    newState.environments = newEnvs;
+    }
+
+    else if (table === 'tags') {
+    const index = parseInt(el.dataset.index, 10);
+    const tagIndex = parseInt(el.dataset.tagIndex, 10);
+    const key = el.dataset.key;
+    const newEnvs = [...state.environments];
+    const newTags = [...newEnvs[index].tags];
+    newTags[tagIndex] = { ...newTags[tagIndex], [key]: value };
+    newEnvs[index] = { ...newEnvs[index], tags: newTags };
+    newState.environments = newEnvs;
+    }
+
+    else if (table === 'tiers') {
+    const index = parseInt(el.dataset.index, 10);
+    const tierIndex = parseInt(el.dataset.tierIndex, 10);
+    const key = el.dataset.key;
+    const newPlans = [...state.vendor_plans];
+    const newTiers = [...newPlans[index].price_tiers];
+    newTiers[tierIndex] = { ...newTiers[tierIndex], [key]: value };
+    newPlans[index] = { ...newPlans[index], price_tiers: newTiers };
+    newState.vendor_plans = newPlans;
+    }
+
+    else if (table === 'policy') {
+    const scope = el.dataset.scope;
+    const levelIndex = el.dataset.levelIndex;
+    const key = el.dataset.key;
+    const policy = getPolicy(state, scope);
+    let newPolicy;
+    if (levelIndex === 'ok') {
+    newPolicy = { ...policy, ok: { ...policy.ok, [key]: value } };
+    } else {
+    const newLevels = [...policy.levels];
+    newLevels[parseInt(levelIndex, 10)] = { ...newLevels[parseInt(levelIndex, 10)], [key]: value };
+    newPolicy = { ...policy, levels: newLevels };
+    }
+    newState = { ...newState, ...setPolicy(state, scope, newPolicy) };
+    }
+
+    else if (table === 'policy-mode') {
+    const index = parseInt(el.dataset.index, 10);
+    // A new custom policy starts as a copy of the default
+    const policy = value === 'custom' ? JSON.parse(JSON.stringify(state.alert_policy)) : null;
+    newState = { ...newState, ...setPolicy(state, index, policy) };
+    }
+
+    else if (table === 'ranges') {
+    const index = parseInt(el.dataset.index, 10);
+    const workloadIndex = parseInt(el.dataset.workloadIndex, 10);
+    const field = el.dataset.field;
+    const key = el.dataset.key;
+    const env = state.environments[index];
+    const workload = env.workloads[workloadIndex];
+    const newRanges = { ...workload.ranges };
+    if (value === null) {
+    // Clearing min or max turns the field back into a point estimate
+    delete newRanges[field];
+    } else {
+    const range = newRanges[field] ?? { min: workload[field], max: workload[field], distribution: 'triangular' };
+    newRanges[field] = { ...range, [key]: value };
+    }
+    const newWorkloads = [...env.workloads];
+    newWorkloads[workloadIndex] = { ...workload, ranges: newRanges };
+    const newEnvs = [...state.environments];
+    newEnvs[index] = { ...env, workloads: newWorkloads };
+    newState.environments = newEnvs;
+    }
+
+    else if (table === 'simulation') {
+    const key = el.dataset.key;
+    newState.simulation = { ...state.simulation, [key]: value };
+    }
+
+    else if (table === 'forecast') {
+    const key = el.dataset.key;
+    newState.forecast = { ...state.forecast, [key]: value };
+    }
+
+    else if (table === 'fx') {
+    const key = el.dataset.key;
+    newState.fx = { ...state.fx, [key]: value };
+    }
+
+    else if (table === 'fx-rates') {
+    const index = parseInt(el.dataset.index, 10);
+    const key = el.dataset.key;
+    const newRates = [...state.fx.rates];
+    newRates[index] = { ...newRates[index], [key]: value };
+    newState.fx = { ...state.fx, rates: newRates };
+    }
+    
     else if (table === 'assignment') {
     const envId = el.dataset.envId;
-    const newAssignments = { ...state.plan_assignment };
-    newAssignments[envId] = value; // value is the planId
-    newState.plan_assignment = newAssignments;
+    const routeIndex = parseInt(el.dataset.routeIndex, 10);
+    const key = el.dataset.key; // plan_id or weight
+    const newRoutes = [...(state.plan_assignment[envId] ?? [])];
+    newRoutes[routeIndex] = { ...newRoutes[routeIndex], [key]: value };
+    newState.plan_assignment = { ...state.plan_assignment, [envId]: newRoutes };
+    }
+
+    else if (table === 'licences') {
+    const index = parseInt(el.dataset.index, 10);
+    const key = el.dataset.key;
+    const newLicences = [...state.licences];
+    newLicences[index] = { ...newLicences[index], [key]: value };
+    newState.licences = newLicences;
+    }
+
+    else if (table === 'seats') {
+    const index = parseInt(el.dataset.index, 10);
+    const key = el.dataset.key;
+    const newSeats = [...state.seat_assignments];
+    // An empty holder means the seats belong to a team
+    newSeats[index] = { ...newSeats[index], [key]: key === 'env_id' && value === '' ? null : value };
+    newState.seat_assignments = newSeats;
     }
 
-    // Commit the change
-    State.update(newState);
+    // Commit the change; repeated edits to the same field form one undo step
+    const group = Object.entries(el.dataset).map(([k, v]) => `${k}=${v}`).join('|');
+    State.update(newState, describeInput(el, table, state, value), group);
     }
 
     return { init };
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * LLM Token Budget Planner - command line
+ * Runs the calculation engine on an exported configuration, prints or writes the results
+ * and exits non-zero when a budget rule fails, so it can gate deploys in CI.
+ */
+const fs = require('fs');
+const { Schema, Calculator, Simulation, Report } = require('./engine.js');
+
+const USAGE = `Usage: llm-budget <config.json> [options]
+
+Reads a planner configuration (the app's JSON export or a bare config), calculates the
+monthly projection and checks every environment against its alert policy.
+
+Options:
+  --format <format>           Output format: table, csv, json, or a budget report as
+                              markdown or html (default: table)
+  --forecast                  Output the month-by-month forecast instead of one month
+                              (table or csv)
+  --allocation                Output the cost allocated per environment tag value
+                              (chargeback) instead of per environment (table or csv)
+  --output <file>             Write the output to a file instead of stdout
+  --fail-on <levels>          Comma-separated alert levels that fail the check,
+                              e.g. RED (default: any alert level)
+  --max-utilization <ratio>   Also fail when projected cost exceeds this share of the
+                              monthly budget, e.g. 0.9
+  --max-total <amount>        Also fail when the total monthly cost (reporting
+                              currency) exceeds this amount
+  --fail-on-capacity          Also fail when peak traffic is over a plan's rate limits
+  --env <id|name>             Only check these environments (repeatable)
+  --no-fail                   Report only; exit 0 whatever the result
+  --help                      Show this help
+
+Exit codes: 0 = within budget, 1 = a budget rule failed, 2 = invalid arguments or config`;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_INVALID = 2;
+
+class UsageError extends Error {}
+
+/**
+ * Parses command-line arguments into options.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object}
+ */
+function parseArgs(argv) {
+    const options = { file: null, format: 'table', forecast: false, allocation: false, output: null, failOn: null, maxUtilization: null, maxTotal: null, failOnCapacity: false, envs: [], fail: true, help: false };
+    const valueOf = (i, flag) => {
+    if (i + 1 >= argv.length) throw new UsageError(`${flag} needs a value.`);
+    return argv[i + 1];
+    };
+    const numberOf = (i, flag) => {
+    const value = Number(valueOf(i, flag));
+    if (!Number.isFinite(value) || value < 0) throw new UsageError(`${flag} must be a number of at least 0.`);
+    return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+    case '--help':
+    case '-h':
+    options.help = true;
+    break;
+    case '--format':
+    options.format = valueOf(i++, arg);
+    if (!['table', 'csv', 'json', 'markdown', 'html'].includes(options.format)) throw new UsageError('--format must be table, csv, json, markdown or html.');
+    break;
+    case '--forecast':
+    options.forecast = true;
+    break;
+    case '--allocation':
+    options.allocation = true;
+    break;
+    case '--output':
+    options.output = valueOf(i++, arg);
+    break;
+    case '--fail-on':
+    options.failOn = valueOf(i++, arg).split(',').map(level => level.trim().toUpperCase()).filter(Boolean);
+    break;
+    case '--max-utilization':
+    options.maxUtilization = numberOf(i++, arg);
+    break;
+    case '--max-total':
+    options.maxTotal = numberOf(i++, arg);
+    break;
+    case '--fail-on-capacity':
+    options.failOnCapacity = true;
+    break;
+    case '--env':
+    options.envs.push(valueOf(i++, arg));
+    break;
+    case '--no-fail':
+    options.fail = false;
+    break;
+    default:
+    if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}.`);
+    if (options.file) throw new UsageError('Only one config file can be given.');
+    options.file = arg;
+    }
+    }
+    if (!options.file && !options.help) throw new UsageError('No config file given.');
+    if (options.forecast && options.allocation) throw new UsageError('--forecast and --allocation cannot be combined.');
+    if ((options.forecast || options.allocation) && !['table', 'csv'].includes(options.format)) {
+    throw new UsageError(`${options.forecast ? '--forecast' : '--allocation'} only works with --format table or csv.`);
+    }
+    return options;
+}
+
+/**
+ * Checks that the levels and environments named on the command line exist in the config.
+ * @returns {string[]} - One message per unknown name
+ */
+function checkOptionNames(config, options) {
+    const errors = [];
+    const policies = [config.alert_policy, ...config.environments.map(env => env.alert_policy).filter(Boolean)];
+    const levelNames = new Set(policies.flatMap(policy => policy.levels.map(level => level.name.toUpperCase())));
+    (options.failOn ?? []).forEach(level => {
+    if (!levelNames.has(level)) errors.push(`--fail-on ${level}: no alert policy has this level (${[...levelNames].join(', ')}).`);
+    });
+    options.envs.forEach(name => {
+    const found = config.environments.some(env => env.id.toLowerCase() === name.toLowerCase() || env.env_name.toLowerCase() === name.toLowerCase());
+    if (!found) errors.push(`--env ${name}: no environment has this id or name.`);
+    });
+    return errors;
+}
+
+/**
+ * Checks the results against the budget rules.
+ * @returns {string[]} - One message per failed rule; empty when everything is within budget
+ */
+function checkBudgets(results, options) {
+    const failures = [];
+    const wanted = options.envs.map(name => name.toLowerCase());
+    const selected = results.perEnv.filter(res =>
+    wanted.length === 0 || wanted.includes(res.env_id.toLowerCase()) || wanted.includes(res.env_name.toLowerCase())
+    );
+
+    selected.forEach(res => {
+    if (res.error) {
+    failures.push(`${res.env_name}: cannot be priced (${res.error})`);
+    return;
+    }
+    const failsOnLevel = options.failOn
+    ? options.failOn.includes(res.status.toUpperCase())
+    : res.status_level > 0;
+    if (failsOnLevel) {
+    failures.push(`${res.env_name}: status ${res.status} at ${formatMoney(res.final_cost, res.currency)} (${formatPercent(res.utilization)} of budget)`);
+    }
+    if (options.maxUtilization !== null && res.utilization > options.maxUtilization) {
+    failures.push(`${res.env_name}: utilization ${formatPercent(res.utilization)} is above ${formatPercent(options.maxUtilization)}`);
+    }
+    if (options.failOnCapacity && res.capacity.status === 'OVER LIMIT') {
+    failures.push(`${res.env_name}: over the rate limits of ${res.capacity.plan_name} (${res.capacity.suggestion})`);
+    }
+    });
+
+    if (options.maxTotal !== null && results.totals.final_cost > options.maxTotal) {
+    failures.push(`Total: ${formatMoney(results.totals.final_cost, results.totals.currency)} is above ${formatMoney(options.maxTotal, results.totals.currency)}`);
+    }
+    return failures;
+}
+
+function formatMoney(amount, currency) {
+    return `${amount.toFixed(2)} ${currency}`;
+}
+
+function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Lays out rows as a plain-text table with padded columns.
+ */
+function textTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+function resultsTable(results) {
+    const rows = results.perEnv.map(res => res.error
+    ? [res.env_name, 'ERROR', '', '', '', '', res.error]
+    : [res.env_name, res.status, res.capacity.status, formatMoney(res.final_cost, res.currency), formatMoney(res.budget, res.budget_currency), formatPercent(res.utilization), res.plan_name]
+    );
+    const { totals } = results;
+    rows.push(['Total', '', '', formatMoney(totals.final_cost, totals.currency), formatMoney(totals.budget, totals.currency), totals.budget > 0 ? formatPercent(totals.final_cost / totals.budget) : '', '']);
+    return textTable(['Environment', 'Status', 'Capacity', 'Cost / Month', 'Budget', 'Utilization', 'Plan'], rows);
+}
+
+function allocationTable(config, results) {
+    const { currency } = results.totals;
+    const keys = Calculator.tagKeys(config);
+    if (keys.length === 0) return 'No environment has tags.';
+    return keys.map(key => {
+    const rows = Calculator.allocateByTag(config, results, key).map(group => [
+    group.value,
+    formatMoney(group.cost_reporting, currency),
+    formatMoney(group.budget_reporting, currency),
+    group.budget_reporting > 0 ? formatPercent(group.utilization) : '',
+    formatPercent(group.cost_share),
+    ]);
+    return textTable([key, 'Cost / Month', 'Budget', 'Utilization', 'Share of Cost'], rows);
+    }).join('\n\n');
+}
+
+function forecastTable(forecast) {
+    const rows = forecast.perEnv.map(env => [
+    env.env_name,
+    ...env.series.map(point => point.error ? '-' : point.final_cost.toFixed(2)),
+    formatMoney(env.cumulative_cost, env.currency),
+    formatPercent(env.annual_utilization),
+    ]);
+    return textTable(['Environment', ...forecast.months, 'Cumulative', 'Annual Util.'], rows);
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} io - { stdout, stderr } with write(); defaults to the process streams
+ * @returns {number} - The exit code
+ */
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let options;
+    try {
+    options = parseArgs(argv);
+    } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    io.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return EXIT_INVALID;
+    }
+    if (options.help) {
+    io.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+    }
+
+    let text;
+    try {
+    text = fs.readFileSync(options.file, 'utf8');
+    } catch (err) {
+    io.stderr.write(`Could not read "${options.file}": ${err.message}\n`);
+    return EXIT_INVALID;
+    }
+    const { config, errors } = Schema.parseImport(text);
+    if (errors.length > 0) {
+    io.stderr.write(`"${options.file}" is not a valid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}\n`);
+    return EXIT_INVALID;
+    }
+    const nameErrors = checkOptionNames(config, options);
+    if (nameErrors.length > 0) {
+    io.stderr.write(`${nameErrors.join('\n')}\n`);
+    return EXIT_INVALID;
+    }
+
+    const results = Calculator.calculateAll(config);
+    const forecast = Calculator.calculateForecast(config);
+    let output;
+    if (options.format === 'json') {
+    output = JSON.stringify(Report.exportData(config, results, forecast), null, 2);
+    } else if (options.format === 'markdown') {
+    output = Report.markdownReport(config, results, { simulation: Simulation.run(config) });
+    } else if (options.format === 'html') {
+    output = Report.htmlReport(config, results, { simulation: Simulation.run(config) });
+    } else if (options.format === 'csv') {
+    if (options.forecast) output = Report.forecastCSV(forecast);
+    else if (options.allocation) output = Report.allocationCSV(config, results);
+    else output = Report.resultsCSV(results, Simulation.run(config));
+    } else if (options.forecast) {
+    output = forecastTable(forecast);
+    } else {
+    output = options.allocation ? allocationTable(config, results) : resultsTable(results);
+    }
+
+    if (options.output) {
+    try {
+    fs.writeFileSync(options.output, output);
+    } catch (err) {
+    io.stderr.write(`Could not write "${options.output}": ${err.message}\n`);
+    return EXIT_INVALID;
+    }
+    } else {
+    io.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    }
+
+    // The check summary goes to stderr when stdout carries CSV or JSON
+    const report = options.format === 'table' && !options.output ? io.stdout : io.stderr;
+    const failures = checkBudgets(results, options);
+    if (failures.length === 0) {
+    report.write('\nBudget check passed.\n');
+    return EXIT_OK;
+    }
+    report.write(`\nBudget check failed:\n${failures.map(f => `  - ${f}`).join('\n')}\n`);
+    return options.fail ? EXIT_FAILED : EXIT_OK;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, checkBudgets };
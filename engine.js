@@ -0,0 +1,3763 @@
+/**
+ * LLM Token Budget Planner - calculation engine
+ * The pure, DOM-free part of the planner. In the browser it is loaded before app.js and
+ * its modules are globals; in Node it is a CommonJS module (see cli.js).
+ * * Architecture:
+ * - Schema: Validates configurations and migrates older shapes to the current version.
+ * - Calculator: Pure functions to perform all cost calculations.
+ * - Optimizer: Ranks plans per environment and solves for the largest volumes that stay safe.
+ * - Simulation: Seeded Monte Carlo over the workload ranges, reporting cost percentiles.
+ * - Charts: Draws dependency-free SVG bar charts of the results, for the page and the reports.
+ * - Report: Builds the CSV and JSON exports and the HTML and Markdown budget reports.
+ */
+
+// --- 1. Schema & Migration ---
+const Schema = (() => {
+    const SCHEMA_VERSION = 19;
+
+    // ISO 4217 style codes; anything else makes Intl currency formatting throw
+    const CURRENCY_CODE = /^[A-Z]{3}$/;
+    const CURRENCY_HINT = 'a three-letter currency code such as USD';
+    const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+    // Field rules for every entry type. Optional historical fields are filled in by migrate().
+    const PLAN_RULES = [
+    { key: 'id', type: 'string', nonEmpty: true },
+    { key: 'vendor', type: 'string' },
+    { key: 'plan', type: 'string' },
+    { key: 'currency', type: 'string', pattern: CURRENCY_CODE, hint: CURRENCY_HINT },
+    { key: 'price_prompt_per_1k', type: 'number', min: 0 },
+    { key: 'price_completion_per_1k', type: 'number', min: 0 },
+    { key: 'monthly_commit_credit', type: 'number', min: 0 },
+    { key: 'free_tier_tokens', type: 'number', min: 0 },
+    { key: 'overage_multiplier', type: 'number', min: 0 },
+    // Contract terms (see Calculator.applyContract). An annual commit is drawn down from
+    // commit_start_month (null = the first projected month); annual_commit_drawn of it is
+    // already used when the projection starts.
+    { key: 'annual_commit', type: 'number', min: 0 },
+    { key: 'commit_start_month', type: 'string', pattern: MONTH_PATTERN, hint: 'YYYY-MM', nullable: true },
+    { key: 'annual_commit_drawn', type: 'number', min: 0 },
+    { key: 'true_up_share', type: 'number', min: 0, max: 1 },
+    { key: 'commit_rollover_cap', type: 'number', min: 0 },
+    { key: 'tier_mode', type: 'enum', values: ['flat', 'graduated', 'all_units'] },
+    { key: 'long_context_threshold_tokens', type: 'number', min: 0 },
+    { key: 'long_context_multiplier', type: 'number', min: 1 },
+    { key: 'price_cache_read_per_1k', type: 'number', min: 0 },
+    { key: 'price_cache_write_per_1k', type: 'number', min: 0 },
+    { key: 'cache_ttl_minutes', type: 'number', min: 0 },
+    // Share taken off the token and cache price of batch / off-peak traffic (0.5 = half price)
+    { key: 'batch_discount', type: 'number', min: 0, max: 1 },
+    { key: 'off_peak_discount', type: 'number', min: 0, max: 1 },
+    // Rate limits of one API key (null = none); traffic is spread evenly over api_keys keys
+    { key: 'rpm_limit', type: 'number', minExclusive: 0, nullable: true },
+    { key: 'tpm_limit', type: 'number', minExclusive: 0, nullable: true },
+    { key: 'daily_token_limit', type: 'number', minExclusive: 0, nullable: true },
+    { key: 'api_keys', type: 'number', min: 1 },
+    { key: 'catalog_id', type: 'string', nullable: true },
+    ];
+
+    // A new vendor plan: no contract terms, flat prices, no rate limits (see newPlan)
+    const PLAN_DEFAULTS = {
+    vendor: 'Other', plan: 'New Plan', currency: 'USD',
+    price_prompt_per_1k: 0.01, price_completion_per_1k: 0.03,
+    price_cache_read_per_1k: 0.005, price_cache_write_per_1k: 0.01, cache_ttl_minutes: 0,
+    batch_discount: 0, off_peak_discount: 0,
+    rpm_limit: null, tpm_limit: null, daily_token_limit: null, api_keys: 1,
+    monthly_commit_credit: 0, free_tier_tokens: 0, overage_multiplier: 1.0,
+    annual_commit: 0, commit_start_month: null, annual_commit_drawn: 0, true_up_share: 1, commit_rollover_cap: 0, credit_packs: [],
+    tier_mode: 'flat', price_tiers: [], long_context_threshold_tokens: 0, long_context_multiplier: 1,
+    unit_prices: [], catalog_id: null,
+    };
+
+    const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+    // Pricing catalog entries; one model can have several effective-dated entries
+    const CATALOG_ENTRY_RULES = [
+    { key: 'id', type: 'string', nonEmpty: true },
+    { key: 'vendor', type: 'string', nonEmpty: true },
+    { key: 'model', type: 'string', nonEmpty: true },
+    { key: 'currency', type: 'string', pattern: CURRENCY_CODE, hint: CURRENCY_HINT },
+    { key: 'price_prompt_per_1k', type: 'number', min: 0 },
+    { key: 'price_completion_per_1k', type: 'number', min: 0 },
+    { key: 'price_cache_read_per_1k', type: 'number', min: 0 },
+    { key: 'price_cache_write_per_1k', type: 'number', min: 0 },
+    { key: 'cache_ttl_minutes', type: 'number', min: 0 },
+    { key: 'effective_date', type: 'string', pattern: DATE_PATTERN, hint: 'YYYY-MM-DD' },
+    ];
+
+    // Usage billed in something other than tokens. Images are priced per size ("1024x1024"),
+    // the other units ignore size. noun names a quantity of the unit in messages.
+    const BILLING_UNITS = {
+    embedding_1k: { label: 'Embeddings (per 1K tokens)', noun: 'embedding tokens', scale: 1000 },
+    image: { label: 'Images (per image)', noun: 'images', scale: 1 },
+    audio_minute: { label: 'Audio (per minute)', noun: 'audio minutes', scale: 1 },
+    request: { label: 'Requests (per call fee)', noun: 'billed calls', scale: 1 },
+    };
+
+    const UNIT_PRICE_RULES = [
+    { key: 'unit', type: 'enum', values: Object.keys(BILLING_UNITS) },
+    { key: 'size', type: 'string' },
+    { key: 'price', type: 'number', min: 0 },
+    ];
+
+    // quantity_per_day is in the unit's own terms: embedding tokens, images, minutes or calls
+    const UNIT_USAGE_RULES = [
+    { key: 'unit', type: 'enum', values: Object.keys(BILLING_UNITS) },
+    { key: 'size', type: 'string' },
+    { key: 'quantity_per_day', type: 'number', min: 0 },
+    ];
+
+    // A prepaid credit pack: the balance left when the projection starts, usable up to
+    // and including expires_month
+    const CREDIT_PACK_RULES = [
+    { key: 'amount', type: 'number', min: 0 },
+    { key: 'expires_month', type: 'string', pattern: MONTH_PATTERN, hint: 'YYYY-MM' },
+    ];
+
+    // up_to_tokens = null marks the open-ended last tier
+    const TIER_RULES = [
+    { key: 'up_to_tokens', type: 'number', min: 0, nullable: true },
+    { key: 'price_prompt_per_1k', type: 'number', min: 0 },
+    { key: 'price_completion_per_1k', type: 'number', min: 0 },
+    ];
+
+    const ENV_RULES = [
+    { key: 'id', type: 'string', nonEmpty: true },
+    { key: 'env_name', type: 'string' },
+    { key: 'days_per_month', type: 'number', min: 1, max: 31 },
+    { key: 'budget_currency', type: 'string', pattern: CURRENCY_CODE, hint: CURRENCY_HINT },
+    { key: 'monthly_budget', type: 'number', min: 0 },
+    { key: 'annual_budget', type: 'number', min: 0 },
+    { key: 'growth_rate', type: 'number', minExclusive: -1 },
+    { key: 'forecast_requests_per_day', type: 'numberList', min: 0 },
+    // Traffic in the busiest hour: peak_factor times the average hour, or the busiest hour of
+    // hourly_profile (24 relative weights from midnight) when one is given
+    { key: 'peak_factor', type: 'number', min: 1, max: 24 },
+    { key: 'hourly_profile', type: 'numberList', min: 0 },
+    ];
+
+    // Free-form labels (team, product, cost centre...) used to allocate an environment's cost.
+    // An environment shared between teams lists the key once per value, with the share of
+    // its cost each one is charged; the shares of a key add up to 1.
+    const TAG_KEYS = ['team', 'product', 'cost_centre']; // Suggested in the app; any key works
+
+    const TAG_RULES = [
+    { key: 'key', type: 'string', nonEmpty: true },
+    { key: 'value', type: 'string', nonEmpty: true },
+    { key: 'share', type: 'number', min: 0, max: 1 },
+    ];
+
+    // One stream of traffic in an environment (chat, summarization, batch jobs...) with its own token profile
+    const WORKLOAD_RULES = [
+    { key: 'id', type: 'string', nonEmpty: true },
+    { key: 'name', type: 'string' },
+    { key: 'requests_per_day', type: 'number', min: 0 },
+    { key: 'avg_tokens_per_request', type: 'number', min: 0 },
+    { key: 'context_tokens', type: 'number', min: 0 },
+    { key: 'cache_hit_rate', type: 'number', min: 0, max: 1 },
+    { key: 'cacheable_prefix_tokens', type: 'number', min: 0 },
+    { key: 'completion_share', type: 'number', min: 0, max: 1 },
+    // Share of the requests that can wait for the batch API or run off-peak
+    { key: 'batch_share', type: 'number', min: 0, max: 1 },
+    { key: 'off_peak_share', type: 'number', min: 0, max: 1 },
+    ];
+
+    // Workload fields that can be given a min/max range around their (most likely) value
+    const RANGE_FIELDS = ['requests_per_day', 'avg_tokens_per_request', 'context_tokens', 'cache_hit_rate', 'completion_share'];
+
+    const RANGE_RULES = [
+    { key: 'min', type: 'number', min: 0 },
+    { key: 'max', type: 'number', min: 0 },
+    { key: 'distribution', type: 'enum', values: ['triangular', 'uniform'] },
+    ];
+
+    const SIMULATION_RULES = [
+    { key: 'runs', type: 'number', min: 100, max: 20000 },
+    { key: 'seed', type: 'number' },
+    ];
+
+    const FORECAST_RULES = [
+    { key: 'start_month', type: 'string', pattern: MONTH_PATTERN, hint: 'YYYY-MM' },
+    { key: 'horizon_months', type: 'number', min: 1, max: 60 },
+    ];
+
+    const FX_RATE_RULES = [
+    { key: 'currency', type: 'string', pattern: CURRENCY_CODE, hint: CURRENCY_HINT },
+    { key: 'rate_to_base', type: 'number', minExclusive: 0 },
+    ];
+
+    // Per-seat subscriptions (chat or coding-assistant seats). Annual terms are paid per
+    // seat per year; both terms bill at least min_seats.
+    const LICENCE_RULES = [
+    { key: 'id', type: 'string', nonEmpty: true },
+    { key: 'vendor', type: 'string' },
+    { key: 'product', type: 'string' },
+    { key: 'currency', type: 'string', pattern: CURRENCY_CODE, hint: CURRENCY_HINT },
+    { key: 'billing_term', type: 'enum', values: ['monthly', 'annual'] },
+    { key: 'price_per_seat_month', type: 'number', min: 0 },
+    { key: 'price_per_seat_year', type: 'number', min: 0 },
+    { key: 'min_seats', type: 'number', min: 0 },
+    ];
+
+    // Seats of a licence held by an environment, or by a team when env_id is null
+    const SEAT_RULES = [
+    { key: 'licence_id', type: 'string', nonEmpty: true },
+    { key: 'env_id', type: 'string', nullable: true },
+    { key: 'team', type: 'string' },
+    { key: 'seats', type: 'number', min: 0 },
+    ];
+
+    const ROUTE_RULES = [
+    { key: 'plan_id', type: 'string' },
+    { key: 'weight', type: 'number', min: 0 },
+    ];
+
+    // One row of imported usage; cost (in the budget currency) is optional
+    const ACTUAL_RULES = [
+    { key: 'date', type: 'string', pattern: DATE_PATTERN, hint: 'YYYY-MM-DD' },
+    { key: 'env_id', type: 'string', nonEmpty: true },
+    { key: 'prompt_tokens', type: 'number', min: 0 },
+    { key: 'completion_tokens', type: 'number', min: 0 },
+    { key: 'cost', type: 'number', min: 0, nullable: true },
+    ];
+
+    // Accepted column names in usage CSV files, per field
+    const ACTUAL_COLUMNS = {
+    date: ['date', 'day', 'usage_date'],
+    environment: ['environment', 'env', 'env_name', 'env_id'],
+    prompt_tokens: ['prompt_tokens', 'input_tokens'],
+    completion_tokens: ['completion_tokens', 'output_tokens'],
+    cost: ['cost', 'amount', 'spend'],
+    };
+
+    const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+    // Alert policies: an "ok" level plus escalating levels, each triggered by one metric
+    const POLICY_OK_RULES = [
+    { key: 'name', type: 'string', nonEmpty: true },
+    { key: 'color', type: 'string', pattern: HEX_COLOR, hint: '#RRGGBB' },
+    ];
+
+    const POLICY_LEVEL_RULES = [
+    { key: 'name', type: 'string', nonEmpty: true },
+    { key: 'color', type: 'string', pattern: HEX_COLOR, hint: '#RRGGBB' },
+    { key: 'metric', type: 'enum', values: ['percent', 'amount', 'exceed_by_day'] },
+    { key: 'threshold', type: 'number', min: 0 },
+    ];
+
+    // Each step upgrades a config from (version - 1) to version.
+    const MIGRATIONS = [
+    {
+    version: 2,
+    description: 'Fill defaults for fields that older exports omitted.',
+    up(config) {
+    config.vendor_plans = config.vendor_plans ?? [];
+    config.environments = config.environments ?? [];
+    config.plan_assignment = config.plan_assignment ?? {};
+    for (const plan of config.vendor_plans) {
+    if (!isObject(plan)) continue;
+    plan.monthly_commit_credit = plan.monthly_commit_credit ?? 0;
+    plan.free_tier_tokens = plan.free_tier_tokens ?? 0;
+    plan.overage_multiplier = plan.overage_multiplier ?? 1.0;
+    }
+    for (const env of config.environments) {
+    if (!isObject(env)) continue;
+    env.cache_savings_factor = env.cache_savings_factor ?? 0.8;
+    env.completion_share = env.completion_share ?? 0.4;
+    env.alert_thresholds = env.alert_thresholds ?? { warn: 0.8, critical: 1.0 };
+    }
+    }
+    },
+    {
+    version: 3,
+    description: 'Add the exchange-rate table and reporting currency.',
+    up(config) {
+    config.fx = config.fx ?? {
+    base_currency: 'USD',
+    reporting_currency: 'USD',
+    rates: [
+    { currency: 'EUR', rate_to_base: 1.08 },
+    { currency: 'GBP', rate_to_base: 1.27 },
+    ]
+    };
+    }
+    },
+    {
+    version: 4,
+    description: 'Turn single plan assignments into weighted routing lists.',
+    up(config) {
+    Object.keys(config.plan_assignment).forEach(envId => {
+    const planId = config.plan_assignment[envId];
+    if (typeof planId === 'string') {
+    config.plan_assignment[envId] = planId ? [{ plan_id: planId, weight: 1 }] : [];
+    }
+    });
+    }
+    },
+    {
+    version: 5,
+    description: 'Add forecast settings, growth rates and annual budgets.',
+    up(config) {
+    config.forecast = config.forecast ?? { start_month: new Date().toISOString().slice(0, 7), horizon_months: 12 };
+    for (const env of config.environments) {
+    if (!isObject(env)) continue;
+    env.growth_rate = env.growth_rate ?? 0;
+    env.annual_budget = env.annual_budget ?? (env.monthly_budget ?? 0) * 12;
+    env.forecast_requests_per_day = env.forecast_requests_per_day ?? [];
+    }
+    }
+    },
+    {
+    version: 6,
+    description: 'Add price tiers and long-context surcharges to vendor plans.',
+    up(config) {
+    for (const plan of config.vendor_plans) {
+    if (!isObject(plan)) continue;
+    plan.tier_mode = plan.tier_mode ?? 'flat';
+    plan.price_tiers = plan.price_tiers ?? [];
+    plan.long_context_threshold_tokens = plan.long_context_threshold_tokens ?? 0;
+    plan.long_context_multiplier = plan.long_context_multiplier ?? 1;
+    }
+    }
+    },
+    {
+    version: 7,
+    description: 'Replace the per-environment cache savings factor with cache read/write prices.',
+    up(config) {
+    // Carry the old savings over as a discounted cache-read rate, using the
+    // average factor of the environments routed to each plan
+    const routesOf = (env) => Array.isArray(config.plan_assignment[env.id]) ? config.plan_assignment[env.id] : [];
+    for (const plan of config.vendor_plans) {
+    if (!isObject(plan)) continue;
+    const factors = config.environments
+    .filter(env => isObject(env) && routesOf(env).some(r => isObject(r) && r.plan_id === plan.id))
+    .map(env => env.cache_savings_factor ?? 0.8);
+    const savings = factors.length > 0 ? factors.reduce((a, b) => a + b, 0) / factors.length : 0.8;
+    plan.price_cache_read_per_1k = plan.price_cache_read_per_1k ?? (plan.price_prompt_per_1k ?? 0) * (1 - savings);
+    plan.price_cache_write_per_1k = plan.price_cache_write_per_1k ?? plan.price_prompt_per_1k ?? 0;
+    plan.cache_ttl_minutes = plan.cache_ttl_minutes ?? 0;
+    }
+    for (const env of config.environments) {
+    if (!isObject(env)) continue;
+    env.cacheable_prefix_tokens = env.cacheable_prefix_tokens ?? env.context_tokens ?? 0;
+    delete env.cache_savings_factor;
+    }
+    }
+    },
+    {
+    version: 8,
+    description: 'Replace warn/critical thresholds with named alert policies.',
+    up(config) {
+    const policyFrom = ({ warn, critical }) => ({
+    ok: { name: 'GREEN', color: '#34c759' },
+    levels: [
+    { name: 'AMBER', color: '#ff9500', metric: 'percent', threshold: warn },
+    { name: 'RED', color: '#ff3b30', metric: 'percent', threshold: critical },
+    ]
+    });
+    config.alert_policy = config.alert_policy ?? policyFrom({ warn: 0.8, critical: 1.0 });
+    for (const env of config.environments) {
+    if (!isObject(env)) continue;
+    // Environments on the old 80% / 100% defaults follow the default policy
+    const thresholds = env.alert_thresholds ?? { warn: 0.8, critical: 1.0 };
+    const isDefault = thresholds.warn === 0.8 && thresholds.critical === 1.0;
+    env.alert_policy = env.alert_policy !== undefined ? env.alert_policy : (isDefault ? null : policyFrom(thresholds));
+    delete env.alert_thresholds;
+    }
+    }
+    },
+    {
+    version: 9,
+    description: 'Add imported actual usage.',
+    up(config) {
+    config.actuals = config.actuals ?? [];
+    }
+    },
+    {
+    version: 10,
+    description: 'Link vendor plans to pricing catalog entries.',
+    up(config) {
+    for (const plan of config.vendor_plans) {
+    if (!isObject(plan)) continue;
+    plan.catalog_id = plan.catalog_id ?? null;
+    }
+    }
+    },
+    {
+    version: 11,
+    description: 'Add uncertainty ranges and Monte Carlo settings.',
+    up(config) {
+    config.simulation = config.simulation ?? { runs: 1000, seed: 42 };
+    for (const env of config.environments) {
+    if (!isObject(env)) continue;
+    env.ranges = env.ranges ?? {};
+    }
+    }
+    },
+    {
+    version: 12,
+    description: 'Upper-case currency codes, which are now checked against the ISO format.',
+    up(config) {
+    const code = (value) => typeof value === 'string' ? value.trim().toUpperCase() : value;
+    for (const plan of config.vendor_plans) {
+    if (isObject(plan)) plan.currency = code(plan.currency);
+    }
+    for (const env of config.environments) {
+    if (isObject(env)) env.budget_currency = code(env.budget_currency);
+    }
+    if (isObject(config.fx)) {
+    config.fx.base_currency = code(config.fx.base_currency);
+    config.fx.reporting_currency = code(config.fx.reporting_currency);
+    (Array.isArray(config.fx.rates) ? config.fx.rates : []).forEach(rate => {
+    if (isObject(rate)) rate.currency = code(rate.currency);
+    });
+    }
+    }
+    },
+    {
+    version: 13,
+    description: 'Move each environment\'s traffic and token profile into a list of workloads.',
+    up(config) {
+    const fields = WORKLOAD_RULES.map(rule => rule.key).filter(key => !['id', 'name'].includes(key));
+    for (const env of config.environments) {
+    if (!isObject(env) || env.workloads !== undefined) continue;
+    const workload = { id: 'wl_1', name: 'All traffic' };
+    fields.forEach(key => {
+    workload[key] = env[key];
+    delete env[key];
+    });
+    workload.ranges = env.ranges ?? {};
+    delete env.ranges;
+    env.workloads = [workload];
+    }
+    }
+    },
+    {
+    version: 14,
+    description: 'Add non-token unit prices to vendor plans and unit usage to workloads.',
+    up(config) {
+    for (const plan of config.vendor_plans) {
+    if (isObject(plan)) plan.unit_prices = plan.unit_prices ?? [];
+    }
+    for (const env of config.environments) {
+    if (!isObject(env) || !Array.isArray(env.workloads)) continue;
+    env.workloads.forEach(workload => {
+    if (isObject(workload)) workload.unit_usage = workload.unit_usage ?? [];
+    });
+    }
+    }
+    },
+    {
+    version: 15,
+    description: 'Add batch and off-peak discounts to vendor plans and eligible traffic shares to workloads.',
+    up(config) {
+    for (const plan of config.vendor_plans) {
+    if (!isObject(plan)) continue;
+    plan.batch_discount = plan.batch_discount ?? 0;
+    plan.off_peak_discount = plan.off_peak_discount ?? 0;
+    }
+    for (const env of config.environments) {
+    if (!isObject(env) || !Array.isArray(env.workloads)) continue;
+    env.workloads.forEach(workload => {
+    if (!isObject(workload)) return;
+    workload.batch_share = workload.batch_share ?? 0;
+    workload.off_peak_share = workload.off_peak_share ?? 0;
+    });
+    }
+    }
+    },
+    {
+    version: 16,
+    description: 'Add seat licences and their assignments to environments and teams.',
+    up(config) {
+    config.licences = config.licences ?? [];
+    config.seat_assignments = config.seat_assignments ?? [];
+    }
+    },
+    {
+    version: 17,
+    description: 'Add tags with chargeback shares to environments.',
+    up(config) {
+    for (const env of config.environments) {
+    if (!isObject(env)) continue;
+    env.tags = env.tags ?? [];
+    }
+    }
+    },
+    {
+    version: 18,
+    description: 'Add annual commits, true-ups, commit rollover and prepaid credit packs to vendor plans.',
+    up(config) {
+    for (const plan of config.vendor_plans) {
+    if (!isObject(plan)) continue;
+    plan.annual_commit = plan.annual_commit ?? 0;
+    plan.commit_start_month = plan.commit_start_month ?? null;
+    plan.annual_commit_drawn = plan.annual_commit_drawn ?? 0;
+    plan.true_up_share = plan.true_up_share ?? 1;
+    plan.commit_rollover_cap = plan.commit_rollover_cap ?? 0;
+    plan.credit_packs = plan.credit_packs ?? [];
+    }
+    }
+    },
+    {
+    version: 19,
+    description: 'Add rate limits to vendor plans and peak-hour traffic to environments.',
+    up(config) {
+    for (const plan of config.vendor_plans) {
+    if (!isObject(plan)) continue;
+    plan.rpm_limit = plan.rpm_limit ?? null;
+    plan.tpm_limit = plan.tpm_limit ?? null;
+    plan.daily_token_limit = plan.daily_token_limit ?? null;
+    plan.api_keys = plan.api_keys ?? 1;
+    }
+    for (const env of config.environments) {
+    if (!isObject(env)) continue;
+    env.peak_factor = env.peak_factor ?? 1;
+    env.hourly_profile = env.hourly_profile ?? [];
+    }
+    }
+    }
+    ];
+
+    function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function entryLabel(listName, index, name) {
+    return name ? `${listName}[${index}] (${name})` : `${listName}[${index}]`;
+    }
+
+    /**
+    * Checks a single value against its rule.
+    * @param {*} value - The field's value
+    * @param {object} rule - Entry from one of the *_RULES tables
+    * @returns {object[]} - [{ item, text }]; item is the list position for numberList rules, else null
+    */
+    function fieldProblems(value, rule) {
+    if (value === null && rule.nullable) {
+    return [];
+    }
+    if (value === undefined || value === null) {
+    return [{ item: null, text: 'is missing.' }];
+    }
+    if (rule.type === 'enum') {
+    return rule.values.includes(value) ? [] : [{ item: null, text: `must be one of ${rule.values.join(', ')}.` }];
+    }
+    if (rule.type === 'string') {
+    if (typeof value !== 'string') return [{ item: null, text: 'must be text.' }];
+    if (rule.nonEmpty && value.trim() === '') return [{ item: null, text: 'must not be empty.' }];
+    if (rule.pattern && !rule.pattern.test(value)) return [{ item: null, text: `must look like ${rule.hint}.` }];
+    return [];
+    }
+    if (rule.type === 'numberList') {
+    if (!Array.isArray(value)) return [{ item: null, text: 'must be a list of numbers.' }];
+    return value.flatMap((item, index) => numberProblems(item, rule).map(text => ({ item: index, text })));
+    }
+    return numberProblems(value, rule).map(text => ({ item: null, text }));
+    }
+
+    function numberProblems(value, rule) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return ['must be a number.'];
+    }
+    const problems = [];
+    if (rule.min !== undefined && value < rule.min) problems.push(`must be at least ${rule.min}.`);
+    if (rule.minExclusive !== undefined && value <= rule.minExclusive) problems.push(`must be greater than ${rule.minExclusive}.`);
+    if (rule.max !== undefined && value > rule.max) problems.push(`must be at most ${rule.max}.`);
+    return problems;
+    }
+
+    /**
+    * Checks a single field against its rule.
+    * @param {object} entry - The object holding the field
+    * @param {object} rule - Entry from one of the *_RULES tables
+    * @param {string} label - Human-readable path used in messages
+    * @param {string[]} errors - Collected error messages
+    */
+    function checkField(entry, rule, label, errors) {
+    fieldProblems(entry[rule.key], rule).forEach(({ item, text }) => {
+    errors.push(`${label}.${rule.key}${item === null ? '' : `[${item}]`}: ${text}`);
+    });
+    }
+
+    /**
+    * Records a problem with one field. at locates the field the way the app's inputs do,
+    * with the same names as their data-* attributes: { table, index, ... } plus key.
+    */
+    function addIssue(issues, at, key, label, text) {
+    issues.push({ at: { ...at, key }, message: `${label}.${key}: ${text}`, text });
+    }
+
+    /**
+    * Checks every field of an entry against a rule table, recording issues.
+    */
+    function checkEntry(entry, rules, label, at, issues) {
+    rules.forEach(rule => {
+    fieldProblems(entry[rule.key], rule).forEach(({ item, text }) => {
+    issues.push({
+    at: { ...at, key: rule.key },
+    message: `${label}.${rule.key}${item === null ? '' : `[${item}]`}: ${text}`,
+    text: item === null ? text : `value ${item + 1} ${text}`,
+    });
+    });
+    });
+    }
+
+    /**
+    * Identifies a field location, e.g. for matching issues to inputs.
+    * @param {object} at - { table, index, key, ... }; values may be numbers or strings
+    * @returns {string}
+    */
+    function fieldKey(at) {
+    return Object.keys(at).sort().map(name => `${name}=${at[name]}`).join('|');
+    }
+
+    /**
+    * Structural check: the top-level collections exist and hold objects, so the
+    * app can render the config even if individual fields are invalid.
+    * @param {object} config - A migrated configuration
+    * @returns {boolean}
+    */
+    function hasValidShape(config) {
+    return isObject(config) &&
+    Array.isArray(config.vendor_plans) && config.vendor_plans.every(plan =>
+    isObject(plan) && Array.isArray(plan.unit_prices) && plan.unit_prices.every(isObject) &&
+    Array.isArray(plan.credit_packs) && plan.credit_packs.every(isObject)) &&
+    Array.isArray(config.environments) && config.environments.every(env => isObject(env) && Array.isArray(env.tags) && env.tags.every(isObject)) &&
+    isObject(config.plan_assignment) &&
+    isObject(config.fx) && Array.isArray(config.fx.rates) && config.fx.rates.every(isObject) &&
+    isObject(config.forecast) &&
+    Array.isArray(config.actuals) && config.actuals.every(isObject) &&
+    isObject(config.simulation) &&
+    Array.isArray(config.licences) && config.licences.every(isObject) &&
+    Array.isArray(config.seat_assignments) && config.seat_assignments.every(isObject) &&
+    config.environments.every(env => Array.isArray(env.workloads) && env.workloads.every(workload =>
+    isObject(workload) && isObject(workload.ranges) && Object.values(workload.ranges).every(isObject) &&
+    Array.isArray(workload.unit_usage) && workload.unit_usage.every(isObject))) &&
+    isPolicy(config.alert_policy) &&
+    config.environments.every(env => env.alert_policy === null || isPolicy(env.alert_policy));
+    }
+
+    /**
+    * Identifies a billing unit for matching usage to prices: the unit, plus the size for images.
+    */
+    function unitKey(entry) {
+    return entry.unit === 'image' ? `image|${typeof entry.size === 'string' ? entry.size.trim() : ''}` : entry.unit;
+    }
+
+    /**
+    * Images need a size to be matched to a price.
+    */
+    function checkUnitSize(entry, label, at, issues) {
+    if (entry.unit === 'image' && typeof entry.size === 'string' && entry.size.trim() === '') {
+    addIssue(issues, at, 'size', label, 'is required for images, e.g. 1024x1024.');
+    }
+    }
+
+    function isPolicy(policy) {
+    return isObject(policy) && isObject(policy.ok) && Array.isArray(policy.levels) && policy.levels.every(isObject);
+    }
+
+    /**
+    * Validates one alert policy (the default or an environment override).
+    * @param {string|number} scope - 'default' or the environment index
+    */
+    function checkPolicy(policy, label, scope, issues) {
+    checkEntry(policy.ok, POLICY_OK_RULES, `${label}.ok`, { table: 'policy', scope, levelIndex: 'ok' }, issues);
+    const names = new Set([policy.ok.name]);
+    policy.levels.forEach((level, index) => {
+    const levelLabel = entryLabel(`${label}.levels`, index, level.name);
+    const at = { table: 'policy', scope, levelIndex: index };
+    checkEntry(level, POLICY_LEVEL_RULES, levelLabel, at, issues);
+    if (level.metric === 'exceed_by_day' && (level.threshold < 1 || level.threshold > 31)) {
+    addIssue(issues, at, 'threshold', levelLabel, 'must be a day between 1 and 31.');
+    }
+    if (names.has(level.name)) addIssue(issues, at, 'name', levelLabel, `"${level.name}" is used more than once.`);
+    names.add(level.name);
+    });
+    }
+
+    /**
+    * Finds every problem in a configuration: per-field rules plus cross-field checks.
+    * @param {object} config - A migrated configuration
+    * @returns {object[]} - [{ at, message, text }]; at locates the field ({ table, index, key, ... },
+    *   see addIssue) or is null for problems with the overall structure; message names the full path,
+    *   text only the problem (for showing next to the field)
+    */
+    function inspect(config) {
+    const issues = [];
+    const fail = (message) => issues.push({ at: null, message, text: message });
+    if (!isObject(config)) {
+    fail('Configuration must be an object.');
+    return issues;
+    }
+    const { vendor_plans, environments, plan_assignment } = config;
+
+    if (!Array.isArray(vendor_plans)) fail('vendor_plans: must be a list.');
+    if (!Array.isArray(environments)) fail('environments: must be a list.');
+    if (!isObject(plan_assignment)) fail('plan_assignment: must be an object.');
+    if (!isObject(config.fx) || !Array.isArray(config.fx.rates)) fail('fx: must be an object with a rates list.');
+    if (!isObject(config.forecast)) fail('forecast: must be an object.');
+    if (!isPolicy(config.alert_policy)) fail('alert_policy: must be an object with ok and a levels list.');
+    if (!Array.isArray(config.actuals)) fail('actuals: must be a list.');
+    if (!isObject(config.simulation)) fail('simulation: must be an object.');
+    if (!Array.isArray(config.licences)) fail('licences: must be a list.');
+    if (!Array.isArray(config.seat_assignments)) fail('seat_assignments: must be a list.');
+    if (issues.length > 0) return issues;
+    if (!hasValidShape(config)) {
+    fail('Every vendor plan, credit pack, environment, workload, unit price, unit usage, exchange rate, alert policy, range, actuals row, licence, seat assignment and tag must be an object; every plan needs a unit_prices and a credit_packs list, every environment a workloads and a tags list and every workload a unit_usage list.');
+    return issues;
+    }
+
+    checkEntry(config.forecast, FORECAST_RULES, 'forecast', { table: 'forecast' }, issues);
+    checkEntry(config.simulation, SIMULATION_RULES, 'simulation', { table: 'simulation' }, issues);
+    checkPolicy(config.alert_policy, 'alert_policy', 'default', issues);
+
+    const planIds = new Set();
+    vendor_plans.forEach((plan, index) => {
+    const label = entryLabel('vendor_plans', index, [plan.vendor, plan.plan].filter(Boolean).join(' - '));
+    const at = { table: 'plans', index };
+    checkEntry(plan, PLAN_RULES, label, at, issues);
+    if (planIds.has(plan.id)) addIssue(issues, at, 'id', label, `duplicate id "${plan.id}".`);
+    planIds.add(plan.id);
+
+    if (!Array.isArray(plan.price_tiers)) {
+    addIssue(issues, at, 'price_tiers', label, 'must be a list.');
+    } else {
+    let previousLimit = -1;
+    plan.price_tiers.forEach((tier, tierIndex) => {
+    const tierLabel = `${label}.price_tiers[${tierIndex}]`;
+    const tierAt = { table: 'tiers', index, tierIndex };
+    if (!isObject(tier)) {
+    fail(`${tierLabel}: must be an object.`);
+    return;
+    }
+    checkEntry(tier, TIER_RULES, tierLabel, tierAt, issues);
+    if (tier.up_to_tokens === null && tierIndex < plan.price_tiers.length - 1) {
+    addIssue(issues, tierAt, 'up_to_tokens', tierLabel, 'only the last tier can be unlimited.');
+    } else if (tier.up_to_tokens !== null && tier.up_to_tokens <= previousLimit) {
+    addIssue(issues, tierAt, 'up_to_tokens', tierLabel, 'tiers must be in ascending order.');
+    }
+    previousLimit = tier.up_to_tokens ?? Infinity;
+    });
+    }
+
+    const unitKeys = new Set();
+    plan.unit_prices.forEach((price, unitIndex) => {
+    const unitLabel = `${label}.unit_prices[${unitIndex}]`;
+    const unitAt = { table: 'unit-prices', index, unitIndex };
+    checkEntry(price, UNIT_PRICE_RULES, unitLabel, unitAt, issues);
+    checkUnitSize(price, unitLabel, unitAt, issues);
+    const key = unitKey(price);
+    if (unitKeys.has(key)) addIssue(issues, unitAt, 'unit', unitLabel, 'this unit already has a price.');
+    unitKeys.add(key);
+    });
+
+    if (plan.annual_commit > 0 && plan.monthly_commit_credit > 0) {
+    addIssue(issues, at, 'annual_commit', label, 'cannot be combined with monthly_commit_credit; use one of them.');
+    }
+    if (plan.annual_commit_drawn > plan.annual_commit) {
+    addIssue(issues, at, 'annual_commit_drawn', label, 'must not exceed annual_commit.');
+    }
+    if (Number.isFinite(plan.api_keys) && !Number.isInteger(plan.api_keys)) {
+    addIssue(issues, at, 'api_keys', label, 'must be a whole number.');
+    }
+    plan.credit_packs.forEach((pack, packIndex) => {
+    checkEntry(pack, CREDIT_PACK_RULES, `${label}.credit_packs[${packIndex}]`, { table: 'credit-packs', index, packIndex }, issues);
+    });
+    });
+
+    const envIds = new Set();
+    environments.forEach((env, index) => {
+    const label = entryLabel('environments', index, env.env_name);
+    const at = { table: 'envs', index };
+    checkEntry(env, ENV_RULES, label, at, issues);
+    if (envIds.has(env.id)) addIssue(issues, at, 'id', label, `duplicate id "${env.id}".`);
+    envIds.add(env.id);
+    if (Array.isArray(env.hourly_profile) && env.hourly_profile.length > 0) {
+    if (env.hourly_profile.length !== 24) {
+    addIssue(issues, at, 'hourly_profile', label, `has ${env.hourly_profile.length} values; give one per hour (24) or none.`);
+    } else if (!env.hourly_profile.some(weight => weight > 0)) {
+    addIssue(issues, at, 'hourly_profile', label, 'needs at least one hour with traffic.');
+    }
+    }
+
+    const workloadIds = new Set();
+    env.workloads.forEach((workload, workloadIndex) => {
+    const workloadLabel = entryLabel(`${label}.workloads`, workloadIndex, workload.name);
+    const workloadAt = { table: 'workloads', index, workloadIndex };
+    checkEntry(workload, WORKLOAD_RULES, workloadLabel, workloadAt, issues);
+    if (workload.cacheable_prefix_tokens > workload.context_tokens) {
+    addIssue(issues, workloadAt, 'cacheable_prefix_tokens', workloadLabel, 'must not exceed context_tokens.');
+    }
+    // With everything generated and no context, a request has no prompt at all
+    if (workload.completion_share >= 1 && workload.context_tokens === 0) {
+    addIssue(issues, workloadAt, 'completion_share', workloadLabel, 'leaves no prompt tokens; lower it or add context tokens.');
+    }
+    if (workloadIds.has(workload.id)) addIssue(issues, workloadAt, 'id', workloadLabel, `duplicate id "${workload.id}".`);
+    workloadIds.add(workload.id);
+
+    if (workload.batch_share + workload.off_peak_share > 1) {
+    addIssue(issues, workloadAt, 'off_peak_share', workloadLabel, 'together with batch_share must not exceed 1.');
+    }
+
+    workload.unit_usage.forEach((usage, unitIndex) => {
+    const unitLabel = `${workloadLabel}.unit_usage[${unitIndex}]`;
+    const unitAt = { table: 'unit-usage', index, workloadIndex, unitIndex };
+    checkEntry(usage, UNIT_USAGE_RULES, unitLabel, unitAt, issues);
+    checkUnitSize(usage, unitLabel, unitAt, issues);
+    });
+
+    Object.entries(workload.ranges).forEach(([field, range]) => {
+    const rangeLabel = `${workloadLabel}.ranges.${field}`;
+    const rangeAt = { table: 'ranges', index, workloadIndex, field };
+    if (!RANGE_FIELDS.includes(field)) {
+    fail(`${rangeLabel}: ${field} cannot have a range.`);
+    return;
+    }
+    checkEntry(range, RANGE_RULES, rangeLabel, rangeAt, issues);
+    if (!(range.min <= workload[field] && workload[field] <= range.max)) {
+    addIssue(issues, rangeAt, range.min > workload[field] ? 'min' : 'max', rangeLabel, `the current value ${workload[field]} must lie between min and max.`);
+    }
+    if (['cache_hit_rate', 'completion_share'].includes(field) && range.max > 1) {
+    addIssue(issues, rangeAt, 'max', rangeLabel, 'must be at most 1.');
+    }
+    });
+    });
+
+    // Shares are checked per key once every tag of the environment has been seen
+    const tagShares = new Map();
+    env.tags.forEach((tag, tagIndex) => {
+    const tagLabel = `${label}.tags[${tagIndex}]`;
+    const tagAt = { table: 'tags', index, tagIndex };
+    checkEntry(tag, TAG_RULES, tagLabel, tagAt, issues);
+    if (typeof tag.key !== 'string' || typeof tag.value !== 'string') return;
+    const key = tag.key.trim();
+    const entry = tagShares.get(key) ?? { values: new Set(), total: 0, last: null };
+    if (entry.values.has(tag.value.trim())) addIssue(issues, tagAt, 'value', tagLabel, `"${tag.value}" is already tagged under ${key}.`);
+    entry.values.add(tag.value.trim());
+    entry.total += Number.isFinite(tag.share) ? tag.share : 0;
+    entry.last = { at: tagAt, label: tagLabel };
+    tagShares.set(key, entry);
+    });
+    tagShares.forEach((entry, key) => {
+    if (Math.abs(entry.total - 1) > 1e-6) {
+    addIssue(issues, entry.last.at, 'share', entry.last.label, `the shares of ${key} add up to ${+(entry.total * 100).toFixed(2)}%; they must add up to 100%.`);
+    }
+    });
+
+    // null means the environment follows the default policy
+    if (env.alert_policy !== null) {
+    checkPolicy(env.alert_policy, `${label}.alert_policy`, index, issues);
+    }
+    });
+
+    const { fx } = config;
+    checkEntry(fx, [{ key: 'base_currency', type: 'string', pattern: CURRENCY_CODE, hint: CURRENCY_HINT }], 'fx', { table: 'fx' }, issues);
+    const currencies = new Set([fx.base_currency]);
+    fx.rates.forEach((rate, index) => {
+    const label = entryLabel('fx.rates', index, rate.currency);
+    const at = { table: 'fx-rates', index };
+    checkEntry(rate, FX_RATE_RULES, label, at, issues);
+    if (currencies.has(rate.currency)) addIssue(issues, at, 'currency', label, `"${rate.currency}" is listed more than once.`);
+    currencies.add(rate.currency);
+    });
+    if (!currencies.has(fx.reporting_currency)) {
+    addIssue(issues, { table: 'fx' }, 'reporting_currency', 'fx', `"${fx.reporting_currency}" has no exchange rate.`);
+    }
+
+    Object.entries(plan_assignment).forEach(([envId, routes]) => {
+    const label = `plan_assignment["${envId}"]`;
+    if (!envIds.has(envId)) {
+    fail(`${label}: refers to an unknown environment.`);
+    }
+    if (!Array.isArray(routes)) {
+    fail(`${label}: must be a list of { plan_id, weight } routes.`);
+    return;
+    }
+    routes.forEach((route, index) => {
+    const at = { table: 'assignment', envId, routeIndex: index };
+    if (!isObject(route)) {
+    fail(`${label}[${index}]: must be an object.`);
+    return;
+    }
+    checkEntry(route, ROUTE_RULES, `${label}[${index}]`, at, issues);
+    if (typeof route.plan_id === 'string' && route.plan_id !== '' && !planIds.has(route.plan_id)) {
+    addIssue(issues, at, 'plan_id', `${label}[${index}]`, `refers to an unknown plan "${route.plan_id}".`);
+    }
+    });
+    });
+
+    const licenceIds = new Set();
+    config.licences.forEach((licence, index) => {
+    const label = entryLabel('licences', index, [licence.vendor, licence.product].filter(Boolean).join(' - '));
+    const at = { table: 'licences', index };
+    checkEntry(licence, LICENCE_RULES, label, at, issues);
+    if (licenceIds.has(licence.id)) addIssue(issues, at, 'id', label, `duplicate id "${licence.id}".`);
+    licenceIds.add(licence.id);
+    });
+
+    config.seat_assignments.forEach((row, index) => {
+    const label = `seat_assignments[${index}]`;
+    const at = { table: 'seats', index };
+    checkEntry(row, SEAT_RULES, label, at, issues);
+    if (typeof row.licence_id === 'string' && row.licence_id !== '' && !licenceIds.has(row.licence_id)) {
+    addIssue(issues, at, 'licence_id', label, `refers to an unknown licence "${row.licence_id}".`);
+    }
+    if (typeof row.env_id === 'string' && !envIds.has(row.env_id)) {
+    addIssue(issues, at, 'env_id', label, `refers to an unknown environment "${row.env_id}".`);
+    }
+    if (row.env_id === null && typeof row.team === 'string' && row.team.trim() === '') {
+    addIssue(issues, at, 'team', label, 'needs a team name when no environment holds the seats.');
+    }
+    });
+
+    config.actuals.forEach((row, index) => {
+    const label = `actuals[${index}]`;
+    const at = { table: 'actuals', index };
+    checkEntry(row, ACTUAL_RULES, label, at, issues);
+    if (typeof row.env_id === 'string' && !envIds.has(row.env_id)) {
+    addIssue(issues, at, 'env_id', label, `refers to an unknown environment "${row.env_id}".`);
+    }
+    });
+
+    return issues;
+    }
+
+    /**
+    * Validates a (migrated) configuration.
+    * @param {object} config - { vendor_plans, environments, plan_assignment }
+    * @returns {string[]} - One message per invalid field; empty when valid.
+    */
+    function validate(config) {
+    return inspect(config).map(issue => issue.message);
+    }
+
+    /**
+    * Builds a vendor plan of the current schema version with a fresh id.
+    * @param {object} fields - Fields to set over PLAN_DEFAULTS, e.g. a catalog entry's prices
+    * @returns {object}
+    */
+    function newPlan(fields = {}) {
+    return { id: `plan_${Date.now()}`, ...JSON.parse(JSON.stringify(PLAN_DEFAULTS)), ...fields };
+    }
+
+    /**
+    * Checks the lists and objects that the migration steps walk through, so a malformed
+    * import is reported by field instead of failing inside a step. Version 1 configs may
+    * leave them out; the first step adds them.
+    * @returns {string[]} - One message per field of the wrong type
+    */
+    function migrationErrors(config, fromVersion) {
+    const errors = [];
+    const check = (key, isValid, text) => {
+    if (config[key] === undefined ? fromVersion > 1 : !isValid(config[key])) errors.push(`${key}: ${text}`);
+    };
+    check('vendor_plans', Array.isArray, 'must be a list.');
+    check('environments', Array.isArray, 'must be a list.');
+    check('plan_assignment', isObject, 'must be an object.');
+    return errors;
+    }
+
+    /**
+    * Upgrades a configuration to SCHEMA_VERSION. Works on a deep copy.
+    * @param {object} config - Configuration of any known version
+    * @returns {object} - The migrated configuration
+    */
+    function migrate(config) {
+    const migrated = JSON.parse(JSON.stringify(config));
+    const fromVersion = migrated.schema_version ?? 1;
+    if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Configuration uses schema v${fromVersion}, but this planner only supports up to v${SCHEMA_VERSION}.`);
+    }
+    const errors = migrationErrors(migrated, fromVersion);
+    if (errors.length > 0) {
+    throw new Error(errors.join(' '));
+    }
+    for (const step of MIGRATIONS) {
+    if (step.version > fromVersion) {
+    step.up(migrated);
+    }
+    }
+    migrated.schema_version = SCHEMA_VERSION;
+    return migrated;
+    }
+
+    /**
+    * Parses an imported file. Accepts the full export ({ metadata, config, results })
+    * or a bare config object.
+    * @param {string} text - Raw file contents
+    * @returns {object} - { config, errors, fromVersion }
+    */
+    function parseImport(text) {
+    let data;
+    try {
+    data = JSON.parse(text);
+    } catch (e) {
+    return { config: null, errors: [`File is not valid JSON: ${e.message}`], fromVersion: null };
+    }
+
+    const config = isObject(data) && isObject(data.config) ? data.config : data;
+    if (!isObject(config) || (!('vendor_plans' in config) && !('environments' in config))) {
+    return { config: null, errors: ['File does not contain a planner configuration.'], fromVersion: null };
+    }
+
+    const fromVersion = config.schema_version ?? data.metadata?.schema_version ?? 1;
+    const shapeErrors = migrationErrors(config, fromVersion);
+    if (shapeErrors.length > 0) {
+    return { config: null, errors: shapeErrors, fromVersion };
+    }
+    let migrated;
+    try {
+    migrated = migrate({ ...config, schema_version: fromVersion });
+    } catch (e) {
+    return { config: null, errors: [e.message], fromVersion };
+    }
+
+    const errors = validate(migrated);
+    return { config: errors.length === 0 ? migrated : null, errors, fromVersion };
+    }
+
+    /**
+    * Splits CSV text into rows of fields. Handles quoted fields with commas,
+    * doubled quotes and line breaks.
+    */
+    function splitCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+    if (ch === '"' && text[i + 1] === '"') {
+    field += '"';
+    i++;
+    } else if (ch === '"') {
+    quoted = false;
+    } else {
+    field += ch;
+    }
+    } else if (ch === '"') {
+    quoted = true;
+    } else if (ch === ',') {
+    row.push(field);
+    field = '';
+    } else if (ch === '\n' || ch === '\r') {
+    if (ch === '\r' && text[i + 1] === '\n') i++;
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = '';
+    } else {
+    field += ch;
+    }
+    }
+    if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+    * Parses a usage export (date, environment, prompt tokens, completion tokens, optional cost)
+    * into actuals rows. Environments are matched by id or name, ignoring case.
+    * @param {string} text - Raw CSV contents
+    * @param {object[]} environments - The active scenario's environments
+    * @returns {object} - { rows, errors }; rows that cannot be used are reported and skipped
+    */
+    function parseActualsCSV(text, environments) {
+    const [header, ...lines] = splitCSV(text);
+    if (!header) {
+    return { rows: [], errors: ['File is empty.'] };
+    }
+
+    const names = header.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    const columns = {};
+    Object.entries(ACTUAL_COLUMNS).forEach(([field, aliases]) => {
+    columns[field] = names.findIndex(name => aliases.includes(name));
+    });
+    const missing = ['date', 'environment', 'prompt_tokens', 'completion_tokens'].filter(field => columns[field] === -1);
+    if (missing.length > 0) {
+    return { rows: [], errors: [`Missing column(s): ${missing.join(', ')}.`] };
+    }
+
+    const envByKey = new Map();
+    environments.forEach(env => {
+    envByKey.set(env.env_name.trim().toLowerCase(), env);
+    envByKey.set(env.id.toLowerCase(), env);
+    });
+    const toNumber = (value) => {
+    const cleaned = (value ?? '').replace(/[,\s]/g, '');
+    return cleaned === '' ? null : Number(cleaned);
+    };
+
+    const rows = [];
+    const errors = [];
+    lines.forEach((line, index) => {
+    const label = `Line ${index + 2}`;
+    const envName = (line[columns.environment] ?? '').trim();
+    const env = envByKey.get(envName.toLowerCase());
+    if (!env) {
+    errors.push(`${label}: unknown environment "${envName}".`);
+    return;
+    }
+    const row = {
+    // Timestamps are cut down to their date
+    date: (line[columns.date] ?? '').trim().slice(0, 10),
+    env_id: env.id,
+    prompt_tokens: toNumber(line[columns.prompt_tokens]),
+    completion_tokens: toNumber(line[columns.completion_tokens]),
+    cost: columns.cost === -1 ? null : toNumber(line[columns.cost]),
+    };
+    const rowErrors = [];
+    ACTUAL_RULES.forEach(rule => checkField(row, rule, label, rowErrors));
+    if (rowErrors.length > 0) {
+    errors.push(...rowErrors);
+    return;
+    }
+    rows.push(row);
+    });
+
+    return { rows, errors };
+    }
+
+    /**
+    * Parses and validates a pricing catalog file ({ catalog_version, published, entries }).
+    * @param {string} text - Raw file contents
+    * @returns {object} - { catalog, errors }; catalog is null when there are errors
+    */
+    function parseCatalog(text) {
+    let catalog;
+    try {
+    catalog = JSON.parse(text);
+    } catch (e) {
+    return { catalog: null, errors: [`File is not valid JSON: ${e.message}`] };
+    }
+    if (!isObject(catalog) || !Array.isArray(catalog.entries)) {
+    return { catalog: null, errors: ['File does not contain a pricing catalog (an object with an entries list).'] };
+    }
+
+    const errors = [];
+    checkField(catalog, { key: 'catalog_version', type: 'string', nonEmpty: true }, 'catalog', errors);
+    const seen = new Set();
+    catalog.entries.forEach((entry, index) => {
+    const label = entryLabel('entries', index, entry?.id);
+    if (!isObject(entry)) {
+    errors.push(`${label}: must be an object.`);
+    return;
+    }
+    CATALOG_ENTRY_RULES.forEach(rule => checkField(entry, rule, label, errors));
+    const key = `${entry.id}@${entry.effective_date}`;
+    if (seen.has(key)) errors.push(`${label}: "${entry.id}" has two entries effective ${entry.effective_date}.`);
+    seen.add(key);
+    });
+    return { catalog: errors.length === 0 ? catalog : null, errors };
+    }
+
+    return { SCHEMA_VERSION, RANGE_FIELDS, BILLING_UNITS, TAG_KEYS, unitKey, hasValidShape, inspect, validate, fieldKey, newPlan, migrate, parseImport, parseActualsCSV, parseCatalog };
+})();
+
+
+// --- 2. Calculation Engine ---
+const Calculator = (() => {
+    // What a final cost is made of (see cost_breakdown); the parts add up to the final cost
+    const COST_PARTS = ['prompt', 'completion', 'cache', 'units', 'overage', 'licences'];
+
+    // Peaks from this share of a rate limit are flagged as near it; suggested key counts and
+    // tiers bring the peak back below it
+    const CAPACITY_HEADROOM = 0.8;
+    const CAPACITY_LEVELS = {
+    none: { status: 'NO QUOTA', status_color: '#8e8e93', status_level: -1 },
+    ok: { status: 'OK', status_color: '#34c759', status_level: 0 },
+    near: { status: 'NEAR LIMIT', status_color: '#ff9500', status_level: 1 },
+    over: { status: 'OVER LIMIT', status_color: '#ff3b30', status_level: 2 },
+    };
+
+    /**
+    * Calculates all costs and stats for every environment.
+    * Environments can route traffic across several plans; each plan is billed once on
+    * the combined usage of every environment sharing it (so free tiers and commits are
+    * shared), and the plan's cost is then split back over the routed slices and, within
+    * each slice, over the environment's workloads. Seat licences are a fixed monthly cost
+    * on top, held by environments (counted in their budget) or by teams (totals only).
+    * Contract terms (credit packs, monthly or annual commits) are tracked per plan from the
+    * position the month starts in; true-ups at the end of a contract year count towards the
+    * totals only. Each plan's peak-hour traffic is checked against its rate limits (see assessCapacity).
+    * Environments with invalid inputs (see Schema.inspect) get an error instead of a result.
+    * @param {object} state - The current application state.
+    * @param {object} period - { month (YYYY-MM), positions (see openingPositions) }; defaults to the
+    *   forecast's start month and the contract terms as entered. Forecasts pass each month's
+    *   positions on to the next.
+    * @param {object} invalidInputs - From findInvalidInputs. Callers that price many variants of
+    *   one checked state (e.g. the simulation) pass it once instead of re-inspecting every call.
+    * @returns {object} - { perEnv: [...], perPlan: [...], perContract: [...], perLicence: [...], perTeam: [...], totals: {...} }
+    */
+    function calculateAll(state, period = {}, invalidInputs = findInvalidInputs(state)) {
+    const { environments, vendor_plans, plan_assignment, fx } = state;
+    const month = period.month ?? state.forecast.start_month;
+    const positions = period.positions ?? openingPositions(state);
+    const rates = buildRateTable(fx);
+    const perLicence = priceLicences(state, rates, invalidInputs);
+    const reportingCurrency = fx.reporting_currency;
+    const resultsPerEnv = [];
+    // Money totals are converted into the reporting currency
+    const totals = {
+    currency: reportingCurrency,
+    total_tokens: 0,
+    prompt_tokens: 0,
+    uncached_prompt_tokens: 0,
+    cache_read_tokens: 0,
+    cache_write_tokens: 0,
+    completion_tokens: 0,
+    unit_cost: 0,
+    licence_cost: 0,
+    raw_cost: 0,
+    final_cost: 0,
+    final_cost_without_discount: 0,
+    discount_savings: 0,
+    true_up_cost: 0,
+    cost_breakdown: Object.fromEntries(COST_PARTS.map(key => [key, 0])),
+    budget: 0,
+    };
+    
+    const plansMap = new Map(vendor_plans.map(p => [p.id, p]));
+    // Actuals are compared for the latest month that has any imported usage
+    const actuals = state.actuals ?? [];
+    const actualsMonth = actuals.reduce((latest, row) => row.date.slice(0, 7) > latest ? row.date.slice(0, 7) : latest, '') || null;
+    totals.actuals_month = actualsMonth;
+
+    // --- Pass 1: token volumes per environment, split over its routed plans ---
+    const drafts = [];
+    const planUsage = new Map(); // plan id -> { prompt_tokens, completion_tokens, env_ids, per-minute traffic by hour }
+
+    for (const env of environments) {
+    if (invalidInputs.envs.has(env.id)) {
+    drafts.push({ env, error: invalidInputs.envs.get(env.id) });
+    continue;
+    }
+
+    const heldLicence = perLicence.find(licence => licence.error && state.seat_assignments.some(row => row.env_id === env.id && row.licence_id === licence.licence_id));
+    if (heldLicence) {
+    drafts.push({ env, error: heldLicence.error });
+    continue;
+    }
+
+    const routes = resolveRoutes(plan_assignment[env.id], plansMap);
+    
+    if (routes.length === 0) {
+    // Handle case where plan is not assigned or deleted
+    drafts.push({ env, error: "No valid plan assigned." });
+    continue;
+    }
+
+    const missingRates = [...routes.map(r => r.plan.currency), env.budget_currency, reportingCurrency].filter(c => !rates.has(c));
+    if (missingRates.length > 0) {
+    drafts.push({ env, error: `No exchange rate for ${[...new Set(missingRates)].join(', ')}.` });
+    continue;
+    }
+
+    // Non-token usage needs a price on every plan it is routed to
+    const unpriced = routes.flatMap(({ plan }) => env.workloads
+    .flatMap(workload => workload.unit_usage.filter(usage => usage.quantity_per_day > 0 && !findUnitPrice(plan, usage)))
+    .map(usage => `${unitName(usage)} on ${plan.vendor} - ${plan.plan}`));
+    if (unpriced.length > 0) {
+    drafts.push({ env, error: `No price for ${[...new Set(unpriced)].join(', ')}.` });
+    continue;
+    }
+
+    // 1) Tokens per request of each workload. The context (system prompt, retrieved documents)
+    // is part of the prompt; its first cacheable_prefix_tokens can be served from the vendor's cache.
+    const profiles = env.workloads.map(workload => {
+    const completion_tokens_per_request = workload.avg_tokens_per_request * workload.completion_share;
+    const prompt_tokens_per_request = workload.avg_tokens_per_request * (1 - workload.completion_share) + workload.context_tokens;
+    return {
+    workload: workload,
+    completion_tokens_per_request: completion_tokens_per_request,
+    prompt_tokens_per_request: prompt_tokens_per_request,
+    prefix_tokens: Math.min(workload.cacheable_prefix_tokens, prompt_tokens_per_request),
+    // 2) Monthly requests per workload
+    monthly_requests: workload.requests_per_day * env.days_per_month,
+    };
+    });
+    const hourShares = hourlyShares(env);
+
+    // 3) Split each workload's traffic over the routed plans and add it to each plan's usage.
+    // Each request either reads the cached prefix (hit) or writes it (miss); the rest of
+    // the prompt is billed as normal input. Requests whose prompt exceeds a plan's
+    // long-context threshold are flagged for its surcharge.
+    const slices = routes.map(route => {
+    const { plan } = route;
+    const parts = profiles.map(profile => {
+    const { workload } = profile;
+    const requests = profile.monthly_requests * route.share;
+    const hit_rate = effectiveHitRate(workload.cache_hit_rate, workload.requests_per_day * route.share, plan.cache_ttl_minutes);
+    const long_context = plan.long_context_threshold_tokens > 0 && profile.prompt_tokens_per_request > plan.long_context_threshold_tokens;
+
+    const piece = {
+    requests: requests,
+    long_context: long_context,
+    cache_hit_rate: hit_rate,
+    uncached_prompt_tokens: requests * (profile.prompt_tokens_per_request - profile.prefix_tokens),
+    cache_read_tokens: requests * profile.prefix_tokens * hit_rate,
+    cache_write_tokens: requests * profile.prefix_tokens * (1 - hit_rate),
+    completion_tokens: requests * profile.completion_tokens_per_request,
+    };
+    piece.prompt_tokens = piece.uncached_prompt_tokens + piece.cache_read_tokens + piece.cache_write_tokens;
+    piece.monthly_tokens = piece.prompt_tokens + piece.completion_tokens;
+    piece.weight = listWeight(piece.uncached_prompt_tokens, piece.completion_tokens, plan, long_context);
+    // Batch and off-peak requests get the plan's discount on their tokens and cache
+    const discount_rate = workload.batch_share * plan.batch_discount + workload.off_peak_share * plan.off_peak_discount;
+    piece.discount_basis = piece.weight + piece.cache_read_tokens * (plan.price_cache_read_per_1k ?? 0) + piece.cache_write_tokens * (plan.price_cache_write_per_1k ?? 0);
+    piece.discount_weight = piece.discount_basis * discount_rate;
+    // Non-token units (embeddings, images, audio, call fees) follow the same routing split
+    piece.units = workload.unit_usage.filter(usage => usage.quantity_per_day > 0).map(usage => {
+    const quantity = usage.quantity_per_day * env.days_per_month * route.share;
+    return {
+    key: Schema.unitKey(usage),
+    unit: usage.unit,
+    name: unitName(usage),
+    quantity: quantity,
+    cost: quantity / Schema.BILLING_UNITS[usage.unit].scale * findUnitPrice(plan, usage).price,
+    };
+    });
+    piece.unit_cost = piece.units.reduce((sum, u) => sum + u.cost, 0);
+    // Rate limits apply to real-time traffic: batch requests go through the batch queue, and
+    // off-peak requests count towards the daily quota but not the busiest hour
+    const tokens_per_request = profile.prompt_tokens_per_request + profile.completion_tokens_per_request;
+    piece.peak_requests_per_day = workload.requests_per_day * route.share * (1 - workload.batch_share - workload.off_peak_share);
+    piece.peak_tokens_per_day = piece.peak_requests_per_day * tokens_per_request;
+    piece.daily_tokens = workload.requests_per_day * route.share * (1 - workload.batch_share) * tokens_per_request;
+    return piece;
+    });
+
+    const sumParts = (key) => parts.reduce((sum, p) => sum + p[key], 0);
+    const requests = sumParts('requests');
+    const slice = {
+    plan: plan,
+    share: route.share,
+    long_context: parts.some(p => p.long_context),
+    // Request-weighted over the workloads
+    cache_hit_rate: requests > 0 ? parts.reduce((sum, p) => sum + p.cache_hit_rate * p.requests, 0) / requests : 0,
+    uncached_prompt_tokens: sumParts('uncached_prompt_tokens'),
+    cache_read_tokens: sumParts('cache_read_tokens'),
+    cache_write_tokens: sumParts('cache_write_tokens'),
+    completion_tokens: sumParts('completion_tokens'),
+    prompt_tokens: sumParts('prompt_tokens'),
+    monthly_tokens: sumParts('monthly_tokens'),
+    long_context_tokens: parts.reduce((sum, p) => sum + (p.long_context ? p.monthly_tokens : 0), 0),
+    weight: sumParts('weight'),
+    discount_basis: sumParts('discount_basis'),
+    discount_weight: sumParts('discount_weight'),
+    unit_cost: sumParts('unit_cost'),
+    units: mergeUnits(parts.flatMap(p => p.units)),
+    // Requests and tokens per minute in each hour of the day
+    requests_per_minute: hourShares.map(share => sumParts('peak_requests_per_day') * share / 60),
+    tokens_per_minute: hourShares.map(share => sumParts('peak_tokens_per_day') * share / 60),
+    daily_tokens: sumParts('daily_tokens'),
+    parts: parts,
+    };
+
+    const usage = planUsage.get(plan.id) ?? {
+    uncached_prompt_tokens: 0, completion_tokens: 0, cache_read_tokens: 0, cache_write_tokens: 0,
+    long_context_tokens: 0, weight: 0, discount_basis: 0, discount_weight: 0, unit_cost: 0, units: [], env_ids: new Set(),
+    requests_per_minute: new Array(24).fill(0), tokens_per_minute: new Array(24).fill(0), daily_tokens: 0
+    };
+    usage.uncached_prompt_tokens += slice.uncached_prompt_tokens;
+    usage.completion_tokens += slice.completion_tokens;
+    usage.cache_read_tokens += slice.cache_read_tokens;
+    usage.cache_write_tokens += slice.cache_write_tokens;
+    usage.long_context_tokens += slice.long_context_tokens;
+    usage.weight += slice.weight;
+    usage.discount_basis += slice.discount_basis;
+    usage.discount_weight += slice.discount_weight;
+    usage.unit_cost += slice.unit_cost;
+    usage.units = mergeUnits([...usage.units, ...slice.units]);
+    usage.requests_per_minute = usage.requests_per_minute.map((rate, hour) => rate + slice.requests_per_minute[hour]);
+    usage.tokens_per_minute = usage.tokens_per_minute.map((rate, hour) => rate + slice.tokens_per_minute[hour]);
+    usage.daily_tokens += slice.daily_tokens;
+    usage.env_ids.add(env.id);
+    planUsage.set(plan.id, usage);
+
+    return slice;
+    });
+
+    const sumTokens = (key) => slices.reduce((sum, s) => sum + s[key], 0);
+    drafts.push({
+    env,
+    monthly_tokens: sumTokens('monthly_tokens'),
+    prompt_tokens: sumTokens('prompt_tokens'),
+    uncached_prompt_tokens: sumTokens('uncached_prompt_tokens'),
+    cache_read_tokens: sumTokens('cache_read_tokens'),
+    cache_write_tokens: sumTokens('cache_write_tokens'),
+    completion_tokens: sumTokens('completion_tokens'),
+    slices
+    });
+    }
+
+    // --- Pass 2: bill each plan once on its combined usage ---
+    // 5 & 6) Calculate costs, applying free tiers and commitments
+    const planCosts = new Map();
+    const capacities = new Map();
+    const resultsPerPlan = [];
+    planUsage.forEach((usage, planId) => {
+    const plan = plansMap.get(planId);
+    const { contract, ...costResult } = calculateCost(usage, plan, positions[planId], month);
+    planCosts.set(planId, { ...costResult, usage, contract });
+    capacities.set(planId, assessCapacity(plan, usage));
+    resultsPerPlan.push({
+    plan_id: planId,
+    plan_name: `${plan.vendor} - ${plan.plan}`,
+    currency: plan.currency,
+    env_count: usage.env_ids.size,
+    prompt_tokens: usage.uncached_prompt_tokens + usage.cache_read_tokens + usage.cache_write_tokens,
+    uncached_prompt_tokens: usage.uncached_prompt_tokens,
+    cache_read_tokens: usage.cache_read_tokens,
+    cache_write_tokens: usage.cache_write_tokens,
+    completion_tokens: usage.completion_tokens,
+    long_context_tokens: usage.long_context_tokens,
+    ...costResult,
+    capacity: capacities.get(planId),
+    });
+    });
+
+    // Contract drawdown of every plan with commits or credit packs, including plans nobody
+    // uses this month (their commit still runs and their credits still expire)
+    const resultsPerContract = vendor_plans.filter(hasContract).map(plan => {
+    const entry = {
+    plan_id: plan.id,
+    plan_name: `${plan.vendor} - ${plan.plan}`,
+    currency: plan.currency,
+    month: month,
+    error: invalidInputs.plans.get(plan.id) ?? (rates.has(plan.currency) ? null : `No exchange rate for ${plan.currency}.`),
+    };
+    if (entry.error) return entry;
+    const cost = planCosts.get(plan.id)?.cost_after_free_tier ?? 0;
+    const contract = planCosts.get(plan.id)?.contract ?? applyContract(0, plan, positions[plan.id], month);
+    return {
+    ...entry,
+    ...contract,
+    annual_commit: plan.annual_commit,
+    credits_remaining: contract.closing.credits.reduce((sum, credit) => sum + credit.amount, 0),
+    true_up_reporting: convert(contract.true_up, plan.currency, reportingCurrency, rates),
+    // What would be left unused if this month's spend continued
+    projection: projectContract(cost, plan, positions[plan.id], month),
+    };
+    });
+
+    // --- Pass 3: share plan costs back to the slices and evaluate each environment ---
+    const part = (amount, own, total) => total > 0 ? amount * own / total : 0;
+    for (const draft of drafts) {
+    const { env } = draft;
+
+    if (draft.error) {
+    resultsPerEnv.push({
+    env_id: env.id,
+    env_name: env.env_name,
+    error: draft.error,
+    status: "N/A"
+    });
+    continue;
+    }
+
+    // 7) Each slice carries its part of the plan cost: token costs pro rata to list price,
+    // cache costs pro rata to its own cache tokens, and commit/overage effects pro rata
+    // to the resulting cost. Everything is then converted into the budget currency (for
+    // alerts) and the reporting currency (for totals).
+    const slices = draft.slices.map(slice => {
+    const { plan } = slice;
+    const planCost = planCosts.get(plan.id);
+    const { usage } = planCost;
+
+    const cache_read_cost = part(planCost.cache_read_cost, slice.cache_read_tokens, usage.cache_read_tokens);
+    const cache_write_cost = part(planCost.cache_write_cost, slice.cache_write_tokens, usage.cache_write_tokens);
+    const unit_cost = part(planCost.unit_cost, slice.unit_cost, usage.unit_cost);
+    const token_cost = part(planCost.token_cost, slice.weight, usage.weight);
+    const discount = part(planCost.discount, slice.discount_weight, usage.discount_weight);
+    const raw_cost = part(planCost.raw_token_cost, slice.weight, usage.weight) + cache_read_cost + cache_write_cost + unit_cost;
+    const cost_after_free_tier = token_cost + cache_read_cost + cache_write_cost + unit_cost - discount;
+    const final_cost = part(planCost.final_cost, cost_after_free_tier, planCost.cost_after_free_tier);
+    // What the slice would cost with every request at the normal price
+    const final_cost_without_discount = part(planCost.final_cost_without_discount, cost_after_free_tier + discount, planCost.cost_after_free_tier + planCost.discount);
+    // What the final cost is made of: token costs split between prompt and completion by
+    // the plan's base list prices, each net of the discount, plus the commit's overage surcharge
+    const netShare = 1 - part(discount, 1, token_cost + cache_read_cost + cache_write_cost);
+    const promptList = slice.uncached_prompt_tokens * plan.price_prompt_per_1k;
+    const completionList = slice.completion_tokens * plan.price_completion_per_1k;
+    const overage = Math.max(0, final_cost - cost_after_free_tier);
+    const scale = cost_after_free_tier > 0 ? Math.min(1, final_cost / cost_after_free_tier) : 0;
+    const cost_breakdown = {
+    prompt: part(token_cost, promptList, promptList + completionList) * netShare * scale,
+    completion: part(token_cost, completionList, promptList + completionList) * netShare * scale,
+    cache: (cache_read_cost + cache_write_cost) * netShare * scale,
+    units: unit_cost * scale,
+    overage: overage,
+    };
+
+    return {
+    plan_id: plan.id,
+    plan_name: `${plan.vendor} - ${plan.plan}`,
+    currency: plan.currency,
+    share: slice.share,
+    long_context: slice.long_context,
+    cache_hit_rate: slice.cache_hit_rate,
+    monthly_tokens: slice.monthly_tokens,
+    prompt_tokens: slice.prompt_tokens,
+    uncached_prompt_tokens: slice.uncached_prompt_tokens,
+    cache_read_tokens: slice.cache_read_tokens,
+    cache_write_tokens: slice.cache_write_tokens,
+    completion_tokens: slice.completion_tokens,
+    units: slice.units,
+    raw_cost: raw_cost,
+    cache_read_cost: cache_read_cost,
+    cache_write_cost: cache_write_cost,
+    unit_cost: unit_cost,
+    discount: discount,
+    cost_after_free_tier: cost_after_free_tier,
+    final_cost: final_cost,
+    final_cost_without_discount: final_cost_without_discount,
+    discount_savings: final_cost_without_discount - final_cost,
+    cost_breakdown: cost_breakdown,
+    final_cost_budget: convert(final_cost, plan.currency, env.budget_currency, rates),
+    };
+    });
+
+    const sumSlices = (key) => slices.reduce((sum, s) => sum + convert(typeof key === 'function' ? key(s) : s[key], s.currency, env.budget_currency, rates), 0);
+    const raw_cost = sumSlices('raw_cost');
+    const cache_read_cost = sumSlices('cache_read_cost');
+    const cache_write_cost = sumSlices('cache_write_cost');
+    const unit_cost = sumSlices('unit_cost');
+    const cost_after_free_tier = sumSlices('cost_after_free_tier');
+    const usage_cost = sumSlices('final_cost');
+    const discount_savings = sumSlices('discount_savings');
+    // Unit quantities over all routed plans, with their cost in the budget currency
+    const inBudgetCurrency = (units, currency) => units.map(u => ({ ...u, cost: convert(u.cost, currency, env.budget_currency, rates) }));
+    const units = mergeUnits(slices.flatMap(s => inBudgetCurrency(s.units, s.currency)));
+
+    // 7b) Each workload's part of every slice, split the same way: token costs by list
+    // price, cache and unit costs by their own usage, and commit/overage effects by the resulting cost
+    const workloads = env.workloads.map((workload, w) => {
+    const pieces = slices.map((slice, s) => {
+    const tokens = draft.slices[s];
+    const piece = tokens.parts[w];
+    const toBudget = (amount) => convert(amount, slice.currency, env.budget_currency, rates);
+    const slice_flat_cost = slice.cache_read_cost + slice.cache_write_cost + slice.unit_cost;
+    const piece_cache_read = part(slice.cache_read_cost, piece.cache_read_tokens, tokens.cache_read_tokens);
+    const piece_cache_write = part(slice.cache_write_cost, piece.cache_write_tokens, tokens.cache_write_tokens);
+    const piece_unit = part(slice.unit_cost, piece.unit_cost, tokens.unit_cost);
+    const piece_flat_cost = piece_cache_read + piece_cache_write + piece_unit;
+    // The discount goes to the workloads with eligible traffic, not by list price
+    const piece_discount = part(slice.discount, piece.discount_weight, tokens.discount_weight);
+    const piece_after_free_tier = part(slice.cost_after_free_tier + slice.discount - slice_flat_cost, piece.weight, tokens.weight) + piece_flat_cost - piece_discount;
+    return {
+    tokens: piece,
+    units: inBudgetCurrency(piece.units, slice.currency),
+    raw_cost: toBudget(part(slice.raw_cost - slice_flat_cost, piece.weight, tokens.weight) + piece_flat_cost),
+    cache_read_cost: toBudget(piece_cache_read),
+    cache_write_cost: toBudget(piece_cache_write),
+    unit_cost: toBudget(piece_unit),
+    cost_after_free_tier: toBudget(piece_after_free_tier),
+    final_cost: toBudget(part(slice.final_cost, piece_after_free_tier, slice.cost_after_free_tier)),
+    discount_savings: toBudget(part(slice.discount_savings, piece_discount, slice.discount)),
+    };
+    });
+    const sumPieces = (key) => pieces.reduce((sum, p) => sum + p[key], 0);
+    const sumTokens = (key) => pieces.reduce((sum, p) => sum + p.tokens[key], 0);
+    const workload_cost = sumPieces('final_cost');
+    return {
+    workload_id: workload.id,
+    name: workload.name,
+    requests_per_day: workload.requests_per_day,
+    monthly_tokens: sumTokens('monthly_tokens'),
+    prompt_tokens: sumTokens('prompt_tokens'),
+    uncached_prompt_tokens: sumTokens('uncached_prompt_tokens'),
+    cache_read_tokens: sumTokens('cache_read_tokens'),
+    cache_write_tokens: sumTokens('cache_write_tokens'),
+    completion_tokens: sumTokens('completion_tokens'),
+    units: mergeUnits(pieces.flatMap(p => p.units)),
+    raw_cost: sumPieces('raw_cost'),
+    cache_read_cost: sumPieces('cache_read_cost'),
+    cache_write_cost: sumPieces('cache_write_cost'),
+    unit_cost: sumPieces('unit_cost'),
+    cost_after_free_tier: sumPieces('cost_after_free_tier'),
+    final_cost: workload_cost,
+    final_cost_without_discount: workload_cost + sumPieces('discount_savings'),
+    discount_savings: sumPieces('discount_savings'),
+    final_cost_reporting: convert(workload_cost, env.budget_currency, reportingCurrency, rates),
+    cost_share: usage_cost > 0 ? workload_cost / usage_cost : 0,
+    };
+    });
+
+    // 7c) Seats held by the environment, in the budget currency. Licences are a fixed
+    // cost, so the environment's final cost (and its budget utilization) is usage plus seats.
+    const licences = perLicence.filter(licence => !licence.error).flatMap(licence => licence.holders
+    .filter(holder => holder.env_id === env.id)
+    .map(holder => ({ licence_id: licence.licence_id, name: licence.name, seats: holder.seats, cost: convert(holder.cost, licence.currency, env.budget_currency, rates) })));
+    const licence_cost = licences.reduce((sum, l) => sum + l.cost, 0);
+    const final_cost = usage_cost + licence_cost;
+    const final_cost_without_discount = final_cost + discount_savings;
+    const cost_breakdown = Object.fromEntries(COST_PARTS.map(key => [key, key === 'licences' ? licence_cost : sumSlices(s => s.cost_breakdown[key])]));
+
+    const final_cost_reporting = convert(final_cost, env.budget_currency, reportingCurrency, rates);
+    const raw_cost_reporting = convert(raw_cost, env.budget_currency, reportingCurrency, rates);
+    const budget_reporting = convert(env.monthly_budget, env.budget_currency, reportingCurrency, rates);
+
+    // 8) Actuals: month-to-date usage, its run-rate to month end and the variance
+    // against this projection. Rows without a cost are priced like the projection.
+    const listCost = (prompt, completion) => draft.slices.reduce((sum, slice) => sum + convert(
+    (prompt * slice.plan.price_prompt_per_1k + completion * slice.plan.price_completion_per_1k) / 1000 * slice.share,
+    slice.plan.currency, env.budget_currency, rates), 0);
+    const projectedListCost = listCost(draft.prompt_tokens, draft.completion_tokens);
+    const effectiveRate = projectedListCost > 0 ? usage_cost / projectedListCost : 1;
+    const actual = summarizeActuals(
+    actuals.filter(row => row.env_id === env.id && row.date.startsWith(actualsMonth)),
+    actualsMonth, env, final_cost,
+    (row) => listCost(row.prompt_tokens, row.completion_tokens) * effectiveRate,
+    licence_cost
+    );
+
+    // 9) Alerts, from the environment's own policy or the default one. Once actuals
+    // exist, the run-rate decides the status; the projection's status is kept alongside.
+    const policy = env.alert_policy ?? state.alert_policy;
+    const utilization = env.monthly_budget > 0 ? (final_cost / env.monthly_budget) : 0;
+    const projectedAlert = evaluatePolicy(policy, final_cost, env);
+    const alert = actual ? evaluatePolicy(policy, actual.run_rate_cost, env) : projectedAlert;
+
+    // 10) Capacity: the environment's own peak traffic, and the worst rate-limit status of the
+    // plans it is routed to (their peaks include every environment sharing them)
+    const planCapacity = draft.slices
+    .map(slice => capacities.get(slice.plan.id))
+    .reduce((worst, capacity) => capacity.status_level > worst.status_level ? capacity : worst);
+    const sumByHour = (key) => draft.slices.reduce((byHour, slice) => byHour.map((rate, hour) => rate + slice[key][hour]), new Array(24).fill(0));
+    const capacity = {
+    status: planCapacity.status,
+    status_color: planCapacity.status_color,
+    status_level: planCapacity.status_level,
+    plan_name: planCapacity.plan_name,
+    peak_rpm: Math.max(...sumByHour('requests_per_minute')),
+    peak_tpm: Math.max(...sumByHour('tokens_per_minute')),
+    daily_tokens: draft.slices.reduce((sum, slice) => sum + slice.daily_tokens, 0),
+    suggestion: planCapacity.suggestion && draft.slices.length > 1 ? `${planCapacity.plan_name}: ${planCapacity.suggestion}` : planCapacity.suggestion,
+    };
+
+    const envResult = {
+    env_id: env.id,
+    env_name: env.env_name,
+    plan_name: slices.length === 1
+    ? slices[0].plan_name
+    : slices.map(s => `${s.plan_name} (${(s.share * 100).toFixed(0)}%)`).join(', '),
+    // Environment-level money is in the budget currency; slices keep their plan currency
+    currency: env.budget_currency,
+    budget: env.monthly_budget,
+    budget_currency: env.budget_currency,
+    
+    monthly_tokens: draft.monthly_tokens,
+    prompt_tokens: draft.prompt_tokens,
+    uncached_prompt_tokens: draft.uncached_prompt_tokens,
+    cache_read_tokens: draft.cache_read_tokens,
+    cache_write_tokens: draft.cache_write_tokens,
+    completion_tokens: draft.completion_tokens,
+    units: units,
+    licences: licences,
+    
+    raw_cost: raw_cost,
+    cache_read_cost: cache_read_cost,
+    cache_write_cost: cache_write_cost,
+    unit_cost: unit_cost,
+    cost_after_free_tier: cost_after_free_tier,
+    usage_cost: usage_cost,
+    licence_cost: licence_cost,
+    final_cost: final_cost,
+    final_cost_without_discount: final_cost_without_discount,
+    discount_savings: discount_savings,
+
+    final_cost_reporting: final_cost_reporting,
+    raw_cost_reporting: raw_cost_reporting,
+    budget_reporting: budget_reporting,
+    
+    utilization: utilization,
+    actual: actual,
+    projected_status: projectedAlert.status,
+    projected_status_color: projectedAlert.status_color,
+    projected_exceed_day: alert.projected_exceed_day,
+    status: alert.status,
+    status_color: alert.status_color,
+    status_level: alert.status_level,
+    suggestion: alert.suggestion,
+    thresholds: alert.thresholds,
+    capacity: capacity,
+    cost_breakdown: cost_breakdown,
+    slices: slices,
+    workloads: workloads,
+    };
+
+    resultsPerEnv.push(envResult);
+
+    // Add to totals
+    totals.total_tokens += draft.monthly_tokens;
+    totals.prompt_tokens += draft.prompt_tokens;
+    totals.uncached_prompt_tokens += draft.uncached_prompt_tokens;
+    totals.cache_read_tokens += draft.cache_read_tokens;
+    totals.cache_write_tokens += draft.cache_write_tokens;
+    totals.completion_tokens += draft.completion_tokens;
+    totals.unit_cost += convert(unit_cost, env.budget_currency, reportingCurrency, rates);
+    totals.licence_cost += convert(licence_cost, env.budget_currency, reportingCurrency, rates);
+    totals.raw_cost += raw_cost_reporting;
+    totals.final_cost += final_cost_reporting;
+    totals.final_cost_without_discount += convert(final_cost_without_discount, env.budget_currency, reportingCurrency, rates);
+    totals.discount_savings += convert(discount_savings, env.budget_currency, reportingCurrency, rates);
+    COST_PARTS.forEach(key => {
+    totals.cost_breakdown[key] += convert(cost_breakdown[key], env.budget_currency, reportingCurrency, rates);
+    });
+    totals.budget += budget_reporting;
+    }
+
+    // Seats held by teams rather than environments, and minimum seats that nobody holds,
+    // only count towards the totals
+    const teams = new Map();
+    perLicence.forEach(licence => {
+    if (licence.error) return;
+    licence.cost_reporting = convert(licence.cost, licence.currency, reportingCurrency, rates);
+    const toReporting = (amount) => convert(amount, licence.currency, reportingCurrency, rates);
+    licence.holders.filter(holder => holder.env_id === null).forEach(holder => {
+    const team = teams.get(holder.team) ?? { team: holder.team, licences: [], cost_reporting: 0 };
+    team.licences.push({ licence_id: licence.licence_id, name: licence.name, seats: holder.seats, cost_reporting: toReporting(holder.cost) });
+    team.cost_reporting += toReporting(holder.cost);
+    teams.set(holder.team, team);
+    });
+    const fixed = toReporting(licence.unassigned_cost);
+    totals.licence_cost += fixed;
+    totals.final_cost += fixed;
+    totals.final_cost_without_discount += fixed;
+    });
+    const resultsPerTeam = [...teams.values()];
+    resultsPerTeam.forEach(team => {
+    totals.licence_cost += team.cost_reporting;
+    totals.final_cost += team.cost_reporting;
+    totals.final_cost_without_discount += team.cost_reporting;
+    });
+    totals.cost_breakdown.licences = totals.licence_cost;
+
+    // True-ups are billed to the contract, not to an environment; they add to the commit surcharge
+    resultsPerContract.filter(contract => !contract.error).forEach(contract => {
+    totals.true_up_cost += contract.true_up_reporting;
+    totals.final_cost += contract.true_up_reporting;
+    totals.final_cost_without_discount += contract.true_up_reporting;
+    totals.cost_breakdown.overage += contract.true_up_reporting;
+    });
+
+    return { perEnv: resultsPerEnv, perPlan: resultsPerPlan, perContract: resultsPerContract, perLicence: perLicence, perTeam: resultsPerTeam, totals: totals };
+    }
+
+    /**
+    * Bills each seat licence once on all its seats (at least min_seats) and shares the cost
+    * over the environments and teams that hold them, pro rata to their seats. Minimum seats
+    * that nobody holds stay with the licence as unassigned_cost.
+    * @param {object} invalid - From findInvalidInputs; invalid licences and seat rows are left out
+    * @returns {object[]} - One entry per licence: { licence_id, name, currency, billing_term, seats,
+    *   billed_seats, seat_price (per month), cost, unassigned_cost, holders: [{ env_id, team, seats, cost }],
+    *   error }; costs in the licence currency
+    */
+    function priceLicences(state, rates, invalid) {
+    return state.licences.map(licence => {
+    const entry = {
+    licence_id: licence.id,
+    name: `${licence.vendor} - ${licence.product}`,
+    currency: licence.currency,
+    billing_term: licence.billing_term,
+    error: invalid.licences.get(licence.id) ?? (rates.has(licence.currency) ? null : `No exchange rate for ${licence.currency}.`),
+    };
+    if (entry.error) return entry;
+
+    const rows = state.seat_assignments.filter((row, index) => row.licence_id === licence.id && !invalid.seats.has(index));
+    const seats = rows.reduce((sum, row) => sum + row.seats, 0);
+    const billed_seats = Math.max(seats, licence.min_seats);
+    // Annual terms are paid per year; spread them evenly over the months
+    const seat_price = licence.billing_term === 'annual' ? licence.price_per_seat_year / 12 : licence.price_per_seat_month;
+    const cost = billed_seats * seat_price;
+    return {
+    ...entry,
+    seats: seats,
+    billed_seats: billed_seats,
+    seat_price: seat_price,
+    cost: cost,
+    unassigned_cost: seats > 0 ? 0 : cost,
+    holders: rows.map(row => ({ env_id: row.env_id, team: row.team, seats: row.seats, cost: seats > 0 ? cost * row.seats / seats : 0 })),
+    };
+    });
+    }
+
+    /**
+    * Finds the inputs that cannot be priced: environments with an invalid field, workload, route,
+    * seat row or alert policy of their own, or routed to an invalid plan; plans with an invalid
+    * field, tier, unit price or credit pack; licences with an invalid field; and seat rows with an
+    * invalid field.
+    * Ranges, tags, forecast and simulation settings are not used by calculateAll, so they are left out.
+    * @returns {object} - { envs: Map env id -> error message naming the first problem,
+    *   plans: Map plan id -> error message, licences: Map licence id -> error message,
+    *   seats: Set of seat_assignments indexes }
+    */
+    function findInvalidInputs(state) {
+    const issues = Schema.inspect(state).filter(issue => issue.at);
+    const describe = (list) => {
+    const [{ at, text }] = list;
+    const more = list.length > 1 ? ` (+${list.length - 1} more)` : '';
+    return `${at.key.replace(/_/g, ' ')} ${text.replace(/\.$/, '')}${more}.`;
+    };
+    const plans = new Map();
+    state.vendor_plans.forEach((plan, index) => {
+    const own = issues.filter(({ at }) => ['plans', 'tiers', 'unit-prices', 'credit-packs'].includes(at.table) && at.index === index);
+    if (own.length > 0) plans.set(plan.id, `Invalid input in plan ${plan.vendor} - ${plan.plan}: ${describe(own)}`);
+    });
+    const invalid = new Map();
+
+    state.environments.forEach((env, index) => {
+    const own = issues.filter(({ at }) =>
+    (['envs', 'workloads', 'unit-usage'].includes(at.table) && at.index === index) ||
+    (at.table === 'assignment' && at.envId === env.id) ||
+    (at.table === 'seats' && state.seat_assignments[at.index].env_id === env.id) ||
+    (at.table === 'policy' && at.scope === (env.alert_policy === null ? 'default' : index))
+    );
+    if (own.length > 0) {
+    invalid.set(env.id, `Invalid input: ${describe(own)}`);
+    return;
+    }
+    const planIds = new Set((state.plan_assignment[env.id] ?? []).map(route => route.plan_id));
+    const badPlan = state.vendor_plans.find(plan => planIds.has(plan.id) && plans.has(plan.id));
+    if (badPlan) invalid.set(env.id, plans.get(badPlan.id));
+    });
+
+    const licences = new Map();
+    state.licences.forEach((licence, index) => {
+    const own = issues.filter(({ at }) => at.table === 'licences' && at.index === index);
+    if (own.length > 0) licences.set(licence.id, `Invalid input in licence ${licence.vendor} - ${licence.product}: ${describe(own)}`);
+    });
+    const seats = new Set(issues.filter(({ at }) => at.table === 'seats').map(({ at }) => at.index));
+    return { envs: invalid, plans: plans, licences: licences, seats: seats };
+    }
+
+    const UNTAGGED = '(untagged)';
+
+    /**
+    * Lists the tag keys used by any environment, in order of first use.
+    * @returns {string[]}
+    */
+    function tagKeys(state) {
+    const keys = new Set();
+    state.environments.forEach(env => (env.tags ?? []).forEach(tag => {
+    if (typeof tag.key === 'string' && tag.key.trim() !== '') keys.add(tag.key.trim());
+    }));
+    return [...keys];
+    }
+
+    /**
+    * Rolls tokens, cost and budget up per value of one tag key, for chargeback. An environment
+    * tagged with several values of the key is split by their shares (normalised, so a set that
+    * Schema.inspect flags still allocates the whole cost). Environments without the key, seats
+    * nobody holds and, except when grouping by "team", seats held by teams go to "(untagged)";
+    * grouping by "team" charges team seats to the team of the same name. The groups therefore
+    * add up to the totals. Environments that cannot be priced are left out.
+    * @param {object} state - The configuration the results were calculated from
+    * @param {object} results - From calculateAll
+    * @param {string} key - The tag key to group by
+    * @returns {object[]} - [{ value, environments: [{ env_id, env_name, share }], teams: [...],
+    *   monthly_tokens, cost_reporting, budget_reporting, utilization, cost_share }], largest cost first
+    *   with "(untagged)" last; money in the reporting currency
+    */
+    function allocateByTag(state, results, key) {
+    const { totals } = results;
+    const rates = buildRateTable(state.fx);
+    const groups = new Map();
+    const groupFor = (value) => {
+    if (!groups.has(value)) {
+    groups.set(value, { value: value, environments: [], teams: [], monthly_tokens: 0, cost_reporting: 0, budget_reporting: 0 });
+    }
+    return groups.get(value);
+    };
+
+    results.perEnv.filter(res => !res.error).forEach(res => {
+    const env = state.environments.find(e => e.id === res.env_id);
+    const tags = (env?.tags ?? []).filter(tag => typeof tag.key === 'string' && tag.key.trim() === key && Number.isFinite(tag.share) && tag.share > 0);
+    const total = tags.reduce((sum, tag) => sum + tag.share, 0);
+    const shares = total > 0 ? tags.map(tag => ({ value: tag.value.trim(), share: tag.share / total })) : [{ value: UNTAGGED, share: 1 }];
+    shares.forEach(({ value, share }) => {
+    const group = groupFor(value);
+    group.environments.push({ env_id: res.env_id, env_name: res.env_name, share: share });
+    group.monthly_tokens += res.monthly_tokens * share;
+    group.cost_reporting += res.final_cost_reporting * share;
+    group.budget_reporting += res.budget_reporting * share;
+    });
+    });
+
+    (results.perTeam ?? []).forEach(team => {
+    const group = groupFor(key === 'team' ? team.team : UNTAGGED);
+    group.teams.push(team.team);
+    group.cost_reporting += team.cost_reporting;
+    });
+    const unassigned = (results.perLicence ?? [])
+    .filter(licence => !licence.error && licence.unassigned_cost > 0)
+    .reduce((sum, licence) => sum + convert(licence.unassigned_cost, licence.currency, totals.currency, rates), 0);
+    if (unassigned > 0) groupFor(UNTAGGED).cost_reporting += unassigned;
+
+    return [...groups.values()]
+    .map(group => ({
+    ...group,
+    utilization: group.budget_reporting > 0 ? group.cost_reporting / group.budget_reporting : 0,
+    cost_share: totals.final_cost > 0 ? group.cost_reporting / totals.final_cost : 0,
+    }))
+    .sort((a, b) => (a.value === UNTAGGED) - (b.value === UNTAGGED) || b.cost_reporting - a.cost_reporting);
+    }
+
+    /**
+    * Projects every environment month by month over the forecast horizon.
+    * Each month re-runs calculateAll with that month's volumes, so shared free tiers,
+    * commits and currency conversion behave exactly as in the single-month view. Contract
+    * positions (annual commit left, rolled-over commit, credit balances) carry from each
+    * month into the next.
+    * @param {object} state - The current application state.
+    * @returns {object} - { months: [...], perEnv: [...], totals: [...], contracts: [...], currency }
+    */
+    function calculateForecast(state) {
+    const { start_month, horizon_months } = state.forecast;
+    const months = [];
+    // Invalid settings give an empty forecast rather than a runaway or NaN horizon
+    const settingsValid = !Schema.inspect(state).some(issue => issue.at?.table === 'forecast');
+
+    let positions = openingPositions(state);
+    for (let m = 0; settingsValid && m < horizon_months; m++) {
+    // Forecast months are pure projections, so imported actuals are left out
+    const monthState = {
+    ...state,
+    actuals: [],
+    environments: state.environments.map(env => ({ ...env, workloads: projectWorkloads(env, m) }))
+    };
+    const results = calculateAll(monthState, { month: monthKey(start_month, m), positions: positions });
+    results.perContract.filter(contract => !contract.error).forEach(contract => {
+    positions = { ...positions, [contract.plan_id]: contract.closing };
+    });
+    months.push({ label: monthLabel(start_month, m), results: results });
+    }
+
+    const perEnv = state.environments.map(env => {
+    const policy = env.alert_policy ?? state.alert_policy;
+    // First month each level (or a more severe one) is reached, in policy order
+    const first_alert_months = policy.levels.map(level => ({ level: level.name, color: level.color, month: null }));
+    let cumulative_cost = 0;
+    let annual_budget_exceeded_month = null;
+
+    const series = months.map((month, m) => {
+    const res = month.results.perEnv.find(r => r.env_id === env.id);
+    if (res.error) {
+    return { label: month.label, error: res.error };
+    }
+    cumulative_cost += res.final_cost;
+    first_alert_months.forEach((entry, i) => {
+    if (!entry.month && res.status_level > i) entry.month = month.label;
+    });
+    if (!annual_budget_exceeded_month && cumulative_cost > env.annual_budget) annual_budget_exceeded_month = month.label;
+
+    return {
+    label: month.label,
+    requests_per_day: projectRequestsPerDay(env, m),
+    monthly_tokens: res.monthly_tokens,
+    final_cost: res.final_cost,
+    utilization: res.utilization,
+    status: res.status,
+    status_color: res.status_color,
+    cumulative_cost: cumulative_cost,
+    };
+    });
+
+    return {
+    env_id: env.id,
+    env_name: env.env_name,
+    currency: env.budget_currency,
+    annual_budget: env.annual_budget,
+    cumulative_cost: cumulative_cost,
+    annual_utilization: env.annual_budget > 0 ? cumulative_cost / env.annual_budget : 0,
+    first_alert_months: first_alert_months,
+    annual_budget_exceeded_month: annual_budget_exceeded_month,
+    series: series,
+    };
+    });
+
+    // Totals per month, in the reporting currency
+    let cumulative = 0;
+    const totals = months.map(month => {
+    cumulative += month.results.totals.final_cost;
+    return { label: month.label, final_cost: month.results.totals.final_cost, cumulative_cost: cumulative };
+    });
+
+    // Drawdown of each plan's commit and credits, in the plan currency
+    const contracts = state.vendor_plans.filter(hasContract).map(plan => {
+    const series = months.map(month => {
+    const contract = month.results.perContract.find(c => c.plan_id === plan.id);
+    if (contract.error) return { label: month.label, error: contract.error };
+    return {
+    label: month.label,
+    commit_type: contract.commit_type,
+    credits_applied: contract.credits_applied,
+    credits_expired: contract.credits_expired,
+    credits_remaining: contract.credits_remaining,
+    commit_available: contract.commit_available,
+    commit_drawn: contract.commit_drawn,
+    commit_unused: contract.commit_unused,
+    overage_cost: contract.overage_cost,
+    true_up: contract.true_up,
+    };
+    });
+    const sum = (key) => series.reduce((total, point) => total + (point.error ? 0 : point[key]), 0);
+    return {
+    plan_id: plan.id,
+    plan_name: `${plan.vendor} - ${plan.plan}`,
+    currency: plan.currency,
+    credits_applied: sum('credits_applied'),
+    credits_expired: sum('credits_expired'),
+    overage_cost: sum('overage_cost'),
+    true_up: sum('true_up'),
+    series: series,
+    };
+    });
+
+    return {
+    months: months.map(month => month.label),
+    perEnv: perEnv,
+    totals: totals,
+    contracts: contracts,
+    currency: state.fx.reporting_currency,
+    };
+    }
+
+    /**
+    * Runs calculateAll for several scenarios and compares each with the first (the baseline).
+    * Environments are matched by id, so clones line up even after renaming.
+    * @param {object[]} scenarios - [{ id, name, config }]; the first is the baseline
+    * @returns {object} - { scenarios: [...], rows: [...], changes: { [scenarioId]: string[] } }
+    */
+    function compareScenarios(scenarios) {
+    const evaluated = scenarios.map(s => ({ id: s.id, name: s.name, config: s.config, results: calculateAll(s.config) }));
+    const [baseline] = evaluated;
+
+    // Union of environments, in order of first appearance
+    const envIds = [];
+    const envNames = new Map();
+    evaluated.forEach(s => s.config.environments.forEach(env => {
+    if (!envNames.has(env.id)) envIds.push(env.id);
+    envNames.set(env.id, envNames.get(env.id) ?? env.env_name);
+    }));
+
+    const rows = envIds.map(envId => {
+    const base = baseline.results.perEnv.find(r => r.env_id === envId);
+    const cells = evaluated.map(s => {
+    const res = s.results.perEnv.find(r => r.env_id === envId);
+    if (!res) return { missing: true };
+    if (res.error) return { error: res.error };
+
+    const cell = { final_cost: res.final_cost, currency: res.currency, utilization: res.utilization, status: res.status, status_color: res.status_color };
+    if (s !== baseline && base && !base.error) {
+    cell.cost_delta = base.currency === res.currency ? res.final_cost - base.final_cost : null;
+    cell.utilization_delta = res.utilization - base.utilization;
+    cell.status_changed = res.status !== base.status;
+    cell.baseline_status = base.status;
+    }
+    return cell;
+    });
+    return { env_id: envId, env_name: envNames.get(envId), cells };
+    });
+
+    const totals = evaluated.map(s => ({
+    final_cost: s.results.totals.final_cost,
+    currency: s.results.totals.currency,
+    cost_delta: s !== baseline && s.results.totals.currency === baseline.results.totals.currency
+    ? s.results.totals.final_cost - baseline.results.totals.final_cost
+    : null,
+    }));
+
+    const changes = {};
+    evaluated.slice(1).forEach(s => {
+    changes[s.id] = diffConfigs(baseline.config, s.config);
+    });
+
+    return {
+    scenarios: evaluated.map(s => ({ id: s.id, name: s.name })),
+    rows: rows,
+    totals: totals,
+    changes: changes,
+    };
+    }
+
+    /**
+    * Describes the input differences between two configs in plain language.
+    * @param {object} before - Baseline config
+    * @param {object} after - Compared config
+    * @returns {string[]} - e.g. ['Staging / Chat: requests_per_day 50 → 80']
+    */
+    function diffConfigs(before, after) {
+    const changes = [];
+    const show = (value) => typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const planLabel = (plans, id) => {
+    const plan = plans.find(p => p.id === id);
+    return plan ? `${plan.vendor} - ${plan.plan}` : '(none)';
+    };
+    const diffFields = (label, a, b) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.forEach(key => {
+    if (key === 'id') return;
+    if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+    changes.push(`${label}: ${key} ${show(a[key])} → ${show(b[key])}`);
+    }
+    });
+    };
+    const diffList = (kind, listA, listB, nameOf) => {
+    const mapA = new Map(listA.map(item => [item.id, item]));
+    const mapB = new Map(listB.map(item => [item.id, item]));
+    listB.forEach(item => {
+    if (!mapA.has(item.id)) changes.push(`Added ${kind} ${nameOf(item)}`);
+    else diffFields(nameOf(mapA.get(item.id)), mapA.get(item.id), item);
+    });
+    listA.forEach(item => {
+    if (!mapB.has(item.id)) changes.push(`Removed ${kind} ${nameOf(item)}`);
+    });
+    };
+
+    diffList('plan', before.vendor_plans, after.vendor_plans, p => `${p.vendor} - ${p.plan}`);
+    // Workloads are compared one by one below rather than as one changed list
+    const withoutWorkloads = (envs) => envs.map(env => ({ ...env, workloads: undefined }));
+    diffList('environment', withoutWorkloads(before.environments), withoutWorkloads(after.environments), env => env.env_name);
+    after.environments.forEach(env => {
+    const previous = before.environments.find(e => e.id === env.id);
+    if (previous) diffList('workload', previous.workloads, env.workloads, w => `${env.env_name} / ${w.name}`);
+    });
+
+    // Routing, described with plan names rather than ids
+    const describeRoutes = (config, envId) => (config.plan_assignment[envId] ?? [])
+    .map(r => `${planLabel(config.vendor_plans, r.plan_id)} ×${r.weight}`)
+    .join(', ') || '(none)';
+    after.environments.forEach(env => {
+    if (!before.environments.some(e => e.id === env.id)) return;
+    const routesBefore = describeRoutes(before, env.id);
+    const routesAfter = describeRoutes(after, env.id);
+    if (routesBefore !== routesAfter) {
+    changes.push(`${env.env_name}: routing ${routesBefore} → ${routesAfter}`);
+    }
+    });
+
+    // Seats, described by licence and holder since the rows have no ids
+    diffList('licence', before.licences, after.licences, l => `${l.vendor} - ${l.product}`);
+    const describeSeats = (config) => config.seat_assignments.map(row => {
+    const licence = config.licences.find(l => l.id === row.licence_id);
+    const holder = row.env_id === null ? `team ${row.team}` : (config.environments.find(e => e.id === row.env_id)?.env_name ?? row.env_id);
+    return `${licence ? licence.product : row.licence_id} ×${row.seats} (${holder})`;
+    }).join(', ') || '(none)';
+    if (describeSeats(before) !== describeSeats(after)) {
+    changes.push(`Seats: ${describeSeats(before)} → ${describeSeats(after)}`);
+    }
+
+    diffFields('Currencies', { ...before.fx, rates: undefined }, { ...after.fx, rates: undefined });
+    const rateMap = (config) => Object.fromEntries(config.fx.rates.map(r => [r.currency, r.rate_to_base]));
+    diffFields('Exchange rates', rateMap(before), rateMap(after));
+    diffFields('Forecast', before.forecast, after.forecast);
+    diffFields('Default alert policy', before.alert_policy, after.alert_policy);
+
+    return changes;
+    }
+
+    /**
+    * Summarises one environment's actual usage for a month. The run-rate scales the
+    * month-to-date cost from the days with data up to the environment's days per month.
+    * Actuals only carry token usage, so the fixed seat cost is added to the run-rate as is.
+    * @param {object[]} rows - The environment's actuals rows in that month
+    * @param {function} estimateCost - Prices a row that came without a cost
+    * @param {number} fixed_cost - Monthly seat licence cost held by the environment
+    * @returns {object|null} - null when there is no usage for the month
+    */
+    function summarizeActuals(rows, month, env, projected_cost, estimateCost, fixed_cost = 0) {
+    if (rows.length === 0) return null;
+
+    const days_with_data = new Set(rows.map(row => row.date)).size;
+    const prompt_tokens = rows.reduce((sum, row) => sum + row.prompt_tokens, 0);
+    const completion_tokens = rows.reduce((sum, row) => sum + row.completion_tokens, 0);
+    const estimated_rows = rows.filter(row => row.cost === null).length;
+    const mtd_cost = rows.reduce((sum, row) => sum + (row.cost ?? estimateCost(row)), 0);
+    const run_rate_cost = (days_with_data >= env.days_per_month ? mtd_cost : mtd_cost / days_with_data * env.days_per_month) + fixed_cost;
+    const variance = run_rate_cost - projected_cost;
+
+    return {
+    month: month,
+    days_with_data: days_with_data,
+    prompt_tokens: prompt_tokens,
+    completion_tokens: completion_tokens,
+    estimated_rows: estimated_rows,
+    mtd_cost: mtd_cost,
+    run_rate_cost: run_rate_cost,
+    run_rate_utilization: env.monthly_budget > 0 ? run_rate_cost / env.monthly_budget : 0,
+    variance: variance,
+    variance_pct: projected_cost > 0 ? variance / projected_cost : null,
+    };
+    }
+
+    /**
+    * Evaluates an alert policy for one environment's monthly cost (in its budget currency).
+    * Levels escalate in list order; the last one whose rule is met sets the status.
+    * - percent: cost reaches threshold × monthly budget
+    * - amount: cost reaches threshold
+    * - exceed_by_day: spending evenly over the month, the budget runs out on or before day threshold
+    * @returns {object} - { status, status_color, status_level, projected_exceed_day, suggestion,
+    *   thresholds: [{ name, color, cost }] } where cost is where each level starts (levels that
+    *   cannot trigger without a budget are left out)
+    */
+    function evaluatePolicy(policy, final_cost, env) {
+    const budget = env.monthly_budget;
+    const utilization = budget > 0 ? final_cost / budget : 0;
+    const projected_exceed_day = budget > 0 && final_cost > budget
+    ? Math.max(1, Math.ceil(env.days_per_month * budget / final_cost))
+    : null;
+
+    // The cost at which each level starts to trigger
+    const triggerCost = (level) => {
+    if (level.metric === 'amount') return level.threshold;
+    if (budget <= 0) return Infinity;
+    if (level.metric === 'percent') return budget * level.threshold;
+    return Math.max(budget, env.days_per_month * budget / Math.max(level.threshold, 1));
+    };
+    const isTriggered = (level) => {
+    if (level.metric === 'amount') return final_cost >= level.threshold;
+    if (level.metric === 'percent') return budget > 0 && utilization >= level.threshold;
+    return projected_exceed_day !== null && projected_exceed_day <= level.threshold;
+    };
+
+    let status_level = 0;
+    policy.levels.forEach((level, i) => {
+    if (isTriggered(level)) status_level = i + 1;
+    });
+    const current = status_level > 0 ? policy.levels[status_level - 1] : policy.ok;
+
+    let suggestion = "";
+    if (status_level > 0) {
+    const shortfall = final_cost - budget;
+    if (shortfall > 0) {
+    suggestion = `Budget shortfall of ${env.budget_currency} ${shortfall.toFixed(2)}`;
+    suggestion += projected_exceed_day !== null ? ` (runs out on day ${projected_exceed_day}). ` : '. ';
+    }
+    // Aim for just under the lowest trigger of any level
+    const target_cost = Math.min(...policy.levels.map(triggerCost));
+    const percent_to_reduce = final_cost > 0 && Number.isFinite(target_cost) ? (final_cost - target_cost) / final_cost : 0;
+
+    if (percent_to_reduce > 0) {
+    suggestion += `To return to ${policy.ok.name} (below ${env.budget_currency} ${target_cost.toFixed(2)}), reduce token usage by ~${(percent_to_reduce * 100).toFixed(0)}% or raise budget.`;
+    }
+    }
+
+    return {
+    status: current.name,
+    status_color: current.color,
+    status_level: status_level,
+    projected_exceed_day: projected_exceed_day,
+    suggestion: suggestion.trim(),
+    thresholds: policy.levels
+    .map(level => ({ name: level.name, color: level.color, cost: triggerCost(level) }))
+    .filter(threshold => Number.isFinite(threshold.cost)),
+    };
+    }
+
+    /**
+    * Requests per day of the whole environment for forecast month m (0-based). Explicit
+    * volumes win; after the list runs out, growth compounds from the last explicit value.
+    */
+    function projectRequestsPerDay(env, m) {
+    const explicit = env.forecast_requests_per_day ?? [];
+    if (m < explicit.length) return explicit[m];
+
+    const baseMonth = explicit.length > 0 ? explicit.length - 1 : 0;
+    const base = explicit.length > 0 ? explicit[explicit.length - 1] : totalRequestsPerDay(env);
+    return base * Math.pow(1 + (env.growth_rate ?? 0), m - baseMonth);
+    }
+
+    function totalRequestsPerDay(env) {
+    return env.workloads.reduce((sum, workload) => sum + workload.requests_per_day, 0);
+    }
+
+    /**
+    * The environment's workloads with their requests per day projected to forecast month m.
+    * Each workload keeps its share of the traffic (an even split while there is none).
+    * Non-token usage grows with the traffic, or with the growth rate while there is none.
+    */
+    function projectWorkloads(env, m) {
+    const current = totalRequestsPerDay(env);
+    const projected = projectRequestsPerDay(env, m);
+    const growth = current > 0 ? projected / current : Math.pow(1 + (env.growth_rate ?? 0), m);
+    return env.workloads.map(workload => ({
+    ...workload,
+    requests_per_day: current > 0 ? workload.requests_per_day * projected / current : projected / env.workloads.length,
+    unit_usage: workload.unit_usage.map(usage => ({ ...usage, quantity_per_day: usage.quantity_per_day * growth })),
+    }));
+    }
+
+    /**
+    * Counts months from year 0, so two YYYY-MM months can be subtracted.
+    */
+    function monthIndex(month) {
+    if (typeof month !== 'string') return NaN;
+    const [year, number] = month.split('-').map(Number);
+    return year * 12 + number - 1;
+    }
+
+    /**
+    * The YYYY-MM month m months after startMonth.
+    */
+    function monthKey(startMonth, m) {
+    const index = monthIndex(startMonth) + m;
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+    }
+
+    /**
+    * Formats the m-th month after a "YYYY-MM" start, e.g. "Jan 2027".
+    */
+    function monthLabel(startMonth, m) {
+    const [year, month] = startMonth.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + m, 1));
+    return date.toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    /**
+    * Turns an environment's routing list into usable slices with normalised shares.
+    * Routes without an existing plan or with no weight are ignored.
+    * @param {object[]} routes - [{ plan_id, weight }]
+    * @param {Map<string, object>} plansMap - Plans by id
+    * @returns {object[]} - [{ plan, share }] where the shares sum to 1
+    */
+    function resolveRoutes(routes = [], plansMap) {
+    const valid = routes
+    .filter(r => plansMap.has(r.plan_id) && r.weight > 0)
+    .map(r => ({ plan: plansMap.get(r.plan_id), weight: r.weight }));
+    const totalWeight = valid.reduce((sum, r) => sum + r.weight, 0);
+    return valid.map(r => ({ plan: r.plan, share: r.weight / totalWeight }));
+    }
+
+    /**
+    * Builds a lookup of currency -> value of 1 unit in the base currency.
+    * @param {object} fx - { base_currency, rates: [{ currency, rate_to_base }] }
+    * @returns {Map<string, number>}
+    */
+    function buildRateTable(fx) {
+    const rates = new Map([[fx.base_currency, 1]]);
+    fx.rates.forEach(r => {
+    if (r.rate_to_base > 0) rates.set(r.currency, r.rate_to_base);
+    });
+    return rates;
+    }
+
+    /**
+    * Converts an amount between two currencies present in the rate table.
+    */
+    function convert(amount, from, to, rates) {
+    if (from === to) return amount;
+    return amount * rates.get(from) / rates.get(to);
+    }
+
+    /**
+    * Share of an environment's daily traffic sent in each hour of the day. Without an hourly
+    * profile the busiest hour is peak_factor times the average one, and every hour is assumed
+    * to be that busy, so environments sharing a plan are taken to peak at the same time.
+    * @returns {number[]} - 24 shares
+    */
+    function hourlyShares(env) {
+    const profile = env.hourly_profile ?? [];
+    const total = profile.reduce((sum, weight) => sum + weight, 0);
+    if (profile.length === 24 && total > 0) return profile.map(weight => weight / total);
+    return new Array(24).fill((env.peak_factor ?? 1) / 24);
+    }
+
+    // Whole numbers, or two significant digits for low rates
+    function formatCount(value) {
+    return (value < 10 ? +value.toPrecision(2) : Math.round(value)).toLocaleString('en-US', { maximumFractionDigits: 4 });
+    }
+
+    /**
+    * Checks a plan's peak traffic against its rate limits. The busiest minute is taken from the
+    * busiest hour of the combined traffic of every environment using the plan; limits apply per
+    * API key, so the capacity is the limit times api_keys.
+    * @param {object} usage - The plan's usage from calculateAll: requests_per_minute and
+    *   tokens_per_minute by hour, and daily_tokens
+    * @returns {object} - { plan_id, plan_name, api_keys, peak_rpm, peak_tpm, daily_tokens,
+    *   quotas: [{ metric, label, peak, limit, capacity, utilization }], utilization (of the
+    *   tightest quota, null without any), binding (its metric), status, status_color,
+    *   status_level, keys_needed, suggestion }
+    */
+    function assessCapacity(plan, usage) {
+    const keys = plan.api_keys;
+    const quotas = [
+    { metric: 'rpm', label: 'RPM', peak: Math.max(...usage.requests_per_minute), limit: plan.rpm_limit },
+    { metric: 'tpm', label: 'TPM', peak: Math.max(...usage.tokens_per_minute), limit: plan.tpm_limit },
+    { metric: 'daily_tokens', label: 'tokens / day', peak: usage.daily_tokens, limit: plan.daily_token_limit },
+    ].filter(quota => quota.limit !== null).map(quota => ({
+    ...quota,
+    capacity: quota.limit * keys,
+    utilization: quota.peak / (quota.limit * keys),
+    }));
+    const binding = quotas.reduce((tightest, quota) => tightest === null || quota.utilization > tightest.utilization ? quota : tightest, null);
+
+    let level = CAPACITY_LEVELS.none;
+    if (binding) {
+    if (binding.utilization > 1) level = CAPACITY_LEVELS.over;
+    else if (binding.utilization >= CAPACITY_HEADROOM) level = CAPACITY_LEVELS.near;
+    else level = CAPACITY_LEVELS.ok;
+    }
+    // The fewest keys that keep every quota below the headroom
+    const keys_needed = Math.max(keys, ...quotas.map(quota => Math.floor(quota.peak / (quota.limit * CAPACITY_HEADROOM)) + 1));
+
+    let suggestion = '';
+    if (level.status_level > 0) {
+    const tierLimits = quotas
+    .filter(quota => quota.utilization >= CAPACITY_HEADROOM)
+    .map(quota => `${formatCount(Math.ceil(quota.peak / (keys * CAPACITY_HEADROOM)))} ${quota.label}`);
+    suggestion = `Peak ${binding.label} is ${formatCount(binding.peak)} of ${formatCount(binding.capacity)} (${(binding.utilization * 100).toFixed(0)}%). ` +
+    `Spread the traffic over ${keys_needed} API keys, or move to a tier with at least ${tierLimits.join(' and ')} per key.`;
+    }
+
+    return {
+    plan_id: plan.id,
+    plan_name: `${plan.vendor} - ${plan.plan}`,
+    api_keys: keys,
+    peak_rpm: Math.max(...usage.requests_per_minute),
+    peak_tpm: Math.max(...usage.tokens_per_minute),
+    daily_tokens: usage.daily_tokens,
+    quotas: quotas,
+    utilization: binding ? binding.utilization : null,
+    binding: binding ? binding.metric : null,
+    ...level,
+    keys_needed: keys_needed,
+    suggestion: suggestion,
+    };
+    }
+
+    /**
+    * Whether a plan has contract terms worth tracking from month to month.
+    */
+    function hasContract(plan) {
+    return plan.annual_commit > 0 || plan.monthly_commit_credit > 0 || plan.credit_packs.length > 0;
+    }
+
+    /**
+    * Each plan's contract position at the start of the first projected month: the annual commit
+    * not yet drawn, no rolled-over commit, and the balance of every credit pack.
+    * @returns {object} - { [plan id]: { start_month, annual_remaining, rollover, credits: [{ amount, expires_month }] } }
+    */
+    function openingPositions(state) {
+    return Object.fromEntries(state.vendor_plans.map(plan => [plan.id, {
+    start_month: plan.commit_start_month ?? state.forecast.start_month,
+    annual_remaining: Math.max(0, plan.annual_commit - plan.annual_commit_drawn),
+    rollover: 0,
+    credits: plan.credit_packs.map(pack => ({ amount: pack.amount, expires_month: pack.expires_month })),
+    }]));
+    }
+
+    /**
+    * Applies a plan's contract terms to one month's cost (after free tier and discounts).
+    * Prepaid credit packs pay first, the pack expiring soonest first. The rest draws down the
+    * commit: the annual commit still left, or the monthly commit plus any commit rolled over
+    * from last month. Spend beyond the commit is billed at overage_multiplier; without a commit
+    * it is billed as is. Up to commit_rollover_cap of an unused monthly commit carries into the
+    * next month. In the last month of each contract year, true_up_share of the annual commit
+    * left is billed as a true-up and the commit renews. Credits still left in their expiry
+    * month are lost.
+    * @param {number} cost - In the plan currency
+    * @param {object} position - The plan's position at the start of the month (see openingPositions)
+    * @param {string} month - YYYY-MM
+    * @returns {object} - { final_cost, commit_type ('annual', 'monthly' or null), contract_month
+    *   (1-12, annual commits only), credits_applied, credits_expired, commit_available, commit_drawn,
+    *   commit_unused, overage_cost, true_up, closing (the position for the next month) }
+    */
+    function applyContract(cost, plan, position, month) {
+    const credits = position.credits
+    .filter(credit => credit.expires_month >= month && credit.amount > 0)
+    .sort((a, b) => a.expires_month.localeCompare(b.expires_month))
+    .map(credit => ({ ...credit }));
+    let credits_applied = 0;
+    credits.forEach(credit => {
+    const used = Math.min(credit.amount, cost - credits_applied);
+    credit.amount -= used;
+    credits_applied += used;
+    });
+    const billable = cost - credits_applied;
+
+    // The annual commit applies from its start month; before that, spend is billed as is
+    const elapsed = monthIndex(month) - monthIndex(position.start_month);
+    const annual = plan.annual_commit > 0 && elapsed >= 0;
+    const monthly = !annual && plan.monthly_commit_credit > 0;
+    const commit_available = annual ? position.annual_remaining : monthly ? plan.monthly_commit_credit + position.rollover : 0;
+    const commit_drawn = Math.min(billable, commit_available);
+    const commit_unused = commit_available - commit_drawn;
+    const overage_cost = annual || monthly ? (billable - commit_drawn) * (plan.overage_multiplier || 1.0) : 0;
+    const year_end = annual && elapsed % 12 === 11;
+
+    return {
+    final_cost: annual || monthly ? commit_drawn + overage_cost : billable,
+    commit_type: annual ? 'annual' : monthly ? 'monthly' : null,
+    contract_month: annual ? elapsed % 12 + 1 : null,
+    credits_applied: credits_applied,
+    credits_expired: credits.filter(credit => credit.expires_month === month).reduce((sum, credit) => sum + credit.amount, 0),
+    commit_available: commit_available,
+    commit_drawn: commit_drawn,
+    commit_unused: commit_unused,
+    overage_cost: overage_cost,
+    true_up: year_end ? commit_unused * plan.true_up_share : 0,
+    closing: {
+    start_month: position.start_month,
+    annual_remaining: !annual ? position.annual_remaining : year_end ? plan.annual_commit : commit_unused,
+    rollover: monthly ? Math.min(plan.commit_rollover_cap, commit_unused) : 0,
+    credits: credits.filter(credit => credit.expires_month > month && credit.amount > 0),
+    },
+    };
+    }
+
+    /**
+    * Runs a contract forward at a steady monthly cost, up to the end of the current contract
+    * year (or for 12 months without an annual commit), to show what would go unused.
+    * @returns {object} - { through_month, shortfall (annual commit left at the year end), true_up, credits_lost }
+    */
+    function projectContract(cost, plan, position, month) {
+    const projection = { through_month: month, shortfall: 0, true_up: 0, credits_lost: 0 };
+    let current = position;
+    for (let m = 0; m < 12; m++) {
+    const key = monthKey(month, m);
+    const step = applyContract(cost, plan, current, key);
+    projection.through_month = key;
+    projection.credits_lost += step.credits_expired;
+    if (step.contract_month === 12) {
+    projection.shortfall = step.commit_unused;
+    projection.true_up = step.true_up;
+    break;
+    }
+    current = step.closing;
+    }
+    return projection;
+    }
+
+    /**
+    * Internal helper to calculate cost considering price tiers, prompt caching,
+    * long-context surcharges, free tiers, commits, and overages.
+    * Price tiers and free tokens apply to uncached prompt and completion tokens; cache
+    * reads and writes are billed at the plan's flat cache rates. Non-token units arrive
+    * priced at the plan's unit prices and count only towards the commit. Batch and
+    * off-peak discounts come off the token and cache cost of the eligible traffic.
+    * Contract terms (credit packs, commits) then apply to the month's cost; see applyContract.
+    * @param {object} usage - { uncached_prompt_tokens, completion_tokens, cache_read_tokens,
+    *   cache_write_tokens, long_context_tokens, units, discount_basis, discount_weight } for
+    *   the month (not in 1k); discount_weight / discount_basis is the average discount rate
+    * @param {object} plan - The vendor plan object
+    * @param {object} position - The plan's contract position at the start of the month (see openingPositions)
+    * @param {string} month - YYYY-MM
+    * @returns {object} - { raw_cost, raw_token_cost, token_cost, cache_read_cost, cache_write_cost,
+    *   unit_cost, units, discount, cost_after_free_tier, final_cost, final_cost_without_discount,
+    *   long_context_surcharge, tier_breakdown, contract }
+    */
+    function calculateCost(usage, plan, position, month) {
+    const { uncached_prompt_tokens, completion_tokens, cache_read_tokens, cache_write_tokens } = usage;
+    const total_tokens = uncached_prompt_tokens + completion_tokens + cache_read_tokens + cache_write_tokens;
+
+    // --- Step 6.1: Apply free_tier_tokens ---
+    // The free tokens are the first tokens of the month, so with graduated tiers they
+    // come out of the first (usually most expensive) tier.
+    const free_tier = plan.free_tier_tokens || 0;
+    const listPrice = priceTokens(uncached_prompt_tokens, completion_tokens, plan, 0);
+    const billablePrice = priceTokens(uncached_prompt_tokens, completion_tokens, plan, free_tier);
+
+    // Long-context requests are billed at a multiple of the normal rate
+    const long_context_share = total_tokens > 0 ? Math.min(1, usage.long_context_tokens / total_tokens) : 0;
+    const surcharge_factor = 1 + long_context_share * ((plan.long_context_multiplier ?? 1) - 1);
+
+    const cache_read_cost = cache_read_tokens / 1000 * (plan.price_cache_read_per_1k ?? 0) * surcharge_factor;
+    const cache_write_cost = cache_write_tokens / 1000 * (plan.price_cache_write_per_1k ?? 0) * surcharge_factor;
+    const token_cost = billablePrice.cost * surcharge_factor;
+
+    // Raw cost is calculated *without* the free tier
+    const raw_token_cost = listPrice.cost * surcharge_factor;
+    const long_context_surcharge = (token_cost + cache_read_cost + cache_write_cost) * (surcharge_factor - 1) / surcharge_factor;
+
+    // Embeddings, images, audio and call fees are outside the free tokens and the surcharge
+    const units = usage.units ?? [];
+    const unit_cost = units.reduce((sum, u) => sum + u.cost, 0);
+    const raw_cost = raw_token_cost + cache_read_cost + cache_write_cost + unit_cost;
+
+    // Batch and off-peak traffic at the plan's discount
+    const discount_rate = usage.discount_basis > 0 ? usage.discount_weight / usage.discount_basis : 0;
+    const discount = (token_cost + cache_read_cost + cache_write_cost) * discount_rate;
+    const cost_after_free_tier = token_cost + cache_read_cost + cache_write_cost + unit_cost - discount;
+
+    // --- Step 6.2: Apply credit packs, commits and overage ---
+    const contract = applyContract(cost_after_free_tier, plan, position, month);
+
+    return {
+    raw_cost: raw_cost,
+    raw_token_cost: raw_token_cost,
+    token_cost: token_cost,
+    cache_read_cost: cache_read_cost,
+    cache_write_cost: cache_write_cost,
+    unit_cost: unit_cost,
+    units: units,
+    discount: discount,
+    cost_after_free_tier: cost_after_free_tier,
+    final_cost: contract.final_cost,
+    final_cost_without_discount: applyContract(cost_after_free_tier + discount, plan, position, month).final_cost,
+    long_context_surcharge: long_context_surcharge,
+    tier_breakdown: billablePrice.breakdown,
+    contract: contract
+    };
+    }
+
+    /**
+    * The plan's price entry for a unit of usage, or undefined when the plan does not bill it.
+    */
+    function findUnitPrice(plan, usage) {
+    const key = Schema.unitKey(usage);
+    return (plan.unit_prices ?? []).find(price => Schema.unitKey(price) === key);
+    }
+
+    /**
+    * Names a quantity of a unit for messages and tables, e.g. "1024x1024 images".
+    */
+    function unitName(entry) {
+    const { noun } = Schema.BILLING_UNITS[entry.unit];
+    return entry.unit === 'image' ? `${entry.size.trim()} ${noun}` : noun;
+    }
+
+    /**
+    * Adds up unit usage lines of the same unit (and image size).
+    */
+    function mergeUnits(units) {
+    const merged = new Map();
+    units.forEach(u => {
+    const line = merged.get(u.key);
+    merged.set(u.key, line ? { ...line, quantity: line.quantity + u.quantity, cost: line.cost + u.cost } : { ...u });
+    });
+    return [...merged.values()];
+    }
+
+    /**
+    * Share of requests that actually find the prefix in the cache. With a cache TTL, a
+    * hit also needs another request to arrive before the entry expires (Poisson arrivals).
+    * @param {number} hit_rate - Assumed hit rate when the cache is warm (0..1)
+    * @param {number} requests_per_day - Traffic sent to this plan
+    * @param {number} ttl_minutes - Cache lifetime; 0 means no expiry assumption
+    */
+    function effectiveHitRate(hit_rate, requests_per_day, ttl_minutes) {
+    if (!(ttl_minutes > 0)) return hit_rate;
+    const requests_per_minute = requests_per_day / (24 * 60);
+    const warm_probability = 1 - Math.exp(-requests_per_minute * ttl_minutes);
+    return Math.min(hit_rate, warm_probability);
+    }
+
+    /**
+    * Prices a month of tokens against the plan's flat rate or price tiers, skipping the
+    * first `free_tokens`. Prompt and completion tokens share each tier pro rata.
+    * - graduated: each tier's rate applies to the tokens that fall inside it
+    * - all_units: the tier reached by the month's total volume prices every token
+    * @returns {object} - { cost, breakdown: [{ tier, from_tokens, to_tokens, tokens, price_prompt_per_1k, price_completion_per_1k, cost }] }
+    */
+    function priceTokens(prompt_tokens, completion_tokens, plan, free_tokens) {
+    const total_tokens = prompt_tokens + completion_tokens;
+    const billable_tokens = Math.max(0, total_tokens - free_tokens);
+    if (billable_tokens === 0) {
+    return { cost: 0, breakdown: [] };
+    }
+    const prompt_ratio = prompt_tokens / total_tokens;
+    const bandCost = (tokens, tier) => tokens / 1000 *
+    (prompt_ratio * tier.price_prompt_per_1k + (1 - prompt_ratio) * tier.price_completion_per_1k);
+    const bandEntry = (index, from, to, tier) => ({
+    tier: index + 1,
+    from_tokens: from,
+    to_tokens: to,
+    tokens: to - from,
+    price_prompt_per_1k: tier.price_prompt_per_1k,
+    price_completion_per_1k: tier.price_completion_per_1k,
+    cost: bandCost(to - from, tier),
+    });
+
+    const tiers = plan.price_tiers ?? [];
+    const mode = tiers.length > 0 ? plan.tier_mode : 'flat';
+
+    if (mode === 'all_units') {
+    // The tier is chosen by the total volume; free tokens are simply not charged
+    const index = tiers.findIndex(t => t.up_to_tokens === null || total_tokens <= t.up_to_tokens);
+    const tierIndex = index === -1 ? tiers.length - 1 : index;
+    const entry = bandEntry(tierIndex, free_tokens, total_tokens, tiers[tierIndex]);
+    return { cost: entry.cost, breakdown: [entry] };
+    }
+
+    if (mode === 'graduated') {
+    const breakdown = [];
+    let lower = 0;
+    tiers.forEach((tier, index) => {
+    // The last tier is open-ended even if it has a limit
+    const upper = tier.up_to_tokens === null || index === tiers.length - 1 ? Infinity : tier.up_to_tokens;
+    const from = Math.max(lower, free_tokens);
+    const to = Math.min(upper, total_tokens);
+    if (to > from) breakdown.push(bandEntry(index, from, to, tier));
+    lower = upper;
+    });
+    return { cost: breakdown.reduce((sum, b) => sum + b.cost, 0), breakdown };
+    }
+
+    const entry = bandEntry(0, Math.min(free_tokens, total_tokens), total_tokens, plan);
+    return { cost: entry.cost, breakdown: [entry] };
+    }
+
+    /**
+    * Relative list price of a slice of traffic, used to share a plan's bill between the
+    * environments that use it. Uses the flat rate, or the first tier's rates when tiered.
+    */
+    function listWeight(prompt_tokens, completion_tokens, plan, long_context) {
+    const tiers = plan.price_tiers ?? [];
+    const reference = plan.tier_mode !== 'flat' && tiers.length > 0 ? tiers[0] : plan;
+    const weight = prompt_tokens * reference.price_prompt_per_1k + completion_tokens * reference.price_completion_per_1k;
+    return long_context ? weight * (plan.long_context_multiplier ?? 1) : weight;
+    }
+
+    return { CAPACITY_HEADROOM, calculateAll, calculateForecast, compareScenarios, findInvalidInputs, tagKeys, allocateByTag };
+})();
+
+
+// --- 3. Budget Optimizer ---
+const Optimizer = (() => {
+    const SEARCH_STEPS = 40;
+    const NO_LIMIT = 1e12; // Volumes beyond this never trigger an alert
+
+    // The cache hit rate only matters for workloads with a cacheable prefix
+    function workloadsFor(env, key) {
+    return key === 'cache_hit_rate' ? env.workloads.filter(w => w.cacheable_prefix_tokens > 0) : env.workloads;
+    }
+
+    /**
+    * Environment-level value of a workload field: the total for requests_per_day, otherwise
+    * the request-weighted average (a plain average while there is no traffic).
+    */
+    function aggregate(env, key) {
+    const workloads = workloadsFor(env, key);
+    const requests = workloads.reduce((sum, w) => sum + w.requests_per_day, 0);
+    if (key === 'requests_per_day' || workloads.length === 0) return requests;
+    return requests > 0
+    ? workloads.reduce((sum, w) => sum + w[key] * w.requests_per_day, 0) / requests
+    : workloads.reduce((sum, w) => sum + w[key], 0) / workloads.length;
+    }
+
+    /**
+    * A copy of the environment with a workload field set to an environment-level value (see
+    * aggregate). Volumes scale every workload in proportion, so the mix stays the same; the
+    * cache hit rate is set on every workload with a cacheable prefix.
+    */
+    function applyLimit(env, key, value) {
+    if (key === 'cache_hit_rate') {
+    return { ...env, workloads: env.workloads.map(w => w.cacheable_prefix_tokens > 0 ? { ...w, cache_hit_rate: value } : w) };
+    }
+    const current = aggregate(env, key);
+    const spread = key === 'requests_per_day' ? env.workloads.length : 1;
+    return {
+    ...env,
+    workloads: env.workloads.map(w => ({ ...w, [key]: current > 0 ? w[key] * value / current : value / spread }))
+    };
+    }
+
+    /**
+    * A copy of the state with a limit applied to one environment
+    */
+    function withLimit(state, envId, key, value) {
+    return {
+    ...state,
+    environments: state.environments.map(env => env.id === envId ? applyLimit(env, key, value) : env)
+    };
+    }
+
+    function evaluate(state, envId) {
+    return Calculator.calculateAll(state).perEnv.find(r => r.env_id === envId);
+    }
+
+    // "Safe" means no alert level is triggered, i.e. the environment stays below its first level
+    function isSafe(res) {
+    return Boolean(res) && !res.error && res.status_level === 0;
+    }
+
+    /**
+    * Costs the environment on every plan on its own. Other environments keep their routing,
+    * so shared free tiers and commits are accounted for.
+    * @returns {object[]} - Sorted by final cost (budget currency); plans that cannot be priced come last
+    */
+    function rankPlans(state, env) {
+    const currentRoutes = state.plan_assignment[env.id] ?? [];
+    const ranked = state.vendor_plans.map(plan => {
+    const res = evaluate({ ...state, plan_assignment: { ...state.plan_assignment, [env.id]: [{ plan_id: plan.id, weight: 1 }] } }, env.id);
+    return {
+    plan_id: plan.id,
+    plan_name: `${plan.vendor} - ${plan.plan}`,
+    is_current: currentRoutes.length === 1 && currentRoutes[0].plan_id === plan.id,
+    error: res.error ?? null,
+    final_cost: res.error ? null : res.final_cost,
+    status: res.status,
+    status_color: res.status_color,
+    };
+    });
+    return ranked.sort((a, b) => (a.final_cost ?? Infinity) - (b.final_cost ?? Infinity));
+    }
+
+    /**
+    * Largest environment-level value of a volume field (requests_per_day, avg_tokens_per_request)
+    * that keeps the environment safe, found by doubling and then bisection; cost rises with volume.
+    * @returns {number|null} - Rounded down; Infinity when no volume triggers an alert, null when even 0 does
+    */
+    function maxSafeValue(state, env, key) {
+    const safeAt = (value) => isSafe(evaluate(withLimit(state, env.id, key, value), env.id));
+    if (!safeAt(0)) return null;
+
+    let low = 0;
+    let high = Math.max(aggregate(env, key), 1);
+    while (safeAt(high)) {
+    if (high >= NO_LIMIT) return Infinity;
+    low = high;
+    high *= 2;
+    }
+    for (let i = 0; i < SEARCH_STEPS && high - low > 0.5; i++) {
+    const mid = (low + high) / 2;
+    if (safeAt(mid)) low = mid;
+    else high = mid;
+    }
+    return Math.floor(low);
+    }
+
+    /**
+    * Smallest cache hit rate (to 0.01) that keeps the environment safe; cost falls as more
+    * of the prefix is read from cache instead of written.
+    * @returns {number|null} - null when even a 100% hit rate is not enough
+    */
+    function minSafeCacheHitRate(state, env) {
+    const safeAt = (value) => isSafe(evaluate(withLimit(state, env.id, 'cache_hit_rate', value), env.id));
+    if (!safeAt(1)) return null;
+    if (safeAt(0)) return 0;
+
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < SEARCH_STEPS && high - low > 0.001; i++) {
+    const mid = (low + high) / 2;
+    if (safeAt(mid)) high = mid;
+    else low = mid;
+    }
+    const rounded = Math.ceil(high * 100) / 100;
+    return safeAt(rounded) ? rounded : Math.min(1, rounded + 0.01);
+    }
+
+    /**
+    * Optimizes every environment of the state. Works on the projection only, so imported
+    * actuals do not mask the effect of changing the inputs.
+    * @param {object} state - The current application state
+    * @returns {object[]} - One entry per environment: { env_id, env_name, currency, error,
+    *   current_cost, status, status_color, plans, limits: { requests_per_day, avg_tokens_per_request, cache_hit_rate } };
+    *   limits are environment-level values (see aggregate) to be set with applyLimit
+    */
+    function optimize(state) {
+    const projection = { ...state, actuals: [] };
+    const current = Calculator.calculateAll(projection);
+
+    return state.environments.map(env => {
+    const res = current.perEnv.find(r => r.env_id === env.id);
+    const base = { env_id: env.id, env_name: env.env_name, currency: env.budget_currency };
+    if (res.error) {
+    return { ...base, error: res.error };
+    }
+
+    return {
+    ...base,
+    error: null,
+    current_cost: res.final_cost,
+    status: res.status,
+    status_color: res.status_color,
+    plans: rankPlans(projection, env),
+    limits: {
+    requests_per_day: { current: aggregate(env, 'requests_per_day'), limit: maxSafeValue(projection, env, 'requests_per_day') },
+    avg_tokens_per_request: { current: aggregate(env, 'avg_tokens_per_request'), limit: maxSafeValue(projection, env, 'avg_tokens_per_request') },
+    // The hit rate only matters when part of the prompt can be cached
+    cache_hit_rate: { current: aggregate(env, 'cache_hit_rate'), limit: workloadsFor(env, 'cache_hit_rate').length > 0 ? minSafeCacheHitRate(projection, env) : undefined },
+    },
+    };
+    });
+    }
+
+    return { optimize, applyLimit };
+})();
+
+
+// --- 4. Monte Carlo Simulation ---
+const Simulation = (() => {
+    const PERCENTILES = [0.5, 0.9, 0.99];
+
+    /**
+    * Small seeded PRNG (mulberry32) so a given seed always gives the same runs.
+    * @returns {function} - Returns numbers in [0, 1)
+    */
+    function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    }
+
+    /**
+    * Draws one value from a range around the most likely value.
+    * Triangular peaks at the likely value; uniform treats every value in the range alike.
+    */
+    function sample(range, likely, random) {
+    const { min, max } = range;
+    if (max <= min) return min;
+    const u = random();
+    if (range.distribution === 'uniform') {
+    return min + u * (max - min);
+    }
+    const cut = (likely - min) / (max - min);
+    return u < cut
+    ? min + Math.sqrt(u * (max - min) * (likely - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - likely));
+    }
+
+    // Nearest-rank percentile of an ascending list
+    function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+    }
+
+    function summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const [p50, p90, p99] = PERCENTILES.map(p => percentile(sorted, p));
+    return {
+    p50, p90, p99,
+    min: sorted[0] ?? null,
+    max: sorted[sorted.length - 1] ?? null,
+    mean: sorted.length > 0 ? sorted.reduce((a, b) => a + b, 0) / sorted.length : null,
+    };
+    }
+
+    /**
+    * Runs the projection many times with each ranged workload field sampled independently.
+    * Every run goes through calculateAll, so routing, tiers, shared free tiers and alert
+    * policies apply exactly as in the single estimate. Imported actuals are ignored.
+    * Ranges with invalid bounds are left out (the field keeps its estimate). The state is
+    * checked once; sampled values stay within their ranges and are not re-checked per run.
+    * @param {object} state - The current application state
+    * @returns {object|null} - null when no workload has a range or the settings are invalid; otherwise
+    *   { runs, seed, perEnv: [{ env_id, currency, p50, p90, p99, mean, min, max, level_probabilities }], totals: {...} }
+    */
+    function run(state) {
+    if (!state.environments.some(env => env.workloads.some(workload => Object.keys(workload.ranges).length > 0))) {
+    return null;
+    }
+    const issues = Schema.inspect(state).filter(issue => issue.at);
+    if (issues.some(({ at }) => at.table === 'simulation')) {
+    return null;
+    }
+    const invalidRanges = new Set(issues.filter(({ at }) => at.table === 'ranges').map(({ at }) => `${at.index}|${at.workloadIndex}|${at.field}`));
+
+    const invalidInputs = Calculator.findInvalidInputs(state);
+
+    const { runs, seed } = state.simulation;
+    const random = createRandom(seed);
+    const costs = new Map(state.environments.map(env => [env.id, []]));
+    const levels = new Map(state.environments.map(env => [env.id, []]));
+    const totals = [];
+
+    for (let i = 0; i < runs; i++) {
+    const runState = {
+    ...state,
+    actuals: [],
+    environments: state.environments.map((env, index) => ({
+    ...env,
+    workloads: env.workloads.map((workload, workloadIndex) => {
+    const sampled = { ...workload };
+    Object.entries(workload.ranges).forEach(([field, range]) => {
+    if (invalidRanges.has(`${index}|${workloadIndex}|${field}`)) return;
+    sampled[field] = sample(range, workload[field], random);
+    });
+    // A sampled context can be shorter than the cacheable prefix; the prefix can only be cached up to it
+    sampled.cacheable_prefix_tokens = Math.min(workload.cacheable_prefix_tokens, sampled.context_tokens);
+    return sampled;
+    })
+    }))
+    };
+    const results = Calculator.calculateAll(runState, {}, invalidInputs);
+    results.perEnv.forEach(res => {
+    if (res.error) return;
+    costs.get(res.env_id).push(res.final_cost);
+    levels.get(res.env_id).push(res.status_level);
+    });
+    totals.push(results.totals.final_cost);
+    }
+
+    const perEnv = state.environments.map(env => {
+    const policy = env.alert_policy ?? state.alert_policy;
+    const envLevels = levels.get(env.id);
+    return {
+    env_id: env.id,
+    env_name: env.env_name,
+    currency: env.budget_currency,
+    ...summarize(costs.get(env.id)),
+    // Share of runs that reach each level (or a more severe one)
+    level_probabilities: policy.levels.map((level, i) => ({
+    level: level.name,
+    color: level.color,
+    probability: envLevels.length > 0 ? envLevels.filter(l => l > i).length / envLevels.length : 0,
+    })),
+    };
+    });
+
+    return {
+    runs: runs,
+    seed: seed,
+    perEnv: perEnv,
+    totals: { currency: state.fx.reporting_currency, ...summarize(totals) },
+    };
+    }
+
+    return { run };
+})();
+
+
+// --- 5. SVG Charts ---
+const Charts = (() => {
+    const WIDTH = 760;
+    const LABEL_WIDTH = 210;
+    const PLOT_WIDTH = WIDTH - LABEL_WIDTH - 30;
+    const TITLE_HEIGHT = 36;
+    const ROW_HEIGHT = 46;
+    const BAR_HEIGHT = 18;
+    const AXIS_HEIGHT = 28;
+    const LEGEND_COLUMNS = 4;
+    const LEGEND_ROW_HEIGHT = 20;
+    const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+
+    // Charts are downloaded as standalone files, so they carry their own escaping, fonts and colours
+    const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+    const round = (n) => Math.round(n * 100) / 100;
+    // Row labels have a fixed column; the full text stays in the chart's <desc>
+    const clip = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+    /**
+    * Draws a swatch for a segment or line in the legend
+    */
+    function swatch(item, x, y, id) {
+    if (item.line) {
+    return `<line x1="${x}" y1="${y + 5}" x2="${x + 14}" y2="${y + 5}" stroke="${escapeXml(item.color)}" stroke-width="2"${item.dashed ? ' stroke-dasharray="4 3"' : ''}/>`;
+    }
+    return `<rect x="${x}" y="${y}" width="14" height="10" rx="2" fill="${escapeXml(item.color)}" opacity="${item.opacity ?? 1}"/>`
+    + (item.hatch ? `<rect x="${x}" y="${y}" width="14" height="10" rx="2" fill="url(#${id}-hatch)"/>` : '');
+    }
+
+    /**
+    * Draws horizontal bars, one row per item, each stacked from segments on a shared scale.
+    * Rows can add a lighter band (e.g. P50 to P90), markers (alert levels, P99) and a dashed
+    * reference line (the budget). Every shape has a <title> for tooltips and screen readers,
+    * and the chart's <desc> lists each row's summary.
+    * @param {object} spec - { id, title, description, formatValue, max (optional), segmentLabels
+    *   (names segments inside the bar where they fit),
+    *   rows: [{ label, note, summary, segments: [{ name, value, color, hatch }], band: { from, to, color, name },
+    *   reference: { value, name }, markers: [{ value, color, name }] }],
+    *   legend: [{ name, color, hatch, opacity, line, dashed }] }
+    * @returns {string} - A standalone SVG document; empty when there are no rows
+    */
+    function barChart(spec) {
+    const { id, rows, formatValue } = spec;
+    if (rows.length === 0) return '';
+    const legend = spec.legend ?? [];
+    const max = spec.max ?? (Math.max(...rows.flatMap(row => [
+    row.segments.reduce((sum, seg) => sum + seg.value, 0),
+    row.band?.to ?? 0,
+    row.reference?.value ?? 0,
+    ...(row.markers ?? []).map(marker => marker.value),
+    ]), 0) || 1);
+    const x = (value) => round(LABEL_WIDTH + Math.min(value, max) / max * PLOT_WIDTH);
+    const plotBottom = TITLE_HEIGHT + rows.length * ROW_HEIGHT;
+    const legendTop = plotBottom + AXIS_HEIGHT;
+    const height = legendTop + Math.ceil(legend.length / LEGEND_COLUMNS) * LEGEND_ROW_HEIGHT + 8;
+
+    // Grid lines and axis labels at quarters of the scale
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => `
+    <line x1="${x(max * f)}" y1="${TITLE_HEIGHT}" x2="${x(max * f)}" y2="${plotBottom}" stroke="#e0e0e0"/>
+    <text x="${x(max * f)}" y="${plotBottom + 16}" font-size="11" fill="#666" text-anchor="middle">${escapeXml(formatValue(max * f))}</text>`).join('');
+
+    const rowsSvg = rows.map((row, i) => {
+    const y = TITLE_HEIGHT + i * ROW_HEIGHT;
+    const barY = y + (ROW_HEIGHT - BAR_HEIGHT) / 2 + 6;
+    let offset = 0;
+    const segments = row.segments.filter(seg => seg.value > 0).map(seg => {
+    const from = offset;
+    offset += seg.value;
+    const width = round(x(offset) - x(from));
+    const box = `x="${x(from)}" y="${barY}" width="${width}" height="${BAR_HEIGHT}"`;
+    const fits = spec.segmentLabels && width > seg.name.length * 6.5 + 8;
+    return `<rect ${box} fill="${escapeXml(seg.color)}"><title>${escapeXml(`${row.label}: ${seg.name} ${formatValue(seg.value)}`)}</title></rect>`
+    + (seg.hatch ? `<rect ${box} fill="url(#${id}-hatch)" pointer-events="none"/>` : '')
+    + (fits ? `<text x="${round(x(from) + width / 2)}" y="${barY + 13}" font-size="11" fill="#fff" text-anchor="middle" pointer-events="none">${escapeXml(seg.name)}</text>` : '');
+    }).join('');
+    const band = row.band && row.band.to > row.band.from
+    ? `<rect x="${x(row.band.from)}" y="${barY}" width="${round(x(row.band.to) - x(row.band.from))}" height="${BAR_HEIGHT}" fill="${escapeXml(row.band.color)}" opacity="0.35"><title>${escapeXml(`${row.label}: ${row.band.name}`)}</title></rect>`
+    : '';
+    const reference = row.reference
+    ? `<line x1="${x(row.reference.value)}" y1="${barY - 8}" x2="${x(row.reference.value)}" y2="${barY + BAR_HEIGHT + 8}" stroke="#333" stroke-width="2" stroke-dasharray="4 3"><title>${escapeXml(`${row.label}: ${row.reference.name} ${formatValue(row.reference.value)}`)}</title></line>`
+    : '';
+    const markers = (row.markers ?? []).map(marker => `
+    <line x1="${x(marker.value)}" y1="${barY - 5}" x2="${x(marker.value)}" y2="${barY + BAR_HEIGHT + 5}" stroke="${escapeXml(marker.color)}" stroke-width="3"><title>${escapeXml(`${row.label}: ${marker.name} at ${formatValue(marker.value)}`)}</title></line>`).join('');
+
+    return `
+    <g>
+    <text x="0" y="${y + 18}" font-size="13" font-weight="600" fill="#333">${escapeXml(clip(row.label, 28))}</text>
+    <text x="0" y="${y + 34}" font-size="11" fill="#666">${escapeXml(clip(row.note ?? '', 36))}</text>
+    <rect x="${LABEL_WIDTH}" y="${barY}" width="${PLOT_WIDTH}" height="${BAR_HEIGHT}" rx="3" fill="#f4f7f6"/>
+    ${segments}${band}${markers}${reference}
+    </g>`;
+    }).join('');
+
+    const legendSvg = legend.map((item, i) => {
+    const lx = (i % LEGEND_COLUMNS) * (WIDTH / LEGEND_COLUMNS);
+    const ly = legendTop + Math.floor(i / LEGEND_COLUMNS) * LEGEND_ROW_HEIGHT;
+    return `${swatch(item, lx, ly, id)}<text x="${lx + 20}" y="${ly + 10}" font-size="11" fill="#666">${escapeXml(item.name)}</text>`;
+    }).join('');
+
+    const description = [spec.description, ...rows.map(row => `${row.label}: ${row.summary ?? row.note ?? ''}`)].join(' ');
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${height}" width="${WIDTH}" height="${height}" role="img" aria-labelledby="${id}-title ${id}-desc" font-family="${escapeXml(FONT)}">
+    <title id="${id}-title">${escapeXml(spec.title)}</title>
+    <desc id="${id}-desc">${escapeXml(description)}</desc>
+    <defs>
+    <pattern id="${id}-hatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+    <rect width="3" height="6" fill="#fff" opacity="0.45"/>
+    </pattern>
+    </defs>
+    <rect width="${WIDTH}" height="${height}" fill="#fff"/>
+    <text x="0" y="20" font-size="15" font-weight="600" fill="#333">${escapeXml(spec.title)}</text>
+    ${ticks}${rowsSvg}${legendSvg}
+    </svg>`;
+    }
+
+    const formatNum = (n, frac = 0) => n.toLocaleString(undefined, { minimumFractionDigits: frac, maximumFractionDigits: frac });
+    // Codes that Intl does not know fall back to "12.00 XYZ"
+    const formatMoney = (n, currency) => {
+    try {
+    return n.toLocaleString(undefined, { style: 'currency', currency: currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    } catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+    return `${formatNum(n, 2)} ${currency}`;
+    }
+    };
+
+    /**
+    * Draws the results charts shown on the page and embedded in the budget reports.
+    * Money is in the reporting currency so environments are comparable.
+    * @param {object} results - From Calculator.calculateAll
+    * @param {object|null} simulation - From Simulation.run; adds the P50 to P90 band and P99
+    * @returns {object} - { cost, composition, tokens, workloads }, each { title, svg } where svg
+    *   is empty when there is nothing to draw
+    */
+    function budgetCharts(results, simulation = null) {
+    const { perEnv, totals } = results;
+    const priced = perEnv.filter(res => !res.error);
+    const money = (n) => formatMoney(n, totals.currency);
+    const percent = (n) => `${(n * 100).toFixed(0)}%`;
+    // Environment amounts are in the budget currency; this is the factor into the reporting currency
+    const toReporting = (res) => {
+    if (res.budget > 0) return res.budget_reporting / res.budget;
+    return res.final_cost > 0 ? res.final_cost_reporting / res.final_cost : 1;
+    };
+    const chart = (spec) => ({ title: spec.title, svg: barChart(spec) });
+
+    // 1. Cost vs. budget, with the alert levels and the simulated range
+    const costRows = priced.map(res => {
+    const f = toReporting(res);
+    const { units, licences } = res.cost_breakdown;
+    const dist = simulation?.perEnv.find(d => d.env_id === res.env_id);
+    const range = dist && dist.p50 !== null && dist.p99 > dist.p50 ? { p50: dist.p50 * f, p90: dist.p90 * f, p99: dist.p99 * f } : null;
+    const budget = res.budget_reporting;
+    return {
+    label: res.env_name,
+    note: `${money(res.final_cost_reporting)}${budget > 0 ? ` of ${money(budget)} (${(res.utilization * 100).toFixed(1)}%)` : ''} · ${res.status}`,
+    summary: `${money(res.final_cost_reporting)} against a budget of ${money(budget)}, status ${res.status}`
+    + `${res.thresholds.length > 0 ? `; ${res.thresholds.map(t => `${t.name} from ${money(t.cost * f)}`).join(', ')}` : ''}`
+    + `${range ? `; P50 ${money(range.p50)}, P90 ${money(range.p90)}, P99 ${money(range.p99)}` : ''}.`,
+    segments: [
+    { name: 'Usage cost', value: (res.final_cost - units - licences) * f, color: res.status_color },
+    { name: 'Other units', value: units * f, color: res.status_color, hatch: true },
+    { name: 'Seat licences', value: licences * f, color: '#c7c7cc' },
+    ],
+    band: range ? { from: range.p50, to: range.p90, color: res.status_color, name: `P50 ${money(range.p50)} to P90 ${money(range.p90)}` } : null,
+    reference: budget > 0 ? { value: budget, name: 'Budget' } : null,
+    markers: [
+    ...res.thresholds.map(t => ({ value: t.cost * f, color: t.color, name: t.name })),
+    ...(range ? [{ value: range.p99, color: '#333', name: 'P99' }] : []),
+    ],
+    };
+    });
+    // Teams only hold seats and have no budget
+    results.perTeam.forEach(team => costRows.push({
+    label: `Team: ${team.team}`,
+    note: `${money(team.cost_reporting)} · seat licences only`,
+    segments: [{ name: 'Seat licences', value: team.cost_reporting, color: '#c7c7cc' }],
+    }));
+    const cost = chart({
+    id: 'cost-chart-svg',
+    title: `Cost vs. Budget (${totals.currency} / month)`,
+    description: 'Monthly cost of each environment against its budget and alert levels.',
+    formatValue: money,
+    rows: costRows,
+    legend: [
+    { name: 'Cost, in status colour', color: '#8e8e93' },
+    { name: 'Other units', color: '#8e8e93', hatch: true },
+    { name: 'Seat licences', color: '#c7c7cc' },
+    ...(simulation ? [{ name: 'P50 to P90', color: '#8e8e93', opacity: 0.35 }, { name: 'P99', color: '#333', line: true }] : []),
+    { name: 'Budget', color: '#333', line: true, dashed: true },
+    { name: 'Alert levels, in level colour', color: '#ff9500', line: true },
+    ],
+    });
+
+    // 2. Cost composition: what each environment's final cost pays for
+    const parts = [
+    { key: 'prompt', name: 'Prompt', color: '#007aff' },
+    { key: 'completion', name: 'Completion', color: '#34c759' },
+    { key: 'cache', name: 'Cache', color: '#5ac8fa' },
+    { key: 'units', name: 'Other units', color: '#af52de' },
+    { key: 'overage', name: 'Overage', color: '#ff3b30' },
+    { key: 'licences', name: 'Seat licences', color: '#c7c7cc' },
+    ];
+    const compositionRow = (label, breakdown, f, total) => ({
+    label: label,
+    note: money(total),
+    summary: `${money(total)}: ${parts.filter(p => breakdown[p.key] > 0).map(p => `${p.name.toLowerCase()} ${money(breakdown[p.key] * f)}`).join(', ') || 'nothing'}.`,
+    segments: parts.map(p => ({ name: p.name, value: breakdown[p.key] * f, color: p.color })),
+    });
+    const compositionRows = priced.map(res => compositionRow(res.env_name, res.cost_breakdown, toReporting(res), res.final_cost_reporting));
+    if (compositionRows.length > 0) compositionRows.push(compositionRow('All environments', totals.cost_breakdown, 1, totals.final_cost));
+    const composition = chart({
+    id: 'composition-chart-svg',
+    title: `Cost Composition (${totals.currency} / month)`,
+    description: 'Final cost split into prompt, completion and cache tokens, other units, commit overage and seat licences, net of discounts.',
+    formatValue: money,
+    rows: compositionRows,
+    legend: parts.map(p => ({ name: p.name, color: p.color })),
+    });
+
+    // 3. Token share per environment
+    const kinds = [
+    { key: 'uncached_prompt_tokens', name: 'Uncached prompt', color: '#007aff' },
+    { key: 'cache_read_tokens', name: 'Cache read', color: '#5ac8fa' },
+    { key: 'cache_write_tokens', name: 'Cache write', color: '#ff9500' },
+    { key: 'completion_tokens', name: 'Completion', color: '#34c759' },
+    ];
+    const shareRow = (label, tokens, total) => ({
+    label: label,
+    note: `${formatNum(total)} tokens / month`,
+    summary: `${formatNum(total)} tokens: ${kinds.map(k => `${k.name.toLowerCase()} ${percent(total > 0 ? tokens[k.key] / total : 0)}`).join(', ')}.`,
+    segments: kinds.map(k => ({ name: k.name, value: total > 0 ? tokens[k.key] / total : 0, color: k.color })),
+    });
+    const tokenRows = priced.map(res => shareRow(res.env_name, res, res.monthly_tokens));
+    if (totals.total_tokens > 0) tokenRows.push(shareRow('All environments', totals, totals.total_tokens));
+    const tokens = chart({
+    id: 'token-chart-svg',
+    title: 'Token Share (Prompt, Cache and Completion)',
+    description: 'Share of each environment\'s monthly tokens by kind.',
+    formatValue: percent,
+    max: 1,
+    rows: tokenRows,
+    legend: kinds.map(k => ({ name: k.name, color: k.color })),
+    });
+
+    // 4. Each environment's cost stacked by workload
+    const palette = ['#5856d6', '#007aff', '#5ac8fa', '#34c759', '#ff9500', '#af52de', '#8e8e93'];
+    const workloads = chart({
+    id: 'workload-chart-svg',
+    title: `Cost by Workload (${totals.currency} / month)`,
+    description: 'Monthly cost of each environment split by workload; seat licences are not part of any workload.',
+    formatValue: money,
+    segmentLabels: true,
+    rows: priced.map(res => ({
+    label: res.env_name,
+    note: money(res.final_cost_reporting),
+    summary: `${res.workloads.map(w => `${w.name} ${money(w.final_cost_reporting)}`).join(', ')}${res.licence_cost > 0 ? `, seat licences ${money(res.cost_breakdown.licences * toReporting(res))}` : ''}.`,
+    segments: [
+    ...res.workloads.map((w, i) => ({ name: w.name, value: w.final_cost_reporting, color: palette[i % palette.length] })),
+    { name: 'Seat licences', value: res.cost_breakdown.licences * toReporting(res), color: '#c7c7cc' },
+    ],
+    })),
+    legend: totals.licence_cost > 0 ? [{ name: 'Seat licences', color: '#c7c7cc' }] : [],
+    });
+
+    return { cost, composition, tokens, workloads };
+    }
+
+    return { barChart, budgetCharts };
+})();
+
+
+// --- 6. Report Builders ---
+const Report = (() => {
+
+    /**
+    * Builds the results CSV: one row per environment plus a totals row.
+    * @param {object} results - From Calculator.calculateAll
+    * @param {object|null} simulation - From Simulation.run; adds the P50/P90/P99 columns
+    * @returns {string}
+    */
+    function resultsCSV(results, simulation) {
+    const { perEnv, totals } = results;
+
+    const percentiles = (dist) => dist && dist.p50 !== null
+    ? [dist.p50.toFixed(2), dist.p90.toFixed(2), dist.p99.toFixed(2)]
+    : ['', '', ''];
+
+    const headers = [
+    "Environment", "Status", "Plan", 
+    "Final Cost", "Currency", "Budget", "Budget Currency", "Utilization %",
+    "Total Tokens", "Prompt Tokens", "Uncached Prompt Tokens", "Cache Read Tokens", "Cache Write Tokens", "Completion Tokens",
+    "Cache Read Cost", "Cache Write Cost", "Unit Cost", "Unit Usage", "Licence Cost", "Raw Cost", "Cost Without Discounts", "Discount Savings",
+    "Final Cost (Reporting)", "Budget (Reporting)", "Reporting Currency",
+    "Actual Month-to-Date", "Actual Run-Rate", "Variance vs Projection",
+    "P50 Cost", "P90 Cost", "P99 Cost",
+    "Capacity Status", "Peak RPM", "Peak TPM", "Capacity Suggestion",
+    "Suggestion"
+    ];
+    
+    let csvContent = headers.join(',') + '\r\n';
+
+    perEnv.forEach(res => {
+    if (res.error) return;
+    const row = [
+    `"${res.env_name.replace(/"/g, '""')}"`,
+    `"${res.status.replace(/"/g, '""')}"`,
+    `"${res.plan_name.replace(/"/g, '""')}"`,
+    res.final_cost.toFixed(2),
+    res.currency,
+    res.budget.toFixed(2),
+    res.budget_currency,
+    (res.utilization * 100).toFixed(2),
+    Math.round(res.monthly_tokens),
+    Math.round(res.prompt_tokens),
+    Math.round(res.uncached_prompt_tokens),
+    Math.round(res.cache_read_tokens),
+    Math.round(res.cache_write_tokens),
+    Math.round(res.completion_tokens),
+    res.cache_read_cost.toFixed(2),
+    res.cache_write_cost.toFixed(2),
+    res.unit_cost.toFixed(2),
+    `"${res.units.map(u => `${Math.round(u.quantity)} ${u.name}`).join('; ').replace(/"/g, '""')}"`,
+    res.licence_cost.toFixed(2),
+    res.raw_cost.toFixed(2),
+    res.final_cost_without_discount.toFixed(2),
+    res.discount_savings.toFixed(2),
+    res.final_cost_reporting.toFixed(2),
+    res.budget_reporting.toFixed(2),
+    totals.currency,
+    res.actual ? res.actual.mtd_cost.toFixed(2) : '',
+    res.actual ? res.actual.run_rate_cost.toFixed(2) : '',
+    res.actual ? res.actual.variance.toFixed(2) : '',
+    ...percentiles(simulation?.perEnv.find(d => d.env_id === res.env_id)),
+    res.capacity.status,
+    res.capacity.peak_rpm.toFixed(2),
+    Math.round(res.capacity.peak_tpm),
+    `"${res.capacity.suggestion.replace(/"/g, '""')}"`,
+    `"${res.suggestion.replace(/"/g, '""')}"` // Escape quotes
+    ];
+    csvContent += row.join(',') + '\r\n';
+    });
+
+    // Seats outside the environments (held by teams or unassigned minimums), in the reporting currency
+    const seatRow = (name, detail, cost) => [
+    `"${name.replace(/"/g, '""')}"`, '', `"${detail.replace(/"/g, '""')}"`,
+    cost.toFixed(2), totals.currency, '', '', '',
+    '', '', '', '', '', '',
+    '', '', '', '', cost.toFixed(2), '', cost.toFixed(2), '',
+    cost.toFixed(2), '', totals.currency,
+    '', '', '',
+    '', '', '',
+    '', '', '', '',
+    ''
+    ];
+    results.perTeam.forEach(team => {
+    csvContent += seatRow(`Team: ${team.team}`, team.licences.map(l => `${l.name} ×${l.seats}`).join('; '), team.cost_reporting).join(',') + '\r\n';
+    });
+    const unassigned = results.perLicence.filter(l => !l.error && l.unassigned_cost > 0);
+    if (unassigned.length > 0) {
+    const cost = unassigned.reduce((sum, l) => sum + l.cost_reporting, 0);
+    csvContent += seatRow('Unassigned seats', unassigned.map(l => `${l.name} ×${l.billed_seats}`).join('; '), cost).join(',') + '\r\n';
+    }
+
+    // Totals row, converted into the reporting currency
+    const totalsRow = [
+    '"Total"', '', '',
+    '', '', '', '',
+    totals.budget > 0 ? (totals.final_cost / totals.budget * 100).toFixed(2) : '',
+    Math.round(totals.total_tokens),
+    Math.round(totals.prompt_tokens),
+    Math.round(totals.uncached_prompt_tokens),
+    Math.round(totals.cache_read_tokens),
+    Math.round(totals.cache_write_tokens),
+    Math.round(totals.completion_tokens),
+    '', '', '', '', totals.licence_cost.toFixed(2), '', '', '',
+    totals.final_cost.toFixed(2),
+    totals.budget.toFixed(2),
+    totals.currency,
+    '', '', '',
+    ...percentiles(simulation?.totals),
+    ''
+    ];
+    csvContent += totalsRow.join(',') + '\r\n';
+    return csvContent;
+    }
+
+    /**
+    * Builds the forecast CSV: one row per environment with a column per month.
+    * @param {object} forecast - From Calculator.calculateForecast
+    * @returns {string}
+    */
+    function forecastCSV(forecast) {
+    const { perEnv, totals, months } = forecast;
+
+    const headers = [
+    "Environment", "Currency", "Annual Budget",
+    ...months,
+    "Cumulative", "Annual Utilization %", "First Alerts", "Annual Budget Exceeded"
+    ];
+
+    let csvContent = headers.map(h => `"${h}"`).join(',') + '\r\n';
+
+    perEnv.forEach(envForecast => {
+    const row = [
+    `"${envForecast.env_name.replace(/"/g, '""')}"`,
+    envForecast.currency,
+    envForecast.annual_budget.toFixed(2),
+    ...envForecast.series.map(point => point.error ? '' : point.final_cost.toFixed(2)),
+    envForecast.cumulative_cost.toFixed(2),
+    (envForecast.annual_utilization * 100).toFixed(2),
+    `"${envForecast.first_alert_months.filter(entry => entry.month).map(entry => `${entry.level} ${entry.month}`).join('; ').replace(/"/g, '""')}"`,
+    envForecast.annual_budget_exceeded_month ?? ''
+    ];
+    csvContent += row.join(',') + '\r\n';
+    });
+
+    // Totals row, converted into the reporting currency
+    const totalsRow = [
+    '"Total"',
+    forecast.currency,
+    '',
+    ...totals.map(point => point.final_cost.toFixed(2)),
+    totals.length > 0 ? totals[totals.length - 1].cumulative_cost.toFixed(2) : '',
+    '', '', ''
+    ];
+    csvContent += totalsRow.join(',') + '\r\n';
+    return csvContent;
+    }
+
+    const money = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+    const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+    /**
+    * Collects what the budget reports show, from calculateAll's results, so the HTML and
+    * Markdown versions say the same thing. Money is in each environment's budget currency
+    * unless the field says reporting.
+    * @returns {object} - { title, generated_at, reporting_currency, by_currency, totals, envs, licences, teams }
+    */
+    function buildReport(config, results, title) {
+    const { perEnv, totals } = results;
+    const priced = perEnv.filter(res => !res.error);
+
+    // Spend per budget currency, before any conversion
+    const byCurrency = new Map();
+    priced.forEach(res => {
+    const entry = byCurrency.get(res.currency) ?? { currency: res.currency, environments: 0, cost: 0, budget: 0 };
+    entry.environments += 1;
+    entry.cost += res.final_cost;
+    entry.budget += res.budget;
+    byCurrency.set(res.currency, entry);
+    });
+
+    const envs = perEnv.map(res => {
+    const env = config.environments.find(e => e.id === res.env_id);
+    const base = { name: res.env_name, error: res.error ?? null, env: env };
+    if (res.error) return base;
+
+    // Waterfall from list prices to what is paid; each step shows the running cost
+    const waterfall = [
+    { label: 'List cost', amount: res.raw_cost },
+    { label: 'After free tier and discounts', amount: res.cost_after_free_tier },
+    { label: 'After credits, commit and overage', amount: res.usage_cost },
+    ];
+    if (res.licence_cost > 0) waterfall.push({ label: 'With seat licences', amount: res.final_cost });
+
+    return {
+    ...base,
+    currency: res.currency,
+    status: res.status,
+    status_color: res.status_color,
+    suggestion: res.suggestion,
+    final_cost: res.final_cost,
+    budget: res.budget,
+    utilization: res.utilization,
+    monthly_tokens: res.monthly_tokens,
+    routes: res.slices.map(slice => ({ plan: slice.plan_name, share: slice.share, final_cost: slice.final_cost, currency: slice.currency })),
+    waterfall: waterfall,
+    licences: res.licences,
+    actual: res.actual,
+    };
+    });
+
+    return {
+    title: title,
+    generated_at: new Date().toISOString(),
+    reporting_currency: totals.currency,
+    by_currency: [...byCurrency.values()],
+    totals: totals,
+    envs: envs,
+    licences: (results.perLicence ?? []).filter(l => !l.error),
+    teams: results.perTeam ?? [],
+    };
+    }
+
+    // The workload inputs shown for every environment: [label, value formatter]
+    const WORKLOAD_COLUMNS = [
+    ['Workload', w => w.name],
+    ['Reqs / Day', w => String(w.requests_per_day)],
+    ['Avg Tokens / Req', w => String(w.avg_tokens_per_request)],
+    ['Context Tokens', w => String(w.context_tokens)],
+    ['Cache Hit Rate', w => percent(w.cache_hit_rate)],
+    ['Completion', w => percent(w.completion_share)],
+    ['Batch / Off-Peak', w => `${percent(w.batch_share)} / ${percent(w.off_peak_share)}`],
+    ];
+
+    /**
+    * Builds the budget report as Markdown, for pasting into a wiki. The charts are embedded
+    * as SVG images in data URIs.
+    * @param {object} config - The configuration the results were calculated from
+    * @param {object} results - From Calculator.calculateAll
+    * @param {object} options - { title, simulation } where simulation is from Simulation.run
+    * @returns {string}
+    */
+    function markdownReport(config, results, options = {}) {
+    const report = buildReport(config, results, options.title ?? 'LLM Budget Report');
+    const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const table = (headers, rows) => [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+    ].join('\n');
+    // Utilization as a ten-step text bar, so it reads in any wiki
+    const bar = (ratio) => '█'.repeat(Math.min(10, Math.round(ratio * 10))) + '░'.repeat(Math.max(0, 10 - Math.round(ratio * 10)));
+    // Parentheses would end the image link, and encodeURIComponent leaves them as they are
+    const image = (chart) => `![${chart.title}](data:image/svg+xml;charset=utf-8,${encodeURIComponent(chart.svg).replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+    const charts = Object.values(Charts.budgetCharts(results, options.simulation)).filter(chart => chart.svg);
+    const { totals } = report;
+
+    const lines = [
+    `# ${report.title}`,
+    '',
+    `Generated ${report.generated_at.slice(0, 10)}. Totals are converted into ${totals.currency} (reporting currency).`,
+    '',
+    '## Summary',
+    '',
+    table(['Currency', 'Environments', 'Cost / Month', 'Budget', 'Utilization'], report.by_currency.map(c => [
+    c.currency, c.environments, money(c.cost, c.currency), money(c.budget, c.currency), c.budget > 0 ? percent(c.cost / c.budget) : '',
+    ])),
+    '',
+    `**Total:** ${money(totals.final_cost, totals.currency)} of ${money(totals.budget, totals.currency)}${totals.budget > 0 ? ` (${percent(totals.final_cost / totals.budget)})` : ''}`
+    + `${totals.licence_cost > 0 ? `, including ${money(totals.licence_cost, totals.currency)} of seat licences` : ''}.`,
+    '',
+    table(['Environment', 'Status', 'Cost / Month', 'Budget', 'Utilization'], report.envs.map(env => env.error
+    ? [env.name, 'ERROR', '', '', env.error]
+    : [env.name, env.status, money(env.final_cost, env.currency), money(env.budget, env.currency), `${bar(env.utilization)} ${percent(env.utilization)}`]
+    )),
+    ];
+    if (charts.length > 0) {
+    lines.push('', '## Charts', '', charts.map(image).join('\n\n'));
+    }
+
+    report.envs.forEach(env => {
+    lines.push('', `## ${env.name}`, '');
+    if (env.error) {
+    lines.push(`Cannot be priced: ${env.error}`);
+    return;
+    }
+    lines.push(
+    `**Status:** ${env.status}${env.suggestion ? ` — ${env.suggestion}` : ''}`,
+    '',
+    `Budget ${money(env.budget, env.currency)} / month over ${env.env.days_per_month} days; ${Math.round(env.monthly_tokens).toLocaleString('en-US')} tokens / month.`,
+    '',
+    `**Plans:** ${env.routes.map(r => `${r.plan} (${percent(r.share)})`).join(', ')}`,
+    '',
+    table(WORKLOAD_COLUMNS.map(([label]) => label), env.env.workloads.map(w => WORKLOAD_COLUMNS.map(([, format]) => format(w)))),
+    '',
+    table(['Cost Step', 'Amount'], env.waterfall.map(step => [step.label, money(step.amount, env.currency)])),
+    );
+    if (env.actual) {
+    lines.push('', `**Actuals (${env.actual.month}):** ${money(env.actual.mtd_cost, env.currency)} over ${env.actual.days_with_data} day(s), run-rate ${money(env.actual.run_rate_cost, env.currency)}.`);
+    }
+    });
+
+    if (report.licences.length > 0) {
+    lines.push('', '## Seat Licences', '', table(['Licence', 'Term', 'Seats Held', 'Seats Billed', 'Cost / Month'], report.licences.map(l => [
+    l.name, l.billing_term, l.seats, l.billed_seats, money(l.cost, l.currency),
+    ])));
+    if (report.teams.length > 0) {
+    lines.push('', table(['Team', 'Seats', 'Cost / Month'], report.teams.map(team => [
+    team.team, team.licences.map(l => `${l.seats} × ${l.name}`).join(', '), money(team.cost_reporting, totals.currency),
+    ])));
+    }
+    }
+    return lines.join('\n') + '\n';
+    }
+
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+    // Kept inline so the page works on its own, on screen and on paper
+    const REPORT_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #333; max-width: 960px; margin: 24px auto; padding: 0 24px; line-height: 1.5; }
+    h1 { margin-bottom: 0; }
+    h2 { border-bottom: 1px solid #e0e0e0; padding-bottom: 4px; margin-top: 32px; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e0e0e0; }
+    th { background: #f4f7f6; font-size: 0.8rem; text-transform: uppercase; color: #666; }
+    .meta, .note { color: #666; font-size: 0.9rem; }
+    .status { display: inline-block; padding: 2px 10px; border-radius: 12px; color: #fff; font-weight: 600; font-size: 0.85rem; }
+    .error { color: #b72c2c; }
+    figure { margin: 16px 0; }
+    figure svg { width: 100%; height: auto; }
+    section, figure, table { break-inside: avoid; }
+    @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }`;
+
+    /**
+    * Builds the budget report as a standalone, print-friendly HTML page.
+    * @param {object} config - The configuration the results were calculated from
+    * @param {object} results - From Calculator.calculateAll
+    * @param {object} options - { title, simulation } where simulation is from Simulation.run
+    * @returns {string}
+    */
+    function htmlReport(config, results, options = {}) {
+    const report = buildReport(config, results, options.title ?? 'LLM Budget Report');
+    const { totals } = report;
+    const table = (headers, rows) => `<table>
+    <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map(row => `<tr>${row.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+
+    const summary = table(['Currency', 'Environments', 'Cost / Month', 'Budget', 'Utilization'], report.by_currency.map(c => [
+    escapeHtml(c.currency), c.environments, escapeHtml(money(c.cost, c.currency)), escapeHtml(money(c.budget, c.currency)), c.budget > 0 ? percent(c.cost / c.budget) : '',
+    ]));
+    const overview = table(['Environment', 'Status', 'Cost / Month', 'Budget', 'Utilization'], report.envs.map(env => env.error
+    ? [escapeHtml(env.name), '<span class="error">ERROR</span>', '', '', `<span class="error">${escapeHtml(env.error)}</span>`]
+    : [escapeHtml(env.name), `<span class="status" style="background: ${escapeHtml(env.status_color)};">${escapeHtml(env.status)}</span>`,
+    escapeHtml(money(env.final_cost, env.currency)), escapeHtml(money(env.budget, env.currency)), percent(env.utilization)]
+    ));
+
+    const sections = report.envs.map(env => {
+    if (env.error) {
+    return `<section><h2>${escapeHtml(env.name)}</h2><p class="error">Cannot be priced: ${escapeHtml(env.error)}</p></section>`;
+    }
+    return `<section>
+    <h2>${escapeHtml(env.name)}</h2>
+    <p><span class="status" style="background: ${escapeHtml(env.status_color)};">${escapeHtml(env.status)}</span> ${escapeHtml(env.suggestion)}</p>
+    <p class="meta">Budget ${escapeHtml(money(env.budget, env.currency))} / month over ${env.env.days_per_month} days; ${Math.round(env.monthly_tokens).toLocaleString('en-US')} tokens / month.
+    Plans: ${escapeHtml(env.routes.map(r => `${r.plan} (${percent(r.share)})`).join(', '))}.</p>
+    ${table(WORKLOAD_COLUMNS.map(([label]) => label), env.env.workloads.map(w => WORKLOAD_COLUMNS.map(([, format]) => escapeHtml(format(w)))))}
+    ${table(['Cost Step', 'Amount'], env.waterfall.map(step => [escapeHtml(step.label), escapeHtml(money(step.amount, env.currency))]))}
+    ${env.actual ? `<p class="meta">Actuals (${escapeHtml(env.actual.month)}): ${escapeHtml(money(env.actual.mtd_cost, env.currency))} over ${env.actual.days_with_data} day(s), run-rate ${escapeHtml(money(env.actual.run_rate_cost, env.currency))}.</p>` : ''}
+    </section>`;
+    }).join('\n');
+
+    const licences = report.licences.length > 0 ? `<section>
+    <h2>Seat Licences</h2>
+    ${table(['Licence', 'Term', 'Seats Held', 'Seats Billed', 'Cost / Month'], report.licences.map(l => [
+    escapeHtml(l.name), escapeHtml(l.billing_term), l.seats, l.billed_seats, escapeHtml(money(l.cost, l.currency)),
+    ]))}
+    ${report.teams.length > 0 ? table(['Team', 'Seats', 'Cost / Month'], report.teams.map(team => [
+    escapeHtml(team.team), escapeHtml(team.licences.map(l => `${l.seats} × ${l.name}`).join(', ')), escapeHtml(money(team.cost_reporting, totals.currency)),
+    ])) : ''}
+    </section>` : '';
+
+    const charts = Object.values(Charts.budgetCharts(results, options.simulation)).filter(chart => chart.svg).map(chart => `<figure>${chart.svg}</figure>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(report.title)}</title>
+<style>${REPORT_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Generated ${escapeHtml(report.generated_at.slice(0, 10))}. Totals are converted into ${escapeHtml(totals.currency)} (reporting currency).</p>
+<section>
+<h2>Summary</h2>
+${summary}
+<p><strong>Total:</strong> ${escapeHtml(money(totals.final_cost, totals.currency))} of ${escapeHtml(money(totals.budget, totals.currency))}${totals.budget > 0 ? ` (${percent(totals.final_cost / totals.budget)})` : ''}${totals.licence_cost > 0 ? `, including ${escapeHtml(money(totals.licence_cost, totals.currency))} of seat licences` : ''}.</p>
+${overview}
+</section>
+${charts}
+${sections}
+${licences}
+</body>
+</html>
+`;
+    }
+
+    /**
+    * Builds the cost allocation CSV: one row per tag value, for every tag key in use.
+    * An environment split between values is listed with its share under each of them.
+    * @param {object} config - The configuration the results were calculated from
+    * @param {object} results - From Calculator.calculateAll
+    * @returns {string}
+    */
+    function allocationCSV(config, results) {
+    const headers = ["Tag", "Value", "Environments", "Teams", "Total Tokens", "Cost", "Budget", "Currency", "Utilization %", "Share of Total Cost %"];
+    let csvContent = headers.map(h => `"${h}"`).join(',') + '\r\n';
+
+    Calculator.tagKeys(config).forEach(key => {
+    Calculator.allocateByTag(config, results, key).forEach(group => {
+    const row = [
+    `"${key.replace(/"/g, '""')}"`,
+    `"${group.value.replace(/"/g, '""')}"`,
+    `"${group.environments.map(env => env.share < 1 ? `${env.env_name} (${(env.share * 100).toFixed(0)}%)` : env.env_name).join('; ').replace(/"/g, '""')}"`,
+    `"${group.teams.join('; ').replace(/"/g, '""')}"`,
+    Math.round(group.monthly_tokens),
+    group.cost_reporting.toFixed(2),
+    group.budget_reporting.toFixed(2),
+    results.totals.currency,
+    (group.utilization * 100).toFixed(2),
+    (group.cost_share * 100).toFixed(2)
+    ];
+    csvContent += row.join(',') + '\r\n';
+    });
+    });
+    return csvContent;
+    }
+
+    /**
+    * Builds the full JSON export; Schema.parseImport reads it back. allocation holds the
+    * cost rolled up per value of every tag key (see Calculator.allocateByTag).
+    * @returns {object} - { metadata, config, results, forecast, allocation: [{ key, groups }] }
+    */
+    function exportData(config, results, forecast) {
+    return {
+    metadata: {
+    exported_at: new Date().toISOString(),
+    tool: "LLM Budget Planner",
+    schema_version: Schema.SCHEMA_VERSION
+    },
+    config: config,
+    results: results,
+    forecast: forecast,
+    allocation: Calculator.tagKeys(config).map(key => ({ key: key, groups: Calculator.allocateByTag(config, results, key) }))
+    };
+    }
+
+    return { resultsCSV, forecastCSV, allocationCSV, markdownReport, htmlReport, exportData };
+})();
+
+
+// Node: require('./engine.js'). In the browser the modules above are globals for app.js.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Schema, Calculator, Optimizer, Simulation, Charts, Report };
+}
@@ -0,0 +1,86 @@
+/**
+ * Bundled pricing catalog for the LLM Token Budget Planner.
+ * Prices are list prices per 1,000 tokens. A model can have several entries; the one with
+ * the latest effective_date that is not in the future is its current price.
+ * To update prices without a new release, load a JSON file with the same shape from the
+ * Vendor Plans card.
+ */
+const PRICING_CATALOG = {
+    catalog_version: '2025.08.1',
+    published: '2025-08-15',
+    entries: [
+    // --- OpenAI (cache writes are billed as normal input) ---
+    {
+    id: 'openai/gpt-4o', vendor: 'OpenAI', model: 'GPT-4o', currency: 'USD',
+    price_prompt_per_1k: 0.005, price_completion_per_1k: 0.015,
+    price_cache_read_per_1k: 0.005, price_cache_write_per_1k: 0.005, cache_ttl_minutes: 0,
+    effective_date: '2024-05-13'
+    },
+    {
+    id: 'openai/gpt-4o', vendor: 'OpenAI', model: 'GPT-4o', currency: 'USD',
+    price_prompt_per_1k: 0.0025, price_completion_per_1k: 0.01,
+    price_cache_read_per_1k: 0.00125, price_cache_write_per_1k: 0.0025, cache_ttl_minutes: 5,
+    effective_date: '2024-10-01'
+    },
+    {
+    id: 'openai/gpt-4o-mini', vendor: 'OpenAI', model: 'GPT-4o mini', currency: 'USD',
+    price_prompt_per_1k: 0.00015, price_completion_per_1k: 0.0006,
+    price_cache_read_per_1k: 0.000075, price_cache_write_per_1k: 0.00015, cache_ttl_minutes: 5,
+    effective_date: '2024-10-01'
+    },
+    {
+    id: 'openai/gpt-4.1', vendor: 'OpenAI', model: 'GPT-4.1', currency: 'USD',
+    price_prompt_per_1k: 0.002, price_completion_per_1k: 0.008,
+    price_cache_read_per_1k: 0.0005, price_cache_write_per_1k: 0.002, cache_ttl_minutes: 5,
+    effective_date: '2025-04-14'
+    },
+    {
+    id: 'openai/gpt-4.1-mini', vendor: 'OpenAI', model: 'GPT-4.1 mini', currency: 'USD',
+    price_prompt_per_1k: 0.0004, price_completion_per_1k: 0.0016,
+    price_cache_read_per_1k: 0.0001, price_cache_write_per_1k: 0.0004, cache_ttl_minutes: 5,
+    effective_date: '2025-04-14'
+    },
+
+    // --- Anthropic (5-minute cache; writes cost 1.25x input, reads 0.1x) ---
+    {
+    id: 'anthropic/claude-opus-4', vendor: 'Anthropic', model: 'Claude Opus 4', currency: 'USD',
+    price_prompt_per_1k: 0.015, price_completion_per_1k: 0.075,
+    price_cache_read_per_1k: 0.0015, price_cache_write_per_1k: 0.01875, cache_ttl_minutes: 5,
+    effective_date: '2025-05-22'
+    },
+    {
+    id: 'anthropic/claude-sonnet-4', vendor: 'Anthropic', model: 'Claude Sonnet 4', currency: 'USD',
+    price_prompt_per_1k: 0.003, price_completion_per_1k: 0.015,
+    price_cache_read_per_1k: 0.0003, price_cache_write_per_1k: 0.00375, cache_ttl_minutes: 5,
+    effective_date: '2025-05-22'
+    },
+    {
+    id: 'anthropic/claude-3-5-haiku', vendor: 'Anthropic', model: 'Claude 3.5 Haiku', currency: 'USD',
+    price_prompt_per_1k: 0.0008, price_completion_per_1k: 0.004,
+    price_cache_read_per_1k: 0.00008, price_cache_write_per_1k: 0.001, cache_ttl_minutes: 5,
+    effective_date: '2024-11-04'
+    },
+
+    // --- Google (prompts up to 200K tokens) ---
+    {
+    id: 'google/gemini-2.5-pro', vendor: 'Google', model: 'Gemini 2.5 Pro', currency: 'USD',
+    price_prompt_per_1k: 0.00125, price_completion_per_1k: 0.01,
+    price_cache_read_per_1k: 0.00031, price_cache_write_per_1k: 0.00125, cache_ttl_minutes: 60,
+    effective_date: '2025-06-17'
+    },
+    {
+    id: 'google/gemini-2.5-flash', vendor: 'Google', model: 'Gemini 2.5 Flash', currency: 'USD',
+    price_prompt_per_1k: 0.0003, price_completion_per_1k: 0.0025,
+    price_cache_read_per_1k: 0.000075, price_cache_write_per_1k: 0.0003, cache_ttl_minutes: 60,
+    effective_date: '2025-06-17'
+    },
+
+    // --- Mistral (no prompt caching) ---
+    {
+    id: 'mistral/mistral-large', vendor: 'Mistral', model: 'Mistral Large', currency: 'USD',
+    price_prompt_per_1k: 0.002, price_completion_per_1k: 0.006,
+    price_cache_read_per_1k: 0.002, price_cache_write_per_1k: 0.002, cache_ttl_minutes: 0,
+    effective_date: '2024-11-18'
+    },
+    ]
+};
@@ -0,0 +1,128 @@
+/**
+ * LLM Token Budget Planner - command line tests
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../cli.js');
+
+const CONFIG = path.join(__dirname, 'fixtures', 'default-config.json');
+
+/**
+ * Runs the CLI and captures its output.
+ * @param {string[]} args - Options after the config file
+ * @param {string} file - The config file; the default configuration unless given
+ * @returns {object} - { code, stdout, stderr }
+ */
+function run(args, file = CONFIG) {
+    const out = { stdout: '', stderr: '' };
+    const io = {
+    stdout: { write: (text) => { out.stdout += text; } },
+    stderr: { write: (text) => { out.stderr += text; } }
+    };
+    const code = main([file, ...args], io);
+    return { code, ...out };
+}
+
+test('exits 0 when every checked environment is within budget', () => {
+    const { code, stdout } = run(['--env', 'Production (Test Scenario)']);
+    assert.equal(code, 0);
+    assert.match(stdout, /Budget check passed\./);
+});
+
+test('exits 1 on any alert level by default, and only on the --fail-on levels when given', () => {
+    const all = run([]);
+    assert.equal(all.code, 1);
+    assert.match(all.stdout, /Budget check failed:\n  - Staging: status RED at 90\.88 USD \(181\.8% of budget\)\n$/);
+
+    assert.equal(run(['--fail-on', 'red']).code, 1);
+    assert.equal(run(['--fail-on', 'AMBER,WATCH']).code, 0);
+});
+
+test('--env checks only the named environments, by id or by name', () => {
+    assert.equal(run(['--env', 'env_1']).code, 0);
+    assert.equal(run(['--env', 'production (test scenario)']).code, 0);
+    assert.equal(run(['--env', 'env_1', '--env', 'Staging']).code, 1);
+});
+
+test('exits 1 when an environment is over --max-utilization', () => {
+    const over = run(['--env', 'env_1', '--max-utilization', '0.5']);
+    assert.equal(over.code, 1);
+    assert.match(over.stdout, /Production \(Test Scenario\): utilization 58\.5% is above 50\.0%/);
+    assert.equal(run(['--env', 'env_1', '--max-utilization', '0.6']).code, 0);
+});
+
+test('exits 1 when the total is over --max-total, whichever environments are checked', () => {
+    const over = run(['--env', 'env_1', '--max-total', '103']);
+    assert.equal(over.code, 1);
+    assert.match(over.stdout, /Total: 103\.52 USD is above 103\.00 USD/);
+    assert.equal(run(['--env', 'env_1', '--max-total', '104']).code, 0);
+});
+
+test('--no-fail reports the failures but exits 0', () => {
+    const { code, stdout } = run(['--max-total', '1', '--no-fail']);
+    assert.equal(code, 0);
+    assert.match(stdout, /Budget check failed:/);
+});
+
+test('--fail-on-capacity exits 1 when peak traffic is over a plan\'s rate limits', () => {
+    const config = JSON.parse(fs.readFileSync(CONFIG, 'utf8'));
+    config.vendor_plans[1].tpm_limit = 300;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-budget-'));
+    const file = path.join(dir, 'over-limit.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    try {
+    // Staging is RED on budget, so only the WATCH level is checked here
+    assert.equal(run(['--fail-on', 'WATCH'], file).code, 0);
+    const over = run(['--fail-on', 'WATCH', '--fail-on-capacity'], file);
+    assert.equal(over.code, 1);
+    assert.match(over.stdout, /Staging: over the rate limits of Anthropic - Opus \(Peak TPM is 313 of 300 \(104%\)\./);
+    } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('exits 2 on invalid arguments', () => {
+    const unknownLevel = run(['--fail-on', 'PURPLE']);
+    assert.equal(unknownLevel.code, 2);
+    assert.match(unknownLevel.stderr, /--fail-on PURPLE/);
+
+    const unknownEnv = run(['--env', 'qa']);
+    assert.equal(unknownEnv.code, 2);
+    assert.match(unknownEnv.stderr, /--env qa: no environment has this id or name\./);
+
+    assert.equal(run(['--max-total', '-1']).code, 2);
+    assert.equal(run(['--verbose']).code, 2);
+    assert.equal(main([], { stdout: { write() {} }, stderr: { write() {} } }), 2);
+});
+
+test('exits 2 when --output cannot be written, even with --no-fail', () => {
+    const output = path.join(__dirname, 'no-such-directory', 'results.csv');
+    const { code, stderr } = run(['--format', 'csv', '--output', output, '--no-fail']);
+    assert.equal(code, 2);
+    assert.match(stderr, /^Could not write ".*results\.csv": ENOENT/);
+});
+
+test('exits 2 when --forecast or --allocation is combined with a report or json format', () => {
+    ['markdown', 'html', 'json'].forEach(format => {
+    const forecast = run(['--format', format, '--forecast']);
+    assert.equal(forecast.code, 2);
+    assert.match(forecast.stderr, /^--forecast only works with --format table or csv\./);
+    assert.equal(forecast.stdout, '');
+    assert.equal(run(['--format', format, '--allocation']).code, 2);
+    });
+    assert.equal(run(['--format', 'csv', '--forecast', '--no-fail']).code, 0);
+});
+
+test('embeds the charts in the html and markdown reports', () => {
+    const html = run(['--format', 'html', '--no-fail']);
+    assert.equal(html.code, 0);
+    assert.equal(html.stdout.match(/<figure><svg /g).length, 4);
+
+    const markdown = run(['--format', 'markdown', '--no-fail']);
+    assert.equal(markdown.code, 0);
+    assert.equal(markdown.stdout.match(/^!\[[^\]]+\]\(data:image\/svg\+xml;charset=utf-8,%3Csvg[^)]+\)$/gm).length, 4);
+});
@@ -0,0 +1,161 @@
+/**
+ * LLM Token Budget Planner - engine tests
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Schema, Calculator, Report } = require('../engine.js');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const money = (value) => value.toFixed(2);
+
+test('calculateAll prices the default configuration', () => {
+    const { config, errors } = Schema.parseImport(fixture('default-config.json'));
+    assert.deepEqual(errors, []);
+
+    const results = Calculator.calculateAll(config);
+    const [production, staging] = results.perEnv;
+    assert.equal(production.env_name, 'Production (Test Scenario)');
+    assert.equal(`${money(production.final_cost)} ${production.currency}`, '11.70 EUR');
+    assert.equal(staging.env_name, 'Staging');
+    assert.equal(`${money(staging.final_cost)} ${staging.currency}`, '90.88 USD');
+    assert.equal(`${money(results.totals.final_cost)} ${results.totals.currency}`, '103.52 USD');
+});
+
+test('parseImport migrates a baseline-era export', () => {
+    const { config, errors, fromVersion } = Schema.parseImport(fixture('baseline-export.json'));
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 1);
+    assert.equal(config.schema_version, Schema.SCHEMA_VERSION);
+    assert.deepEqual(config.vendor_plans.map(p => [p.id, p.price_prompt_per_1k, p.price_completion_per_1k]), [['plan_1', 0.002, 0.006], ['plan_2', 0.015, 0.075]]);
+    assert.deepEqual(config.plan_assignment, {
+    env_1: [{ plan_id: 'plan_1', weight: 1 }],
+    env_2: [{ plan_id: 'plan_2', weight: 1 }]
+    });
+
+    const results = Calculator.calculateAll(config);
+    assert.deepEqual(results.perEnv.map(res => [res.env_name, res.error ?? null]), [['Production (Test Scenario)', null], ['Staging', null]]);
+    assert.ok(results.perEnv.every(res => res.final_cost > 0));
+});
+
+test('newPlan has every field of a migrated plan and validates', () => {
+    const { config } = Schema.parseImport(fixture('baseline-export.json'));
+    const plan = Schema.newPlan({ vendor: 'Mistral', plan: 'Large', catalog_id: 'mistral-large' });
+    assert.deepEqual(Object.keys(plan).sort(), Object.keys(config.vendor_plans[0]).sort());
+    assert.deepEqual([plan.vendor, plan.plan, plan.catalog_id, plan.tier_mode], ['Mistral', 'Large', 'mistral-large', 'flat']);
+    assert.notEqual(plan.credit_packs, Schema.newPlan().credit_packs);
+
+    config.vendor_plans.push(plan);
+    assert.deepEqual(Schema.validate(config), []);
+});
+
+test('parseImport names the malformed field instead of failing inside a migration', () => {
+    assert.deepEqual(Schema.parseImport('{"vendor_plans":5}').errors, ['vendor_plans: must be a list.']);
+    assert.deepEqual(Schema.parseImport('{"schema_version":3,"vendor_plans":[],"environments":[]}').errors, ['plan_assignment: must be an object.']);
+    assert.throws(() => Schema.migrate({ schema_version: 5, vendor_plans: [], environments: {}, plan_assignment: {} }), /^Error: environments: must be a list\.$/);
+
+    const { errors } = Schema.parseImport('{"environments":[{"id":"env_1"}],"plan_assignment":{"env_1":[null]}}');
+    assert.ok(errors.includes('plan_assignment["env_1"][0]: must be an object.'));
+});
+
+test('resultsCSV doubles quotes in environment and plan names', () => {
+    const { config } = Schema.parseImport(fixture('default-config.json'));
+    config.environments[0].env_name = 'Prod "EU"';
+    config.vendor_plans[0].plan = 'Plan "X"';
+
+    const row = Report.resultsCSV(Calculator.calculateAll(config)).split('\r\n')[1];
+    assert.ok(row.startsWith('"Prod ""EU""","GREEN","OpenAI - Plan ""X""",'));
+});
+
+test('resultsCSV and forecastCSV quote user-defined alert level names', () => {
+    const { config } = Schema.parseImport(fixture('default-config.json'));
+    config.environments[1].alert_policy.levels[2].name = 'Over, "budget"';
+
+    const row = Report.resultsCSV(Calculator.calculateAll(config)).split('\r\n')[2];
+    assert.ok(row.startsWith('"Staging","Over, ""budget""","Anthropic - Opus",90.88,'));
+    const forecastRow = Report.forecastCSV(Calculator.calculateForecast(config)).split('\r\n')[2];
+    assert.match(forecastRow, /,"WATCH \w{3} \d{4}; AMBER \w{3} \d{4}; Over, ""budget"" \w{3} \d{4}",/);
+});
+
+test('allocationCSV doubles quotes in tag values and environment names', () => {
+    const { config } = Schema.parseImport(fixture('default-config.json'));
+    config.environments[1].env_name = 'Staging "B"';
+    config.environments[1].tags[1].value = 'Platform "core"';
+
+    const rows = Report.allocationCSV(config, Calculator.calculateAll(config)).split('\r\n');
+    assert.ok(rows[1].startsWith('"team","Search","Production (Test Scenario); Staging ""B"" (50%)",'));
+    assert.ok(rows[2].startsWith('"team","Platform ""core""","Staging ""B"" (50%)",'));
+});
+
+/**
+ * Forecasts 2027 with flat traffic after applying contract terms to plan_2 (Opus, Staging's plan),
+ * whose usage costs 90.882 USD a month before any commit or credit.
+ */
+function forecastWithTerms(terms) {
+    const { config } = Schema.parseImport(fixture('default-config.json'));
+    config.environments.forEach(env => { env.growth_rate = 0; });
+    config.forecast = { ...config.forecast, start_month: '2027-01', horizon_months: 12 };
+    Object.assign(config.vendor_plans[1], terms);
+    assert.deepEqual(Schema.validate(config), []);
+    const forecast = Calculator.calculateForecast(config);
+    return { forecast, contract: forecast.contracts.find(c => c.plan_id === 'plan_2') };
+}
+
+test('an under-used monthly commit rolls over up to commit_rollover_cap', () => {
+    const { contract } = forecastWithTerms({ monthly_commit_credit: 120, commit_rollover_cap: 20 });
+    const [jan, feb, mar] = contract.series;
+    assert.deepEqual([jan.commit_available, money(jan.commit_drawn), money(jan.commit_unused)], [120, '90.88', '29.12']);
+    // Only 20 of the 29.12 left in January carries into February, and no more builds up after that
+    assert.deepEqual([feb.commit_available, money(feb.commit_unused)], [140, '49.12']);
+    assert.equal(mar.commit_available, 140);
+    assert.equal(contract.overage_cost, 0);
+    assert.equal(contract.true_up, 0);
+});
+
+test('an under-used annual commit bills true_up_share of the shortfall in the last contract month', () => {
+    const { forecast, contract } = forecastWithTerms({ annual_commit: 1200, commit_start_month: '2027-01', true_up_share: 0.5 });
+    assert.deepEqual(contract.series.map(point => money(point.commit_available)).slice(0, 3), ['1200.00', '1109.12', '1018.24']);
+    const dec = contract.series[11];
+    assert.equal(money(dec.commit_unused), '109.42');
+    assert.equal(money(dec.true_up), '54.71');
+    assert.ok(contract.series.slice(0, 11).every(point => point.true_up === 0));
+    // The true-up lands on December's total
+    const [nov, decTotal] = forecast.totals.slice(10);
+    assert.equal(money(decTotal.final_cost - nov.final_cost), '54.71');
+});
+
+test('spend beyond an annual commit is billed at overage_multiplier', () => {
+    const { contract } = forecastWithTerms({ annual_commit: 600, commit_start_month: '2027-01', overage_multiplier: 1.5 });
+    const jul = contract.series[6];
+    assert.deepEqual([money(jul.commit_available), money(jul.commit_drawn), money(jul.overage_cost)], ['54.71', '54.71', '54.26']);
+    assert.ok(contract.series.slice(7).every(point => point.commit_available === 0 && money(point.overage_cost) === '136.32'));
+    assert.equal(money(contract.overage_cost), '735.88');
+    assert.equal(contract.true_up, 0);
+});
+
+test('credit packs pay first and the unused balance expires in its expiry month', () => {
+    const { contract } = forecastWithTerms({ credit_packs: [{ id: 'pack_1', name: 'Launch credits', amount: 100, expires_month: '2027-01' }] });
+    const [jan, feb] = contract.series;
+    assert.deepEqual([money(jan.credits_applied), money(jan.credits_expired)], ['90.88', '9.12']);
+    assert.deepEqual([feb.credits_applied, feb.credits_expired], [0, 0]);
+});
+
+test('capacity is NEAR LIMIT from CAPACITY_HEADROOM of a rate limit and OVER LIMIT above it', () => {
+    const { config } = Schema.parseImport(fixture('default-config.json'));
+    const capacityWith = (terms) => {
+    Object.assign(config.vendor_plans[1], terms);
+    return Calculator.calculateAll(config).perEnv[1].capacity;
+    };
+    // Staging peaks at 312.5 tokens a minute on plan_2
+    assert.equal(Calculator.CAPACITY_HEADROOM, 0.8);
+    assert.deepEqual([capacityWith({ tpm_limit: 400 }).status, capacityWith({ tpm_limit: 400 }).suggestion], ['OK', '']);
+    assert.equal(capacityWith({ tpm_limit: 312.5 / 0.8 }).status, 'NEAR LIMIT');
+
+    const over = capacityWith({ tpm_limit: 300 });
+    assert.deepEqual([over.status, over.status_level], ['OVER LIMIT', 2]);
+    assert.equal(over.suggestion, 'Peak TPM is 313 of 300 (104%). Spread the traffic over 2 API keys, or move to a tier with at least 391 TPM per key.');
+    // Limits apply per API key
+    assert.equal(capacityWith({ tpm_limit: 300, api_keys: 2 }).status, 'OK');
+});